@@ -0,0 +1,29 @@
+/**
+ * DELETE /api/domains/[id] — Remove a custom domain (owner only)
+ *
+ * Refused while active codes use it: their printed short URLs would stop
+ * resolving. Delete those codes first.
+ */
+
+import { NextResponse } from 'next/server';
+import { findDomain, deleteDomain } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+
+export async function DELETE(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const domain = await findDomain(params.id, authUser.id);
+    if (!domain) {
+        return NextResponse.json({ error: 'Domain not found' }, { status: 404 });
+    }
+
+    const result = await deleteDomain(domain.id, authUser.id);
+    if (result.changes === 0) {
+        return NextResponse.json({ error: `QR codes still use ${domain.hostname} — delete them first` }, { status: 409 });
+    }
+
+    return NextResponse.json({ message: 'Domain removed' });
+}
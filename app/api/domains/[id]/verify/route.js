@@ -0,0 +1,52 @@
+/**
+ * POST /api/domains/[id]/verify — Check the domain's TXT record (owner only)
+ *
+ * Responds with the domain either way; verified stays false, with an
+ * error saying what was found, until the record shows up. DNS changes can
+ * take a while to spread, so this is safe to retry.
+ */
+
+import { NextResponse } from 'next/server';
+import { findDomain, markDomainVerified } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { verificationRecord, formatDomain } from '@/lib/domains';
+import { resolveTxt } from '@/lib/dns';
+
+export async function POST(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const domain = await findDomain(params.id, authUser.id);
+        if (!domain) {
+            return NextResponse.json({ error: 'Domain not found' }, { status: 404 });
+        }
+        if (domain.verified_at) {
+            return NextResponse.json(formatDomain(domain));
+        }
+
+        const record = verificationRecord(domain.hostname, domain.token);
+        const values = await resolveTxt(record.name);
+        if (!values.includes(record.value)) {
+            return NextResponse.json({
+                ...formatDomain(domain),
+                error: values.length
+                    ? `${record.name} has a TXT record, but not "${record.value}"`
+                    : `No TXT record found at ${record.name} yet`
+            }, { status: 422 });
+        }
+
+        try {
+            await markDomainVerified(domain.id, authUser.id);
+        } catch (err) {
+            if (!/UNIQUE constraint failed/.test(err.message)) throw err;
+            return NextResponse.json({ error: `${domain.hostname} is already verified by another account` }, { status: 409 });
+        }
+        return NextResponse.json(formatDomain(await findDomain(domain.id, authUser.id)));
+    } catch (err) {
+        console.error('Verify domain error:', err);
+        return NextResponse.json({ error: 'Failed to check DNS — try again in a minute' }, { status: 500 });
+    }
+}
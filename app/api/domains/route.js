@@ -0,0 +1,57 @@
+/**
+ * /api/domains — Custom short-link domains for the logged-in account
+ * GET  — List them, each with the TXT record that verifies it
+ * POST — Add one: { hostname } (Business plan). It's unverified until
+ *        POST /api/domains/[id]/verify finds the record.
+ *
+ * See lib/domains.js.
+ */
+
+import { NextResponse } from 'next/server';
+import { getDomains, createDomain, findDomain, findUserById } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateHostname, formatDomain, MAX_DOMAINS } from '@/lib/domains';
+import { allowsCustomDomains } from '@/lib/plans';
+import { randomShortCode } from '@/lib/urls';
+
+export async function GET() {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const rows = await getDomains(authUser.id);
+    return NextResponse.json({ domains: rows.map(formatDomain) });
+}
+
+export async function POST(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { hostname, error } = validateHostname((await request.json()).hostname);
+        if (error) return NextResponse.json({ error }, { status: 400 });
+
+        const user = await findUserById(authUser.id);
+        if (!allowsCustomDomains(user.plan)) {
+            return NextResponse.json({ error: 'Custom domains are available on the Business plan.', upgrade: true }, { status: 403 });
+        }
+
+        const existing = await getDomains(authUser.id);
+        if (existing.some(domain => domain.hostname === hostname)) {
+            return NextResponse.json({ error: `${hostname} is already on your account` }, { status: 409 });
+        }
+        if (existing.length >= MAX_DOMAINS) {
+            return NextResponse.json({ error: `Domain limit reached (max ${MAX_DOMAINS})` }, { status: 400 });
+        }
+
+        const result = await createDomain(authUser.id, hostname, randomShortCode(24));
+        const created = await findDomain(result.lastInsertRowid, authUser.id);
+        return NextResponse.json(formatDomain(created), { status: 201 });
+    } catch (err) {
+        console.error('Create domain error:', err);
+        return NextResponse.json({ error: 'Failed to add domain' }, { status: 500 });
+    }
+}
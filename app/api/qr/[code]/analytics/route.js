@@ -0,0 +1,81 @@
+/**
+ * GET /api/qr/[code]/analytics — Scans over time for one QR code (owner only)
+ *
+ * Query: ?from=2024-01-01&to=2024-01-31&interval=hour|day|week
+ * Every bucket in the range is returned, including the empty ones,
+ * plus device / OS / language / referrer breakdowns for the same range.
+ * Link-in-bio codes also get linkClicks: clicks per button in the range.
+ * A/B tested codes also get variants: each variant's all-time scans and
+ * conversions (lib/abtest.js).
+ */
+
+import { NextResponse } from 'next/server';
+import {
+    findQRForOwner, getScanSeries, getScanTotals, getScanBreakdown, getLinkClicks,
+    getVariantScanCounts, getVariantConversions
+} from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { parseRange, fillSeries, groupReferrers, toSqlTimestamp } from '@/lib/analytics';
+import { variantReport } from '@/lib/abtest';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const range = parseRange(new URL(request.url).searchParams);
+        if (range.error) {
+            return NextResponse.json({ error: range.error }, { status: 400 });
+        }
+
+        const qr = await findQRForOwner(params.code, authUser.id);
+        if (!qr) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        const { from, to, interval } = range;
+        const sqlFrom = toSqlTimestamp(from);
+        const sqlTo = toSqlTimestamp(to);
+
+        const [rows, devices, os, languages, referrers, totals, clicks, variantScans, conversions] = await Promise.all([
+            getScanSeries(qr.id, sqlFrom, sqlTo, interval),
+            getScanBreakdown(qr.id, sqlFrom, sqlTo, 'device'),
+            getScanBreakdown(qr.id, sqlFrom, sqlTo, 'os'),
+            getScanBreakdown(qr.id, sqlFrom, sqlTo, 'language'),
+            getScanBreakdown(qr.id, sqlFrom, sqlTo, 'referrer', 200),
+            getScanTotals(qr.id),
+            getLinkClicks(qr.id, sqlFrom, sqlTo),
+            getVariantScanCounts(qr.id),
+            getVariantConversions(qr.id)
+        ]);
+        const series = fillSeries(rows, from, to, interval);
+        const page = qr.page ? JSON.parse(qr.page) : null;
+
+        // Current buttons in page order; clicks on since-deleted links are left out
+        const clickCounts = new Map(clicks.map(row => [row.linkId, row.clicks]));
+        const linkClicks = page?.type === 'links'
+            ? page.links.map(link => ({ id: link.id, title: link.title, clicks: clickCounts.get(link.id) || 0 }))
+            : null;
+        const variants = qr.ab_variants ? JSON.parse(qr.ab_variants) : [];
+
+        return NextResponse.json({
+            shortCode: qr.short_code,
+            destinationUrl: qr.destination_url,
+            ...(page && { page: { type: page.type, name: page.name } }),
+            from: from.toISOString(),
+            to: to.toISOString(),
+            interval,
+            scans: series.reduce((sum, point) => sum + point.scans, 0),
+            series,
+            breakdown: { devices, os, languages, referrers: groupReferrers(referrers) },
+            totals,
+            ...(linkClicks && { linkClicks }),
+            ...(variants.length > 0 && { variants: variantReport(variants, variantScans, conversions) })
+        });
+    } catch (err) {
+        console.error('Analytics error:', err);
+        return NextResponse.json({ error: 'Failed to load analytics' }, { status: 500 });
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * /api/qr/[code]/design — The saved look of a dynamic QR code (owner only)
+ *
+ * GET returns { shortCode, shortUrl, design } — everything the dashboard needs
+ * to re-draw the code exactly as it was generated.
+ * PUT body: { design } — replaces it (lib/qr/design.js); null resets to plain black on white.
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, updateQRSettings } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { shortUrlFor } from '@/lib/urls';
+import { parseCodeKey } from '@/lib/domains';
+import { validateDesign, DEFAULT_DESIGN } from '@/lib/qr';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    if (!qr) {
+        return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+        shortCode: qr.short_code,
+        shortUrl: shortUrlFor(request, qr.short_code, qr.domain),
+        design: qr.design ? JSON.parse(qr.design) : DEFAULT_DESIGN
+    });
+}
+
+export async function PUT(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const body = await request.json();
+        if (body.design === undefined) {
+            return NextResponse.json({ error: 'design is required' }, { status: 400 });
+        }
+
+        const validated = body.design === null ? { design: null } : validateDesign(body.design);
+        if (validated.error) {
+            return NextResponse.json({ error: validated.error }, { status: 400 });
+        }
+
+        const result = await updateQRSettings(params.code, authUser.id, { design: validated.design });
+        if (result.changes === 0) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        return NextResponse.json({ shortCode: parseCodeKey(params.code).code, design: validated.design || DEFAULT_DESIGN });
+    } catch (err) {
+        console.error('Update design error:', err);
+        return NextResponse.json({ error: 'Failed to update design' }, { status: 500 });
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * GET /api/qr/[code]/history — Every destination change for a QR code, newest first (owner only)
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, getDestinationHistory } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    if (!qr) {
+        return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+    }
+
+    const rows = await getDestinationHistory(qr.id);
+    return NextResponse.json({
+        shortCode: qr.short_code,
+        currentUrl: qr.destination_url,
+        history: rows.map(row => ({
+            id: Number(row.id),
+            oldUrl: row.old_url,
+            newUrl: row.new_url,
+            action: row.action,
+            changedBy: row.changed_by,
+            changedAt: row.changed_at
+        }))
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * GET /api/qr/[code]/image — Download a dynamic QR code as PNG, SVG, PDF or EPS
+ *
+ * Query: ?format=png|svg|pdf|eps&size=512&fg=000000&bg=ffffff&ec=M&margin=4
+ * Print sizes: &size=50&unit=mm (or in), plus &dpi=300 for PNG
+ *
+ * The code's saved design (lib/qr/design.js) supplies the defaults; query
+ * parameters override it. Every format gets the full style — shapes, eye
+ * styles, gradient and frame (PNG captions use a pixel font). Logos are
+ * embedded in SVG only — the server has no way to rasterize an uploaded SVG
+ * logo — so the dashboard builds the other formats in the browser instead.
+ *
+ * The image encodes the short URL, which never changes when the destination
+ * is edited. Design edits do change it, so caches must revalidate every
+ * time — the ETag makes that a 304 instead of a re-download.
+ */
+
+import { NextResponse } from 'next/server';
+import crypto from 'crypto';
+import { findByCode } from '@/lib/db';
+import { shortUrlFor } from '@/lib/urls';
+import { parseImageOptions, DEFAULT_DESIGN } from '@/lib/qr';
+import { RENDERERS, renderDesignImage } from '@/lib/qr/render';
+
+export async function GET(request, { params }) {
+    try {
+        const qr = await findByCode(params.code);
+        if (!qr) {
+            return NextResponse.json({ error: 'QR code not found' }, { status: 404 });
+        }
+
+        const design = qr.design ? JSON.parse(qr.design) : DEFAULT_DESIGN;
+        const { fg, bg, ec, margin } = design;
+        const { options, error } = parseImageOptions(new URL(request.url).searchParams, { fg, bg, ec, margin });
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const payload = shortUrlFor(request, qr.short_code, qr.domain);
+        const etag = '"' + crypto.createHash('sha1')
+            .update(JSON.stringify([payload, options, qr.design]))
+            .digest('base64url') + '"';
+        const headers = {
+            ETag: etag,
+            'Cache-Control': 'public, max-age=0, must-revalidate'
+        };
+
+        if (request.headers.get('if-none-match') === etag) {
+            return new NextResponse(null, { status: 304, headers });
+        }
+
+        const body = renderDesignImage(payload, design, options);
+
+        return new NextResponse(body, {
+            headers: {
+                ...headers,
+                'Content-Type': RENDERERS[options.format].contentType,
+                'Content-Disposition': `inline; filename="qr-${qr.short_code}.${options.format}"`
+            }
+        });
+    } catch (err) {
+        console.error('QR image error:', err);
+        return NextResponse.json({ error: 'Failed to render QR code' }, { status: 500 });
+    }
+}
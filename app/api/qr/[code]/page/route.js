@@ -0,0 +1,75 @@
+/**
+ * /api/qr/[code]/page — The hosted page shown instead of a redirect (owner only)
+ *
+ * GET returns { shortCode, shortUrl, page } (page is null for redirecting codes).
+ * PUT body: { page } — creates or replaces it (lib/pages.js).
+ * DELETE removes it, so scans redirect to the destination URL again — which
+ * therefore has to be set first.
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, updateQRSettings } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { shortUrlFor } from '@/lib/urls';
+import { parseCodeKey } from '@/lib/domains';
+import { validatePage } from '@/lib/pages';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    if (!qr) {
+        return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+        shortCode: qr.short_code,
+        shortUrl: shortUrlFor(request, qr.short_code, qr.domain),
+        page: qr.page ? JSON.parse(qr.page) : null
+    });
+}
+
+export async function PUT(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const validated = validatePage((await request.json()).page);
+        if (validated.error) {
+            return NextResponse.json({ error: validated.error }, { status: 400 });
+        }
+
+        const result = await updateQRSettings(params.code, authUser.id, { page: validated.page });
+        if (result.changes === 0) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        return NextResponse.json({ shortCode: parseCodeKey(params.code).code, page: validated.page });
+    } catch (err) {
+        console.error('Update page error:', err);
+        return NextResponse.json({ error: 'Failed to update page' }, { status: 500 });
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    if (!qr) {
+        return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+    }
+    if (!qr.destination_url) {
+        return NextResponse.json({ error: 'Set a destination URL before removing the page' }, { status: 400 });
+    }
+
+    await updateQRSettings(params.code, authUser.id, { page: null });
+    return NextResponse.json({ message: 'Page removed', shortCode: qr.short_code });
+}
@@ -0,0 +1,48 @@
+/**
+ * POST /api/qr/[code]/rollback — Restore an earlier destination (owner only)
+ *
+ * Body: { historyId } — undoes that change, i.e. restores the URL it replaced.
+ * Without historyId the most recent change is undone.
+ * The rollback itself is recorded in the history, so it can be undone too.
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, findHistoryEntry, getDestinationHistory, updateDestination } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateDestination } from '@/lib/validate';
+
+export async function POST(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { historyId } = await request.json().catch(() => ({}));
+
+        const qr = await findQRForOwner(params.code, authUser.id);
+        if (!qr) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        const entry = historyId !== undefined
+            ? await findHistoryEntry(historyId, qr.id)
+            : (await getDestinationHistory(qr.id))[0];
+        if (!entry) {
+            return NextResponse.json({ error: 'No such version to roll back to' }, { status: 404 });
+        }
+
+        // URLs saved before validation was shared may not pass today's checks
+        const urlError = validateDestination(entry.old_url);
+        if (urlError) {
+            return NextResponse.json({ error: `Cannot restore this version: ${urlError}` }, { status: 400 });
+        }
+
+        await updateDestination(entry.old_url, params.code, authUser.id, 'rollback');
+
+        return NextResponse.json({ message: 'Destination restored', shortCode: qr.short_code, newUrl: entry.old_url });
+    } catch (err) {
+        console.error('Rollback error:', err);
+        return NextResponse.json({ error: 'Failed to roll back' }, { status: 500 });
+    }
+}
@@ -1,10 +1,22 @@
 /**
  * /api/qr/[code] — Edit, delete, and get stats for a QR code
+ *
+ * Here and in the routes below it, [code] is the code's key (codeKey in
+ * lib/domains.js): its short code, plus @hostname on a custom domain.
+ *
+ * PUT body: { url?, amount?, rules?, variants? } — url is the fallback destination,
+ * rules the ordered routing rules (lib/routing.js), variants the A/B test
+ * destinations (lib/abtest.js). null or [] clears rules / variants.
+ * amount re-prices a UPI payment code (lib/payloads/upi.js); null clears it.
  */
 
 import { NextResponse } from 'next/server';
-import { updateDestination, deleteQR, getStats } from '@/lib/db';
+import { updateDestination, updateQRSettings, deleteQR, getStats, getScanTotals, findQRForOwner } from '@/lib/db';
 import { getAuthUser } from '@/lib/auth';
+import { validateDestination } from '@/lib/validate';
+import { setUpiAmount } from '@/lib/payloads';
+import { validateRules } from '@/lib/routing';
+import { validateVariants } from '@/lib/abtest';
 
 export async function PUT(request, { params }) {
     const authUser = getAuthUser();
@@ -13,19 +25,52 @@ export async function PUT(request, { params }) {
     }
 
     try {
-        const { url } = await request.json();
-        if (!url) return NextResponse.json({ error: 'New URL is required' }, { status: 400 });
+        const { url, amount, rules, variants } = await request.json();
+        if (url === undefined && amount === undefined && rules === undefined && variants === undefined) {
+            return NextResponse.json({ error: 'New URL, amount, routing rules or variants are required' }, { status: 400 });
+        }
+
+        // Same checks as POST /api/qr, for the fallback URL, every rule URL and every variant URL
+        if (url !== undefined) {
+            const urlError = validateDestination(url);
+            if (urlError) return NextResponse.json({ error: urlError }, { status: 400 });
+        }
 
-        try { new URL(url); } catch {
-            return NextResponse.json({ error: 'Invalid URL format' }, { status: 400 });
+        const settings = {};
+        if (rules !== undefined) {
+            const validated = rules === null ? { rules: [] } : validateRules(rules);
+            if (validated.error) return NextResponse.json({ error: validated.error }, { status: 400 });
+            settings.routing_rules = validated.rules;
+        }
+        if (variants !== undefined) {
+            const validated = variants === null ? { variants: [] } : validateVariants(variants);
+            if (validated.error) return NextResponse.json({ error: validated.error }, { status: 400 });
+            settings.ab_variants = validated.variants;
         }
 
-        const result = await updateDestination(url, params.code, authUser.id);
-        if (result.changes === 0) {
+        const qr = await findQRForOwner(params.code, authUser.id);
+        if (!qr) {
             return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
         }
 
-        return NextResponse.json({ message: 'Destination updated', shortCode: params.code, newUrl: url });
+        // A new amount is applied to the new URL if both are given, else to the current one
+        let destination = url;
+        if (amount !== undefined) {
+            const repriced = setUpiAmount(url ?? qr.destination_url, amount);
+            if (repriced.error) return NextResponse.json({ error: repriced.error }, { status: 400 });
+            destination = repriced.payload;
+        }
+
+        if (destination !== undefined) await updateDestination(destination, params.code, authUser.id);
+        await updateQRSettings(params.code, authUser.id, settings);
+
+        return NextResponse.json({
+            message: 'Destination updated',
+            shortCode: qr.short_code,
+            ...(destination !== undefined && { newUrl: destination }),
+            ...(settings.routing_rules && { rules: settings.routing_rules }),
+            ...(settings.ab_variants && { variants: settings.ab_variants })
+        });
     } catch (err) {
         console.error('Update error:', err);
         return NextResponse.json({ error: 'Failed to update' }, { status: 500 });
@@ -51,5 +96,10 @@ export async function GET(request, { params }) {
     if (!stats) {
         return NextResponse.json({ error: 'QR code not found' }, { status: 404 });
     }
-    return NextResponse.json(stats);
+
+    // Totals come from the scan event log; scan_count stays for older clients.
+    // A/B results are the owner's business: see GET /api/qr/[code]/analytics.
+    const { id, ab_variants, ...publicStats } = stats;
+    const totals = await getScanTotals(id);
+    return NextResponse.json({ ...publicStats, totals });
 }
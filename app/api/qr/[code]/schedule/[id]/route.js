@@ -0,0 +1,46 @@
+/**
+ * /api/qr/[code]/schedule/[id] — Edit or remove one scheduled change (owner only)
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, findScheduleEntry, updateScheduleEntry, deleteScheduleEntry } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateScheduleEntry, formatScheduleEntry } from '@/lib/schedule';
+
+export async function PUT(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { entry, error } = validateScheduleEntry(await request.json());
+        if (error) return NextResponse.json({ error }, { status: 400 });
+
+        const qr = await findQRForOwner(params.code, authUser.id);
+        const result = qr ? await updateScheduleEntry(params.id, qr.id, entry) : { changes: 0 };
+        if (result.changes === 0) {
+            return NextResponse.json({ error: 'Schedule entry not found' }, { status: 404 });
+        }
+
+        return NextResponse.json(formatScheduleEntry(await findScheduleEntry(params.id, qr.id)));
+    } catch (err) {
+        console.error('Update schedule error:', err);
+        return NextResponse.json({ error: 'Failed to update schedule entry' }, { status: 500 });
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    const result = qr ? await deleteScheduleEntry(params.id, qr.id) : { changes: 0 };
+    if (result.changes === 0) {
+        return NextResponse.json({ error: 'Schedule entry not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Schedule entry removed' });
+}
@@ -0,0 +1,56 @@
+/**
+ * /api/qr/[code]/schedule — Campaign calendar for a dynamic QR code (owner only)
+ * GET  — List scheduled destination changes
+ * POST — Add one: { url, label?, startsAt?, endsAt?, startTime?, endTime?, days?, timezone? }
+ *
+ * See lib/schedule.js for how entries are picked at redirect time.
+ */
+
+import { NextResponse } from 'next/server';
+import { findQRForOwner, getSchedule, createScheduleEntry, findScheduleEntry } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateScheduleEntry, formatScheduleEntry, MAX_SCHEDULE_ENTRIES } from '@/lib/schedule';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const qr = await findQRForOwner(params.code, authUser.id);
+    if (!qr) {
+        return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+    }
+
+    const rows = await getSchedule(qr.id);
+    return NextResponse.json({ shortCode: qr.short_code, defaultUrl: qr.destination_url, schedule: rows.map(formatScheduleEntry) });
+}
+
+export async function POST(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { entry, error } = validateScheduleEntry(await request.json());
+        if (error) return NextResponse.json({ error }, { status: 400 });
+
+        const qr = await findQRForOwner(params.code, authUser.id);
+        if (!qr) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        const existing = await getSchedule(qr.id);
+        if (existing.length >= MAX_SCHEDULE_ENTRIES) {
+            return NextResponse.json({ error: `Schedule is full (max ${MAX_SCHEDULE_ENTRIES} entries)` }, { status: 400 });
+        }
+
+        const result = await createScheduleEntry(qr.id, entry);
+        const created = await findScheduleEntry(result.lastInsertRowid, qr.id);
+        return NextResponse.json(formatScheduleEntry(created), { status: 201 });
+    } catch (err) {
+        console.error('Create schedule error:', err);
+        return NextResponse.json({ error: 'Failed to add schedule entry' }, { status: 500 });
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * POST /api/qr/bulk — Create many dynamic QR codes from a CSV ({ csv }, logged in only)
+ *
+ * Columns: destination, label?, slug? (paid plans), expiry?, tags?,
+ *          domain? (a verified custom domain on the account, Business plan) — see lib/bulk.js.
+ * Rows that fail validation are skipped and reported; the rest are created
+ * together, and only if all of them fit in the plan — otherwise none are (403).
+ * A slug someone else takes while the upload is processed fails the batch too
+ * (409); its row gets { suggestions } like a single create's.
+ * Response: { created, failed, rows: [{ line, status: 'created', shortCode, key, shortUrl }
+ *                                    | { line, status: 'error', error }] }
+ * New codes get the account's default design template, like single creates.
+ */
+
+import { NextResponse } from 'next/server';
+import { findUserById, createQRBatch, findTakenCodes, findDefaultTemplate, getDomains } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { shortUrlFor, randomShortCode } from '@/lib/urls';
+import { parseBulkCsv } from '@/lib/bulk';
+import { suggestSlugs } from '@/lib/slugs';
+import { codeKey } from '@/lib/domains';
+import { planLimit, allowsCustomSlugs, allowsCustomDomains } from '@/lib/plans';
+
+// Row error for the first problem with an entry's slug or domain, if any.
+// Sets entry.domainId (null for the app's own domain) on the way.
+function checkAccess(entry, { slugsAllowed, domainsAllowed, domains }) {
+    if (entry.slug && !slugsAllowed) return 'Custom slugs are available on the Pro and Business plans';
+    entry.domainId = null;
+    if (!entry.domain) return null;
+    if (!domainsAllowed) return 'Custom domains are available on the Business plan';
+    const domain = domains.get(entry.domain);
+    if (!domain) return `${entry.domain} is not one of your domains`;
+    if (!domain.verified_at) return `Verify ${entry.domain} before putting codes on it`;
+    entry.domainId = domain.id;
+    return null;
+}
+
+// Keys (lib/domains.js) of the entries' custom slugs that are already in use on their domains
+async function findTakenKeys(entries) {
+    const withSlugs = entries.filter(entry => entry.slug);
+    const taken = new Set();
+    for (const domainId of new Set(withSlugs.map(entry => entry.domainId))) {
+        const onDomain = withSlugs.filter(entry => entry.domainId === domainId);
+        const codes = new Set(await findTakenCodes(onDomain.map(entry => entry.slug), domainId));
+        for (const entry of onDomain) {
+            if (codes.has(entry.slug)) taken.add(codeKey(entry.slug, entry.domain));
+        }
+    }
+    return taken;
+}
+
+function takenError(entry) {
+    return `Slug "${entry.slug}" is already taken${entry.domain ? ` on ${entry.domain}` : ''}`;
+}
+
+// The rows whose slugs were taken after they were checked, with suggestions —
+// or null when the unique index tripped on something else
+async function lostSlugRows(valid) {
+    const taken = await findTakenKeys(valid.map(row => row.entry));
+    const lost = valid.filter(row => row.entry.slug && taken.has(codeKey(row.entry.slug, row.entry.domain)));
+    if (lost.length === 0) return null;
+    return Promise.all(lost.map(async row => ({
+        line: row.line,
+        status: 'error',
+        error: takenError(row.entry),
+        suggestions: await suggestSlugs(row.entry.slug, row.entry.domainId)
+    })));
+}
+
+export async function POST(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { csv } = await request.json();
+        const parsed = parseBulkCsv(csv);
+        if (parsed.error) {
+            return NextResponse.json({ error: parsed.error }, { status: 400 });
+        }
+
+        // Custom slugs need a paid plan and must not already be in use on their
+        // domain; custom domains need the Business plan and must be verified
+        const user = await findUserById(authUser.id);
+        const domainsAllowed = allowsCustomDomains(user.plan);
+        const access = {
+            slugsAllowed: allowsCustomSlugs(user.plan),
+            domainsAllowed,
+            domains: new Map(domainsAllowed ? (await getDomains(authUser.id)).map(domain => [domain.hostname, domain]) : [])
+        };
+        const checked = parsed.rows.map(row => {
+            const error = row.entry && checkAccess(row.entry, access);
+            return error ? { line: row.line, error } : row;
+        });
+        const taken = await findTakenKeys(checked.filter(row => row.entry).map(row => row.entry));
+        const rows = checked.map(row => row.entry?.slug && taken.has(codeKey(row.entry.slug, row.entry.domain))
+            ? { line: row.line, error: takenError(row.entry) }
+            : row);
+
+        const valid = rows.filter(row => row.entry);
+        const report = () => rows.map(row => row.entry
+            ? {
+                line: row.line,
+                status: 'created',
+                shortCode: row.entry.shortCode,
+                key: codeKey(row.entry.shortCode, row.entry.domain),
+                shortUrl: shortUrlFor(request, row.entry.shortCode, row.entry.domain)
+            }
+            : { line: row.line, status: 'error', error: row.error });
+        const errors = rows.filter(row => row.error).map(row => ({ line: row.line, status: 'error', error: row.error }));
+
+        if (valid.length === 0) {
+            return NextResponse.json({ error: 'No valid rows to create', created: 0, failed: errors.length, rows: errors }, { status: 400 });
+        }
+
+        const limit = planLimit(user.plan);
+        const template = await findDefaultTemplate(authUser.id);
+        const design = template ? JSON.parse(template.design) : null;
+        for (const { entry } of valid) {
+            entry.shortCode = entry.slug || randomShortCode();
+            entry.design = design;
+        }
+
+        // Slugs were checked above for friendly errors; the unique index on
+        // (short_code, domain) still settles a single create racing this upload
+        let result;
+        try {
+            result = await createQRBatch(authUser.id, limit, valid.map(row => row.entry));
+        } catch (err) {
+            const lost = /UNIQUE constraint failed/.test(err.message) && await lostSlugRows(valid);
+            if (!lost) throw err;
+            const failed = [...errors, ...lost].sort((a, b) => a.line - b.line);
+            return NextResponse.json({
+                error: `${lost.map(row => `Line ${row.line}: ${row.error}`).join('; ')}. Nothing was created — change ${lost.length === 1 ? 'that slug' : 'those slugs'} and upload again.`,
+                created: 0,
+                failed: failed.length,
+                rows: failed
+            }, { status: 409 });
+        }
+        if (result.error) {
+            return NextResponse.json({
+                error: `This upload needs ${valid.length} QR code${valid.length === 1 ? '' : 's'} but your plan has ${Math.max(0, limit - result.count)} left (limit ${limit}). Nothing was created.`,
+                upgrade: true,
+                created: 0,
+                failed: errors.length,
+                rows: errors
+            }, { status: 403 });
+        }
+
+        return NextResponse.json({ created: result.created, failed: errors.length, rows: report() }, { status: 201 });
+    } catch (err) {
+        console.error('Bulk create error:', err);
+        return NextResponse.json({ error: 'Failed to create QR codes' }, { status: 500 });
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * POST /api/qr/export — Download many of your dynamic codes as one ZIP
+ *
+ * Body: { codes: ['abc', ...], format?: 'png' | 'svg', size?: 512 } — the keys from GET /api/qr
+ * Each code is rendered with its saved design (like GET /api/qr/[code]/image)
+ * into a file named after its label, or its short code when it has none.
+ * manifest.csv lists every file with its short URL and destination.
+ * The archive is streamed, so large exports start downloading right away.
+ */
+
+import { NextResponse } from 'next/server';
+import { getUserQRs } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { shortUrlFor } from '@/lib/urls';
+import { codeKey } from '@/lib/domains';
+import { parseImageOptions, DEFAULT_DESIGN } from '@/lib/qr';
+import { renderDesignImage } from '@/lib/qr/render';
+import { describePage } from '@/lib/pages';
+import { toCsv } from '@/lib/csv';
+import { zipStream } from '@/lib/zip';
+
+const EXPORT_FORMATS = ['png', 'svg'];
+const MAX_EXPORT_CODES = 500;
+
+// 'Table 1 / Patio' → 'Table-1-Patio'
+function fileBase(qr) {
+    const base = (qr.label || '').normalize('NFKD').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return base || qr.short_code;
+}
+
+export async function POST(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { codes, format = 'png', size = 512 } = await request.json();
+        if (!Array.isArray(codes) || codes.length === 0 || codes.length > MAX_EXPORT_CODES) {
+            return NextResponse.json({ error: `Pick between 1 and ${MAX_EXPORT_CODES} QR codes` }, { status: 400 });
+        }
+        if (!EXPORT_FORMATS.includes(format)) {
+            return NextResponse.json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` }, { status: 400 });
+        }
+        const checked = parseImageOptions(new URLSearchParams({ format, size: String(size) }));
+        if (checked.error) {
+            return NextResponse.json({ error: checked.error }, { status: 400 });
+        }
+
+        const wanted = new Set(codes);
+        const qrs = (await getUserQRs(authUser.id)).filter(qr => wanted.has(codeKey(qr.short_code, qr.domain)));
+        if (qrs.length !== wanted.size) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        // Labels can repeat, and short codes too on different domains: later files get
+        // their short code appended, then a counter until the name is free
+        const used = new Set();
+        const files = qrs.map(qr => {
+            let name = `${fileBase(qr)}.${format}`;
+            for (let n = 1; used.has(name.toLowerCase()); n++) {
+                name = `${fileBase(qr)}-${qr.short_code}${n > 1 ? `-${n}` : ''}.${format}`;
+            }
+            used.add(name.toLowerCase());
+            return { qr, name };
+        });
+
+        const manifest = toCsv([
+            ['file', 'short_code', 'short_url', 'label', 'destination', 'tags', 'scans'],
+            ...files.map(({ qr, name }) => [
+                name,
+                qr.short_code,
+                shortUrlFor(request, qr.short_code, qr.domain),
+                qr.label || '',
+                qr.page_type ? describePage(qr.page_type, qr.page_name) : qr.destination_url,
+                qr.tags ? JSON.parse(qr.tags).join(', ') : '',
+                qr.scan_count
+            ])
+        ]);
+
+        // Rendered one at a time as the stream is read
+        async function* entries() {
+            yield { name: 'manifest.csv', data: manifest };
+            for (const { qr, name } of files) {
+                const saved = qr.design ? JSON.parse(qr.design) : DEFAULT_DESIGN;
+                const { fg, bg, ec, margin } = saved;
+                const options = { ...checked.options, fg, bg, ec, margin };
+                yield { name, data: renderDesignImage(shortUrlFor(request, qr.short_code, qr.domain), saved, options) };
+            }
+        }
+
+        return new NextResponse(zipStream(entries()), {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="linktoqr-${format}-${new Date().toISOString().slice(0, 10)}.zip"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (err) {
+        console.error('Export error:', err);
+        return NextResponse.json({ error: 'Failed to export QR codes' }, { status: 500 });
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * POST /api/qr/lint — Scannability check for a design (lib/qr/lint.js)
+ *
+ * Body: { text, design?, size?, unit?, distance? }
+ *   text      — what the code will encode (the short URL, for dynamic codes)
+ *   size/unit — planned print size, e.g. 25 + 'mm'; enables the size check
+ *   distance  — expected scan distance in cm (default 30)
+ *
+ * Returns { ok, issues: [{ level, code, message }], metrics }. No login needed,
+ * same as the generator it backs.
+ */
+
+import { NextResponse } from 'next/server';
+import {
+    lintDesign, validateDesign, DataTooLongError, DEFAULT_DESIGN, UNITS,
+    MIN_SCAN_DISTANCE, MAX_SCAN_DISTANCE
+} from '@/lib/qr';
+
+export async function POST(request) {
+    try {
+        const { text, design, size, unit = 'mm', distance } = await request.json();
+
+        if (typeof text !== 'string' || !text) {
+            return NextResponse.json({ error: 'text is required' }, { status: 400 });
+        }
+
+        const validated = design ? validateDesign(design) : { design: DEFAULT_DESIGN };
+        if (validated.error) {
+            return NextResponse.json({ error: validated.error }, { status: 400 });
+        }
+
+        if (!UNITS[unit]) {
+            return NextResponse.json({ error: `unit must be one of: ${Object.keys(UNITS).join(', ')}` }, { status: 400 });
+        }
+        if (size !== undefined) {
+            const { min, max } = UNITS[unit];
+            if (typeof size !== 'number' || size < min || size > max) {
+                return NextResponse.json({ error: `size must be between ${min} and ${max} ${unit}` }, { status: 400 });
+            }
+        }
+        if (distance !== undefined && (typeof distance !== 'number' || distance < MIN_SCAN_DISTANCE || distance > MAX_SCAN_DISTANCE)) {
+            return NextResponse.json({ error: `distance must be between ${MIN_SCAN_DISTANCE} and ${MAX_SCAN_DISTANCE} cm` }, { status: 400 });
+        }
+
+        try {
+            return NextResponse.json(lintDesign(text, validated.design, { size, unit, distance }));
+        } catch (err) {
+            if (!(err instanceof DataTooLongError)) throw err;
+            return NextResponse.json({ error: 'Too much data for one QR code' }, { status: 400 });
+        }
+    } catch (err) {
+        console.error('Lint QR error:', err);
+        return NextResponse.json({ error: 'Failed to check QR code' }, { status: 500 });
+    }
+}
@@ -1,49 +1,103 @@
 /**
  * QR Code API Routes
- * POST /api/qr — Create a new dynamic QR code
- * GET  /api/qr — Get all QR codes for logged-in user
+ * POST /api/qr — Create a new dynamic QR code ({ url, slug?, domainId?, expiresAt?, password?, design?, templateId?, page? })
+ *                A slug (lib/slugs.js, paid plans) replaces the random short code; if it's taken
+ *                the 409 response carries { suggestions } that are free.
+ *                domainId puts the code on one of the account's verified custom domains (lib/domains.js),
+ *                each its own namespace of short codes.
+ *                Without a design, the code gets templateId's design or the account's default template.
+ *                With a page (lib/pages.js, logged in only) the code shows it instead of redirecting;
+ *                url is then an optional fallback for when the page is removed.
+ * GET  /api/qr — Get all QR codes for logged-in user, each with the key /api/qr/[code] addresses it by
  */
 
 import { NextResponse } from 'next/server';
 import bcrypt from 'bcryptjs';
-import crypto from 'crypto';
-import { createQR, findUserById, countUserQRs, getUserQRs } from '@/lib/db';
+import { createQR, findTakenCodes, findDomain, findUserById, countUserQRs, getUserQRs, findTemplate, findDefaultTemplate } from '@/lib/db';
 import { getAuthUser } from '@/lib/auth';
-
-function nanoid(size = 8) {
-    return crypto.randomBytes(size).toString('base64url').slice(0, size);
+import { validateDestination, validateExpiry } from '@/lib/validate';
+import { shortUrlFor, randomShortCode } from '@/lib/urls';
+import { validateDesign } from '@/lib/qr';
+import { validatePage } from '@/lib/pages';
+import { planLimit, allowsCustomSlugs, allowsCustomDomains } from '@/lib/plans';
+import { validateSlug, suggestSlugs } from '@/lib/slugs';
+import { codeKey } from '@/lib/domains';
+
+async function slugTaken(slug, domain) {
+    return NextResponse.json({
+        error: `Slug "${slug}" is already taken${domain ? ` on ${domain.hostname}` : ''}`,
+        suggestions: await suggestSlugs(slug, domain && domain.id)
+    }, { status: 409 });
 }
 
-const PLAN_LIMITS = { free: 2, pro: 50, business: Infinity };
-
 export async function POST(request) {
     try {
-        const { url, expiresAt, password } = await request.json();
+        const { url, slug, domainId, expiresAt, password, design, templateId, page } = await request.json();
 
-        if (!url || typeof url !== 'string') {
-            return NextResponse.json({ error: 'URL is required' }, { status: 400 });
+        const hosted = page ? validatePage(page) : { page: null };
+        if (hosted.error) {
+            return NextResponse.json({ error: hosted.error }, { status: 400 });
         }
 
-        try {
-            const parsed = new URL(url);
-            if (!['http:', 'https:'].includes(parsed.protocol)) {
-                return NextResponse.json({ error: 'Only HTTP/HTTPS URLs allowed' }, { status: 400 });
-            }
-        } catch {
-            return NextResponse.json({ error: 'Invalid URL format' }, { status: 400 });
+        const urlError = hosted.page && !url ? null : validateDestination(url);
+        if (urlError) {
+            return NextResponse.json({ error: urlError }, { status: 400 });
+        }
+
+        const custom = slug ? validateSlug(slug) : { slug: null };
+        if (custom.error) {
+            return NextResponse.json({ error: custom.error }, { status: 400 });
         }
 
-        if (url.length > 2048) {
-            return NextResponse.json({ error: 'URL too long (max 2048)' }, { status: 400 });
+        const expiry = validateExpiry(expiresAt);
+        if (expiry.error) {
+            return NextResponse.json({ error: expiry.error }, { status: 400 });
+        }
+
+        // Saved so the dashboard can re-download the code exactly as designed
+        const validated = design ? validateDesign(design) : { design: null };
+        if (validated.error) {
+            return NextResponse.json({ error: validated.error }, { status: 400 });
         }
 
         const authUser = getAuthUser();
         const userId = authUser ? authUser.id : null;
+        if (hosted.page && !userId) {
+            return NextResponse.json({ error: 'Log in to create a hosted page — it needs an owner to edit it' }, { status: 401 });
+        }
+        if (custom.slug && !userId) {
+            return NextResponse.json({ error: 'Log in to choose a custom slug' }, { status: 401 });
+        }
+        if (domainId && !userId) {
+            return NextResponse.json({ error: 'Log in to use a custom domain' }, { status: 401 });
+        }
+
+        let domain = null;
 
         if (userId) {
             const user = await findUserById(userId);
             const count = await countUserQRs(userId);
-            const limit = PLAN_LIMITS[user.plan] || PLAN_LIMITS.free;
+            const limit = planLimit(user.plan);
+
+            if (custom.slug && !allowsCustomSlugs(user.plan)) {
+                return NextResponse.json({
+                    error: 'Custom slugs are available on the Pro and Business plans.',
+                    upgrade: true
+                }, { status: 403 });
+            }
+
+            if (domainId) {
+                if (!allowsCustomDomains(user.plan)) {
+                    return NextResponse.json({ error: 'Custom domains are available on the Business plan.', upgrade: true }, { status: 403 });
+                }
+                domain = await findDomain(domainId, userId);
+                if (!domain) {
+                    return NextResponse.json({ error: 'Domain not found' }, { status: 404 });
+                }
+                if (!domain.verified_at) {
+                    return NextResponse.json({ error: `Verify ${domain.hostname} before putting codes on it` }, { status: 400 });
+                }
+            }
 
             if (count >= limit) {
                 return NextResponse.json({
@@ -51,21 +105,37 @@ export async function POST(request) {
                     upgrade: true
                 }, { status: 403 });
             }
+
+            if (!validated.design) {
+                const template = templateId ? await findTemplate(templateId, userId) : await findDefaultTemplate(userId);
+                if (templateId && !template) {
+                    return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+                }
+                if (template) validated.design = JSON.parse(template.design);
+            }
         }
 
-        const shortCode = nanoid(8);
+        const shortCode = custom.slug || randomShortCode();
         const hashedPw = password ? bcrypt.hashSync(password, 10) : null;
 
-        await createQR(shortCode, url, userId, expiresAt || null, hashedPw);
-
-        const origin = request.headers.get('origin') || request.headers.get('host') || 'localhost:3000';
-        const protocol = origin.includes('localhost') ? 'http' : 'https';
-        const baseUrl = origin.startsWith('http') ? origin : `${protocol}://${origin}`;
+        // Checked first for a friendly error; the unique index on (short_code, domain)
+        // still settles two requests racing for the same slug
+        if (custom.slug && (await findTakenCodes([custom.slug], domain && domain.id)).length > 0) {
+            return slugTaken(custom.slug, domain);
+        }
+        try {
+            await createQR(shortCode, url || '', userId, expiry.expiresAt, hashedPw, validated.design, hosted.page, domain && domain.id);
+        } catch (err) {
+            if (custom.slug && /UNIQUE constraint failed/.test(err.message)) return slugTaken(custom.slug, domain);
+            throw err;
+        }
 
         return NextResponse.json({
             shortCode,
-            shortUrl: `${baseUrl}/r/${shortCode}`,
-            destinationUrl: url,
+            key: codeKey(shortCode, domain && domain.hostname),
+            shortUrl: shortUrlFor(request, shortCode, domain && domain.hostname),
+            destinationUrl: url || '',
+            ...(hosted.page && { page: hosted.page }),
             createdAt: new Date().toISOString()
         }, { status: 201 });
     } catch (err) {
@@ -74,7 +144,7 @@ export async function POST(request) {
     }
 }
 
-export async function GET() {
+export async function GET(request) {
     const authUser = getAuthUser();
     if (!authUser) {
         return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
@@ -83,10 +153,18 @@ export async function GET() {
     const qrs = await getUserQRs(authUser.id);
     const count = await countUserQRs(authUser.id);
     const user = await findUserById(authUser.id);
-    const limit = PLAN_LIMITS[user.plan] || PLAN_LIMITS.free;
+    const limit = planLimit(user.plan);
 
     return NextResponse.json({
-        qrCodes: qrs,
+        // Designs can hold a logo; the dashboard loads one when it's needed (GET /api/qr/[code]/design)
+        qrCodes: qrs.map(({ design, ...qr }) => ({
+            ...qr,
+            key: codeKey(qr.short_code, qr.domain),
+            shortUrl: shortUrlFor(request, qr.short_code, qr.domain),
+            tags: qr.tags ? JSON.parse(qr.tags) : [],
+            routing_rules: qr.routing_rules ? JSON.parse(qr.routing_rules) : [],
+            ab_variants: qr.ab_variants ? JSON.parse(qr.ab_variants) : []
+        })),
         usage: { count, limit: limit === Infinity ? 'unlimited' : limit },
         plan: user.plan
     });
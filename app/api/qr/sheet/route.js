@@ -0,0 +1,69 @@
+/**
+ * POST /api/qr/sheet — Printable PDF of your dynamic codes tiled onto label sheets
+ *
+ * Body: { items: [{ code, caption? }], template, paper?, cols?, rows?, cropMarks? } — code is the key from GET /api/qr
+ * template is an Avery sheet from LABEL_TEMPLATES, or 'grid' with paper
+ * ('a4' | 'letter'), cols and rows (lib/qr/sheet.js). A caption left out
+ * defaults to the code's label; '' prints none. Codes keep their saved colors
+ * and shapes. Labels fill the sheets in the order given.
+ */
+
+import { NextResponse } from 'next/server';
+import { getUserQRs } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { shortUrlFor } from '@/lib/urls';
+import { codeKey } from '@/lib/domains';
+import { encodeText, designStyle, renderLabelSheet, resolveSheet, DEFAULT_DESIGN } from '@/lib/qr';
+
+const MAX_SHEET_CODES = 500;
+const MAX_CAPTION_LENGTH = 60;
+
+export async function POST(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { items, cropMarks = false, ...layout } = await request.json();
+        if (!Array.isArray(items) || items.length === 0 || items.length > MAX_SHEET_CODES) {
+            return NextResponse.json({ error: `Pick between 1 and ${MAX_SHEET_CODES} QR codes` }, { status: 400 });
+        }
+        if (items.some(item => item?.caption !== undefined && item.caption !== null &&
+            (typeof item.caption !== 'string' || item.caption.length > MAX_CAPTION_LENGTH))) {
+            return NextResponse.json({ error: `Captions must be at most ${MAX_CAPTION_LENGTH} characters` }, { status: 400 });
+        }
+        const { sheet, error } = resolveSheet(layout);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const owned = new Map((await getUserQRs(authUser.id)).map(qr => [codeKey(qr.short_code, qr.domain), qr]));
+        if (items.some(item => !owned.has(item?.code))) {
+            return NextResponse.json({ error: 'QR code not found or not owned by you' }, { status: 404 });
+        }
+
+        const labels = [];
+        for (const { code, caption } of items) {
+            const qr = owned.get(code);
+            const saved = qr.design ? JSON.parse(qr.design) : DEFAULT_DESIGN;
+            labels.push({
+                qr: encodeText(shortUrlFor(request, qr.short_code, qr.domain), saved.ec),
+                style: { ...designStyle(saved), frame: null },
+                caption: (caption ?? qr.label ?? '').trim()
+            });
+        }
+
+        const pdf = renderLabelSheet(labels, sheet, { cropMarks: !!cropMarks });
+        return new NextResponse(pdf, {
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="linktoqr-labels-${layout.template}.pdf"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (err) {
+        console.error('Label sheet error:', err);
+        return NextResponse.json({ error: 'Failed to create label sheet' }, { status: 500 });
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * GET /api/qr/slugs?slug=summer-menu&domainId=3 — Is a custom slug free? (logged in only)
+ *
+ * Slugs are unique per domain: without domainId the check is for the app's
+ * own, with it for one of the account's verified custom domains.
+ *
+ * Response: { slug, available, reason?, suggestions } — slug normalized
+ * (lowercased), suggestions only when it isn't available. Malformed slugs
+ * get a 400 with the validation error instead.
+ */
+
+import { NextResponse } from 'next/server';
+import { findTakenCodes, findDomain } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateSlug, suggestSlugs } from '@/lib/slugs';
+
+export async function GET(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const searchParams = new URL(request.url).searchParams;
+    const input = searchParams.get('slug') || '';
+    const checked = validateSlug(input);
+    if (checked.error && !checked.reserved) {
+        return NextResponse.json({ error: checked.error }, { status: 400 });
+    }
+
+    try {
+        const domainId = searchParams.get('domainId');
+        const domain = domainId ? await findDomain(Number(domainId), authUser.id) : null;
+        if (domainId && !domain?.verified_at) {
+            return NextResponse.json({ error: 'Domain not found' }, { status: 404 });
+        }
+
+        const slug = checked.slug || input.trim().toLowerCase();
+        const taken = (await findTakenCodes([slug], domain && domain.id)).length > 0;
+        const reason = checked.error || (taken ? `"${slug}" is already taken${domain ? ` on ${domain.hostname}` : ''}` : null);
+        return NextResponse.json({
+            slug,
+            available: !reason,
+            ...(reason && { reason }),
+            suggestions: reason ? await suggestSlugs(slug, domain && domain.id) : []
+        });
+    } catch (err) {
+        console.error('Slug check error:', err);
+        return NextResponse.json({ error: 'Failed to check slug' }, { status: 500 });
+    }
+}
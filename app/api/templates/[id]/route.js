@@ -0,0 +1,62 @@
+/**
+ * /api/templates/[id] — One saved design (owner only)
+ * GET    — The template
+ * PUT    — Change any of { name, design, isDefault }
+ * DELETE — Remove it; codes already created with it keep their design
+ */
+
+import { NextResponse } from 'next/server';
+import { findTemplate, updateTemplate, deleteTemplate } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateTemplate, formatTemplate } from '@/lib/templates';
+
+export async function GET(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const template = await findTemplate(params.id, authUser.id);
+    if (!template) {
+        return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(formatTemplate(template));
+}
+
+export async function PUT(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { template, error } = validateTemplate(await request.json(), { partial: true });
+        if (error) return NextResponse.json({ error }, { status: 400 });
+
+        // Check ownership first: making a template the default clears the account's other defaults
+        if (!await findTemplate(params.id, authUser.id)) {
+            return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+        }
+
+        await updateTemplate(params.id, authUser.id, template);
+        return NextResponse.json(formatTemplate(await findTemplate(params.id, authUser.id)));
+    } catch (err) {
+        console.error('Update template error:', err);
+        return NextResponse.json({ error: 'Failed to update template' }, { status: 500 });
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const result = await deleteTemplate(params.id, authUser.id);
+    if (result.changes === 0) {
+        return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ message: 'Template deleted' });
+}
@@ -0,0 +1,47 @@
+/**
+ * /api/templates — Saved brand designs for the logged-in account
+ * GET  — List templates (the default first)
+ * POST — Save one: { name, design, isDefault? }
+ *
+ * See lib/templates.js. The default template is applied to new dynamic codes
+ * created without a design (POST /api/qr).
+ */
+
+import { NextResponse } from 'next/server';
+import { getTemplates, createTemplate, findTemplate } from '@/lib/db';
+import { getAuthUser } from '@/lib/auth';
+import { validateTemplate, formatTemplate, MAX_TEMPLATES } from '@/lib/templates';
+
+export async function GET() {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    const rows = await getTemplates(authUser.id);
+    return NextResponse.json({ templates: rows.map(formatTemplate) });
+}
+
+export async function POST(request) {
+    const authUser = getAuthUser();
+    if (!authUser) {
+        return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+    }
+
+    try {
+        const { template, error } = validateTemplate(await request.json());
+        if (error) return NextResponse.json({ error }, { status: 400 });
+
+        const existing = await getTemplates(authUser.id);
+        if (existing.length >= MAX_TEMPLATES) {
+            return NextResponse.json({ error: `Template limit reached (max ${MAX_TEMPLATES})` }, { status: 400 });
+        }
+
+        const result = await createTemplate(authUser.id, template);
+        const created = await findTemplate(result.lastInsertRowid, authUser.id);
+        return NextResponse.json(formatTemplate(created), { status: 201 });
+    } catch (err) {
+        console.error('Create template error:', err);
+        return NextResponse.json({ error: 'Failed to save template' }, { status: 500 });
+    }
+}
@@ -0,0 +1,184 @@
+'use client';
+
+/**
+ * app/dashboard/[code]/page.js — Analytics for a single QR code
+ *
+ * Scans over time, device / OS breakdown and top referrers,
+ * all from GET /api/qr/[code]/analytics for the picked date range,
+ * plus the code's campaign calendar (scheduled destination changes).
+ * Link-in-bio codes also show clicks per button.
+ */
+
+import { useState, useEffect } from 'react';
+import { useParams } from 'next/navigation';
+import Header from '@/components/Header';
+import { TimeSeriesChart, BarChart } from '@/components/ScanCharts';
+import ScheduleList from '@/components/ScheduleList';
+import { describePayload } from '@/lib/payloads';
+import { describePage } from '@/lib/pages';
+import { codeLabel } from '@/lib/domains';
+
+const DEVICE_LABELS = { mobile: '📱 Mobile', tablet: '📲 Tablet', desktop: '💻 Desktop', bot: '🤖 Bot', unknown: 'Unknown' };
+const OS_LABELS = { ios: 'iOS', android: 'Android', windows: 'Windows', macos: 'macOS', chromeos: 'ChromeOS', linux: 'Linux', other: 'Other', unknown: 'Unknown' };
+
+function daysAgo(n) {
+    return new Date(Date.now() - n * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+export default function QRAnalyticsPage() {
+    const { code } = useParams();
+    const [from, setFrom] = useState(daysAgo(29));
+    const [to, setTo] = useState(daysAgo(0));
+    const [groupBy, setGroupBy] = useState('day');
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadAnalytics();
+    }, [from, to, groupBy]);
+
+    async function loadAnalytics() {
+        const token = localStorage.getItem('linktoqr_token');
+        if (!token) { setError('Please log in to view analytics.'); setLoading(false); return; }
+
+        setLoading(true);
+        try {
+            const query = new URLSearchParams({ from, to, interval: groupBy });
+            const res = await fetch(`/api/qr/${code}/analytics?${query}`, {
+                headers: { Authorization: 'Bearer ' + token }
+            });
+            const body = await res.json();
+            if (!res.ok) throw new Error(body.error || 'Failed to load');
+            setData(body);
+            setError('');
+        } catch (err) {
+            setError(err.message);
+        }
+        setLoading(false);
+    }
+
+    function setPreset(days) {
+        setFrom(daysAgo(days - 1));
+        setTo(daysAgo(0));
+        setGroupBy(days <= 2 ? 'hour' : days > 90 ? 'week' : 'day');
+    }
+
+    return (
+        <>
+            <div className="bg-orbs" aria-hidden="true">
+                <div className="orb orb-1"></div>
+                <div className="orb orb-2"></div>
+                <div className="orb orb-3"></div>
+            </div>
+
+            <main className="container">
+                <Header />
+
+                <div className="card dashboard-card">
+                    <div className="dashboard-header">
+                        <div className="qr-row-info">
+                            <h2>📈 {codeLabel(code)}</h2>
+                            {data && <span className="qr-row-url" title={data.destinationUrl}>{data.page ? describePage(data.page.type, data.page.name) : describePayload(data.destinationUrl) || data.destinationUrl}</span>}
+                        </div>
+                        {data && <div className="usage-badge">{data.totals.total} scans all-time</div>}
+                    </div>
+
+                    {/* Date range picker */}
+                    <div className="range-picker">
+                        <div className="range-presets">
+                            {[1, 7, 30, 90, 365].map(days => (
+                                <button key={days} className="qr-row-btn" onClick={() => setPreset(days)}>
+                                    {days === 1 ? '24h' : days === 365 ? '1y' : `${days}d`}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="options-row">
+                            <label className="option-group">
+                                <span className="option-label">From</span>
+                                <input type="date" value={from} max={to} onChange={e => e.target.value && setFrom(e.target.value)} />
+                            </label>
+                            <label className="option-group">
+                                <span className="option-label">To</span>
+                                <input type="date" value={to} min={from} onChange={e => e.target.value && setTo(e.target.value)} />
+                            </label>
+                            <label className="option-group">
+                                <span className="option-label">Group by</span>
+                                <select value={groupBy} onChange={e => setGroupBy(e.target.value)}>
+                                    <option value="hour">Hour</option>
+                                    <option value="day">Day</option>
+                                    <option value="week">Week</option>
+                                </select>
+                            </label>
+                        </div>
+                    </div>
+
+                    {error ? (
+                        <p className="empty-dashboard">{error}</p>
+                    ) : !data ? (
+                        <p className="empty-dashboard">Loading...</p>
+                    ) : (
+                        <div className={loading ? 'analytics-body loading' : 'analytics-body'}>
+                            <div className="qr-row-stats analytics-totals">
+                                <div className="stat">
+                                    <span className="stat-value">{data.scans}</span>
+                                    <span className="stat-label">Scans in range</span>
+                                </div>
+                                <div className="stat">
+                                    <span className="stat-value">{data.totals.uniqueScanners}</span>
+                                    <span className="stat-label">Unique all-time</span>
+                                </div>
+                                <div className="stat">
+                                    <span className="stat-value">{data.totals.last24h}</span>
+                                    <span className="stat-label">Last 24h</span>
+                                </div>
+                                <div className="stat">
+                                    <span className="stat-value">{data.totals.last7d}</span>
+                                    <span className="stat-label">Last 7 days</span>
+                                </div>
+                            </div>
+
+                            <section className="analytics-section">
+                                <h3>Scans over time</h3>
+                                <TimeSeriesChart series={data.series} interval={data.interval} />
+                                <p className="chart-legend">
+                                    <span className="legend-swatch"></span> Scans
+                                    <span className="legend-swatch secondary"></span> Unique scanners
+                                </p>
+                            </section>
+
+                            <section className="analytics-section">
+                                <h3>Devices</h3>
+                                <BarChart data={data.breakdown.devices} label={v => DEVICE_LABELS[v] || v || 'Unknown'} />
+                            </section>
+
+                            <section className="analytics-section">
+                                <h3>Operating systems</h3>
+                                <BarChart data={data.breakdown.os} label={v => OS_LABELS[v] || v || 'Unknown'} />
+                            </section>
+
+                            <section className="analytics-section">
+                                <h3>Top referrers</h3>
+                                <BarChart data={data.breakdown.referrers} label={v => v === 'direct' ? 'Direct / camera scan' : v} />
+                            </section>
+
+                            {data.linkClicks && (
+                                <section className="analytics-section">
+                                    <h3>Link clicks</h3>
+                                    <BarChart
+                                        data={data.linkClicks.filter(link => link.clicks > 0).map(link => ({ value: link.title, scans: link.clicks }))}
+                                        unit="clicks"
+                                    />
+                                </section>
+                            )}
+
+                            <ScheduleList code={code} />
+                        </div>
+                    )}
+
+                    <a href="/dashboard" className="nav-btn" style={{ marginTop: '16px', width: '100%', textAlign: 'center', display: 'block' }}>← Back to My QR Codes</a>
+                </div>
+            </main>
+        </>
+    );
+}
@@ -9,6 +9,14 @@
 
 import { useState, useEffect } from 'react';
 import Header from '@/components/Header';
+import EditQRModal from '@/components/EditQRModal';
+import DownloadQRModal from '@/components/DownloadQRModal';
+import BulkUploadModal from '@/components/BulkUploadModal';
+import LabelSheetModal from '@/components/LabelSheetModal';
+import DomainsModal from '@/components/DomainsModal';
+import { describePayload } from '@/lib/payloads';
+import { describePage } from '@/lib/pages';
+import { codeLabel } from '@/lib/domains';
 
 export default function DashboardPage() {
     const [qrCodes, setQrCodes] = useState([]);
@@ -16,6 +24,14 @@ export default function DashboardPage() {
     const [plan, setPlan] = useState('free');
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [downloading, setDownloading] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    const [selected, setSelected] = useState(new Set());
+    const [exportFormat, setExportFormat] = useState('png');
+    const [exporting, setExporting] = useState(false);
+    const [printing, setPrinting] = useState(false);
+    const [managingDomains, setManagingDomains] = useState(false);
 
     useEffect(() => {
         loadData();
@@ -32,6 +48,7 @@ export default function DashboardPage() {
             if (!res.ok) throw new Error('Failed to load');
             const data = await res.json();
             setQrCodes(data.qrCodes);
+            setSelected(current => new Set(data.qrCodes.map(qr => qr.key).filter(code => current.has(code))));
             setUsage(data.usage);
             setPlan(data.plan);
         } catch (err) {
@@ -40,19 +57,38 @@ export default function DashboardPage() {
         setLoading(false);
     }
 
-    async function editQR(code) {
-        const newUrl = prompt('Enter new destination URL:');
-        if (!newUrl) return;
-        try { new URL(newUrl); } catch { alert('Invalid URL'); return; }
+    function editQR(qr) {
+        setEditing(qr);
+    }
 
-        const token = localStorage.getItem('linktoqr_token');
-        const res = await fetch(`/api/qr/${code}`, {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + token },
-            body: JSON.stringify({ url: newUrl })
+    function toggleSelected(code) {
+        setSelected(current => {
+            const next = new Set(current);
+            if (next.has(code)) next.delete(code);
+            else next.add(code);
+            return next;
         });
-        if (res.ok) loadData();
-        else alert('Failed to update');
+    }
+
+    // Streams a ZIP of the selected codes plus manifest.csv (POST /api/qr/export)
+    async function exportSelected() {
+        setExporting(true);
+        try {
+            const res = await fetch('/api/qr/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') },
+                body: JSON.stringify({ codes: [...selected], format: exportFormat })
+            });
+            if (!res.ok) throw new Error((await res.json()).error || 'Export failed');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await res.blob());
+            link.download = res.headers.get('content-disposition')?.match(/filename="(.+)"/)?.[1] || 'linktoqr.zip';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            alert(err.message);
+        }
+        setExporting(false);
     }
 
     async function deleteQR(code) {
@@ -80,7 +116,11 @@ export default function DashboardPage() {
                 <div className="card dashboard-card">
                     <div className="dashboard-header">
                         <h2>📊 My QR Codes</h2>
-                        <div className="usage-badge">{usage.count} / {usage.limit} QR used ({plan})</div>
+                        <div className="dashboard-actions">
+                            <button className="qr-row-btn" onClick={() => setUploading(true)}>Bulk upload</button>
+                            <button className="qr-row-btn" onClick={() => setManagingDomains(true)}>Domains</button>
+                            <div className="usage-badge">{usage.count} / {usage.limit} QR used ({plan})</div>
+                        </div>
                     </div>
 
                     {loading ? (
@@ -91,21 +131,62 @@ export default function DashboardPage() {
                         <p className="empty-dashboard">No dynamic QR codes yet. <a href="/" style={{ color: 'var(--accent-hover)' }}>Create one!</a></p>
                     ) : (
                         <div className="dashboard-list">
+                            <div className="dashboard-selection">
+                                <label className="payload-check">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.size === qrCodes.length}
+                                        onChange={e => setSelected(new Set(e.target.checked ? qrCodes.map(qr => qr.key) : []))}
+                                    />
+                                    <span>{selected.size > 0 ? `${selected.size} selected` : 'Select all'}</span>
+                                </label>
+                                {selected.size > 0 && (
+                                    <div className="dashboard-actions">
+                                        <select value={exportFormat} onChange={e => setExportFormat(e.target.value)}>
+                                            <option value="png">PNG</option>
+                                            <option value="svg">SVG</option>
+                                        </select>
+                                        <button className="qr-row-btn" onClick={exportSelected} disabled={exporting}>
+                                            {exporting ? 'Exporting...' : 'Download ZIP'}
+                                        </button>
+                                        <button className="qr-row-btn" onClick={() => setPrinting(true)}>Print labels</button>
+                                    </div>
+                                )}
+                            </div>
                             {qrCodes.map(qr => (
-                                <div key={qr.short_code} className="qr-row">
+                                <div key={qr.key} className="qr-row">
+                                    <input
+                                        type="checkbox"
+                                        className="qr-row-select"
+                                        checked={selected.has(qr.key)}
+                                        onChange={() => toggleSelected(qr.key)}
+                                        aria-label={`Select ${codeLabel(qr.key)}`}
+                                    />
                                     <div className="qr-row-info">
-                                        <span className="qr-row-url" title={qr.destination_url}>{qr.destination_url}</span>
-                                        <span className="qr-row-code">/r/{qr.short_code}</span>
+                                        <span className="qr-row-url" title={qr.destination_url}>{qr.label || (qr.page_type
+                                            ? describePage(qr.page_type, qr.page_name)
+                                            : describePayload(qr.destination_url) || qr.destination_url)}</span>
+                                        <span className="qr-row-code">{codeLabel(qr.key)}</span>
+                                        {qr.tags.map(tag => <span key={tag} className="badge">{tag}</span>)}
+                                        {qr.scheduled_changes > 0 && (
+                                            <a className="badge" href={`/dashboard/${qr.key}`}>⏰ {qr.scheduled_changes} scheduled</a>
+                                        )}
                                     </div>
                                     <div className="qr-row-stats">
                                         <div className="stat">
                                             <span className="stat-value">{qr.scan_count}</span>
                                             <span className="stat-label">Scans</span>
                                         </div>
+                                        <div className="stat" title="Distinct scanners per day, counted without storing IP addresses">
+                                            <span className="stat-value">{qr.unique_scanners}</span>
+                                            <span className="stat-label">Unique</span>
+                                        </div>
                                     </div>
                                     <div className="qr-row-actions">
-                                        <button className="qr-row-btn" onClick={() => editQR(qr.short_code)}>Edit</button>
-                                        <button className="qr-row-btn delete" onClick={() => deleteQR(qr.short_code)}>Delete</button>
+                                        <a className="qr-row-btn" href={`/dashboard/${qr.key}`}>Stats</a>
+                                        <button className="qr-row-btn" onClick={() => editQR(qr)}>Edit</button>
+                                        <button className="qr-row-btn" onClick={() => setDownloading(qr.key)}>Download</button>
+                                        <button className="qr-row-btn delete" onClick={() => deleteQR(qr.key)}>Delete</button>
                                     </div>
                                 </div>
                             ))}
@@ -115,6 +196,30 @@ export default function DashboardPage() {
                     <a href="/" className="nav-btn" style={{ marginTop: '16px', width: '100%', textAlign: 'center', display: 'block' }}>← Back to Generator</a>
                 </div>
             </main>
+
+            {editing && (
+                <EditQRModal
+                    code={editing.key}
+                    currentUrl={editing.destination_url}
+                    pageType={editing.page_type}
+                    onClose={() => setEditing(null)}
+                    onSaved={() => { setEditing(null); loadData(); }}
+                />
+            )}
+
+            {managingDomains && <DomainsModal onClose={() => setManagingDomains(false)} />}
+
+            {printing && (
+                <LabelSheetModal qrCodes={qrCodes.filter(qr => selected.has(qr.key))} onClose={() => setPrinting(false)} />
+            )}
+
+            {uploading && (
+                <BulkUploadModal onClose={() => setUploading(false)} onCreated={loadData} />
+            )}
+
+            {downloading && (
+                <DownloadQRModal code={downloading} onClose={() => setDownloading(null)} />
+            )}
         </>
     );
 }
@@ -0,0 +1,41 @@
+/**
+ * GET /r/[code]/convert — A/B conversion pixel
+ *
+ * Put <img src="https://linktoqr.app/r/CODE/convert" width="1" height="1" alt="">
+ * on the page that counts as a success (thank-you page, order confirmation).
+ * Codes on a custom domain use https://go.yourbrand.com/CODE/convert, under their short link.
+ * The sticky variant cookie set by the redirect tells us which variant converted.
+ */
+
+import { NextResponse } from 'next/server';
+import { findByCodeOnDomain, findVerifiedDomain, recordConversion } from '@/lib/db';
+import { variantCookieName } from '@/lib/abtest';
+import { visitorHash } from '@/lib/visitor';
+import { hostnameOf } from '@/lib/domains';
+
+// Smallest valid transparent GIF (1×1)
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+export async function GET(request, { params }) {
+    try {
+        const variantId = request.cookies.get(variantCookieName(params.code))?.value;
+        if (variantId) {
+            const domain = await findVerifiedDomain(hostnameOf(request.headers.get('host')));
+            const qr = await findByCodeOnDomain(params.code, domain ? domain.id : null);
+            const variants = qr?.ab_variants ? JSON.parse(qr.ab_variants) : [];
+            if (variants.some(v => v.id === variantId)) {
+                await recordConversion(qr.id, variantId, visitorHash(request));
+            }
+        }
+    } catch (err) {
+        // Never break the host page over analytics
+        console.error('Conversion error:', err);
+    }
+
+    return new NextResponse(PIXEL, {
+        headers: {
+            'Content-Type': 'image/gif',
+            'Cache-Control': 'no-store, max-age=0'
+        }
+    });
+}
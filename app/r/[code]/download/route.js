@@ -0,0 +1,63 @@
+/**
+ * GET /r/[code]/download — File behind a landing page's main button
+ *
+ * Contact codes and business cards → .vcf ("Save contact" / "Download
+ * contact"), event codes → .ics ("Add to calendar"). Phones hand both file types straight to the contacts or
+ * calendar app. Same expiry / password checks as the redirect (?pw=).
+ */
+
+import { NextResponse } from 'next/server';
+import { findVerifiedDomain } from '@/lib/db';
+import { findLandingCode } from '@/lib/landing';
+import { toVCardFile, toCalendarFile } from '@/lib/payloads';
+import { cardToVCard } from '@/lib/cards';
+import { shortUrlFor } from '@/lib/urls';
+import { hostnameOf } from '@/lib/domains';
+
+const STATUS = { 'not-found': 404, expired: 410, password: 401 };
+
+// Safe, readable file name: 'Ann Lee' → 'ann-lee'
+function fileName(text, fallback) {
+    const name = (text || '').toLowerCase().normalize('NFD').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return name.slice(0, 60) || fallback;
+}
+
+export async function GET(request, { params }) {
+    try {
+        const domain = await findVerifiedDomain(hostnameOf(request.headers.get('host')));
+        const { qr, page, payload, error } = await findLandingCode(params.code, new URL(request.url).searchParams.get('pw'), domain ? domain.id : null);
+        if (error) {
+            return NextResponse.json({ error: 'Nothing to download for this code' }, { status: STATUS[error] });
+        }
+
+        let body, type, name;
+        if (page?.type === 'card') {
+            body = cardToVCard(page, shortUrlFor(request, params.code, qr.domain));
+            type = 'text/vcard';
+            name = `${fileName(page.name, 'contact')}.vcf`;
+        } else if (payload?.type === 'vcard' || payload?.type === 'mecard') {
+            const { firstName, lastName, organization } = payload.fields;
+            body = toVCardFile(qr.destination_url);
+            type = 'text/vcard';
+            name = `${fileName([firstName, lastName].join(' ') || organization, 'contact')}.vcf`;
+        } else if (payload?.type === 'event') {
+            body = toCalendarFile(qr.destination_url, `${params.code}@linktoqr`);
+            type = 'text/calendar';
+            name = `${fileName(payload.fields.title, 'event')}.ics`;
+        }
+        if (!body) {
+            return NextResponse.json({ error: 'Nothing to download for this code' }, { status: 404 });
+        }
+
+        return new NextResponse(body, {
+            headers: {
+                'Content-Type': `${type}; charset=utf-8`,
+                'Content-Disposition': `attachment; filename="${name}"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (err) {
+        console.error('Download error:', err);
+        return NextResponse.json({ error: 'Server error' }, { status: 500 });
+    }
+}
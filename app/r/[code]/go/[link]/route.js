@@ -0,0 +1,36 @@
+/**
+ * GET /r/[code]/go/[link] — A button on a link-in-bio page
+ *
+ * Counts the click for that link (by its id, see lib/links.js) and
+ * redirects to it. Same expiry / password checks as the redirect (?pw=).
+ */
+
+import { NextResponse } from 'next/server';
+import { findVerifiedDomain, recordLinkClick } from '@/lib/db';
+import { findLandingCode } from '@/lib/landing';
+import { hostnameOf } from '@/lib/domains';
+
+export async function GET(request, { params }) {
+    try {
+        const domain = await findVerifiedDomain(hostnameOf(request.headers.get('host')));
+        const { qr, page, error } = await findLandingCode(params.code, new URL(request.url).searchParams.get('pw'), domain ? domain.id : null);
+        if (error === 'expired') {
+            return NextResponse.json({ error: 'This QR code has expired' }, { status: 410 });
+        }
+        if (error === 'password') {
+            return NextResponse.redirect(new URL(`/password/${params.code}`, request.url));
+        }
+
+        const link = page?.type === 'links' && page.links.find(l => l.id === params.link);
+        if (error || !link) {
+            if (domain) return new NextResponse('Not found', { status: 404 });
+            return NextResponse.redirect(new URL('/', request.url));
+        }
+
+        await recordLinkClick(qr.id, link.id);
+        return NextResponse.redirect(link.url, 302);
+    } catch (err) {
+        console.error('Link click error:', err);
+        return NextResponse.json({ error: 'Server error' }, { status: 500 });
+    }
+}
@@ -1,17 +1,31 @@
 /**
  * GET /r/[code] — Redirect handler
  * Scans hit this URL → we track the scan → redirect to destination
+ * (or, for WiFi / contact / payment payloads and hosted pages, to their landing page — see lib/landing.js)
+ * Only codes on the domain the request came in on resolve (custom domains, see lib/domains.js).
+ * Unknown codes go to the home page — except on a custom domain or a rewritten short link
+ * (middleware.js), where the home page isn't ours to send people to: those get a plain 404.
  */
 
 import { NextResponse } from 'next/server';
-import { findByCode, incrementScan } from '@/lib/db';
+import { findByCodeOnDomain, findVerifiedDomain, recordScan, getCurrentScheduleEntries } from '@/lib/db';
+import { describeScan, toSqlTimestamp } from '@/lib/analytics';
+import { visitorHash } from '@/lib/visitor';
+import { resolveDestination, parseAcceptLanguages } from '@/lib/routing';
+import { variantCookieName, COOKIE_MAX_AGE } from '@/lib/abtest';
+import { activeScheduleEntry } from '@/lib/schedule';
+import { parsePayload } from '@/lib/payloads';
+import { landingPath } from '@/lib/landing';
+import { hostnameOf, SHORT_LINK_HEADER } from '@/lib/domains';
 import bcrypt from 'bcryptjs';
 
 export async function GET(request, { params }) {
     try {
-        const qr = await findByCode(params.code);
+        const domain = await findVerifiedDomain(hostnameOf(request.headers.get('host')));
+        const qr = await findByCodeOnDomain(params.code, domain ? domain.id : null);
 
         if (!qr) {
+            if (domain || request.headers.has(SHORT_LINK_HEADER)) return new NextResponse('Not found', { status: 404 });
             return NextResponse.redirect(new URL('/', request.url));
         }
 
@@ -21,19 +35,46 @@ export async function GET(request, { params }) {
         }
 
         // Check password protection
+        const providedPw = new URL(request.url).searchParams.get('pw');
         if (qr.password) {
-            const url = new URL(request.url);
-            const providedPw = url.searchParams.get('pw');
             if (!providedPw || !bcrypt.compareSync(providedPw, qr.password)) {
                 return NextResponse.redirect(new URL(`/password/${params.code}`, request.url));
             }
         }
 
-        // Track the scan
-        await incrementScan(params.code);
+        // Routing rules, a scheduled change or an A/B variant may override destination_url
+        const now = new Date();
+        const scan = describeScan(request);
+        const cookieName = variantCookieName(params.code);
+        const scheduleRows = await getCurrentScheduleEntries(qr.id, toSqlTimestamp(now));
+        const { url, variant } = resolveDestination(qr, {
+            os: scan.os,
+            languages: parseAcceptLanguages(request.headers.get('accept-language')),
+            now,
+            scheduled: activeScheduleEntry(scheduleRows, now),
+            random: Math.random,
+            stickyVariant: request.cookies.get(cookieName)?.value
+        });
 
-        // 302 temporary redirect
-        return NextResponse.redirect(qr.destination_url, 302);
+        // Track the scan (event log + counter). Only a daily-rotating hash of the visitor is kept.
+        await recordScan(qr, { ...scan, visitorHash: visitorHash(request), variant: variant?.id });
+
+        // 302 temporary redirect. A hosted page replaces destination_url, so it shows unless a rule picked another URL.
+        const showLanding = (qr.page && url === qr.destination_url) || parsePayload(url);
+        const target = showLanding ? new URL(landingPath(params.code, qr.password && providedPw), request.url) : url;
+        const response = NextResponse.redirect(target, 302);
+        if (variant?.isNew) {
+            // Sticky A/B assignment; SameSite=None so the conversion pixel on the landing page can read it.
+            // Its path is the URL the browser asked for (/abc on a custom domain), which the pixel sits under.
+            response.cookies.set(cookieName, variant.id, {
+                path: request.headers.has(SHORT_LINK_HEADER) ? `/${params.code}` : `/r/${params.code}`,
+                maxAge: COOKIE_MAX_AGE,
+                httpOnly: true,
+                secure: true,
+                sameSite: 'none'
+            });
+        }
+        return response;
     } catch (err) {
         console.error('Redirect error:', err);
         return NextResponse.json({ error: 'Server error' }, { status: 500 });
@@ -0,0 +1,219 @@
+/**
+ * app/r/[code]/view/page.js — Landing page for non-URL dynamic codes
+ *
+ * /r/[code] sends scans here when the destination is a payload (WiFi,
+ * contact, event, payment…) instead of a web URL, or when the code has a
+ * hosted page (business card, link-in-bio) — see lib/landing.js.
+ * Rendered on the server; the only client part is the copy button.
+ */
+
+import { headers } from 'next/headers';
+import { notFound, redirect } from 'next/navigation';
+import CopyButton from '@/components/CopyButton';
+import BusinessCard from '@/components/BusinessCard';
+import LinkPage from '@/components/LinkPage';
+import { findVerifiedDomain } from '@/lib/db';
+import { findLandingCode, landingPath } from '@/lib/landing';
+import { hostnameOf } from '@/lib/domains';
+import { PAYLOAD_TYPES } from '@/lib/payloads';
+
+export const metadata = {
+    title: 'Scanned QR Code',
+    robots: { index: false }
+};
+
+const SECURITY_LABELS = { WPA: 'WPA / WPA2 / WPA3', WEP: 'WEP', nopass: 'None (open network)' };
+
+function formatWhen({ start, end, allDay }) {
+    if (allDay) {
+        const day = value => new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', { dateStyle: 'medium', timeZone: 'UTC' });
+        return end && end !== start ? `${day(start)} – ${day(end)}` : day(start);
+    }
+    const time = value => new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'UTC' });
+    return `${time(start)}${end ? ` – ${time(end)}` : ''} UTC`;
+}
+
+/**
+ * What to show for each payload type: a heading, detail rows
+ * ({ label, value, href?, copy? }) and the action buttons.
+ */
+function describe(type, f, { destination, download }) {
+    const contact = () => ({
+        emoji: '👤',
+        title: [f.firstName, f.lastName].filter(Boolean).join(' ') || f.organization,
+        rows: [
+            { label: 'Company', value: f.firstName || f.lastName ? f.organization : '' },
+            { label: 'Title', value: f.title },
+            { label: 'Phone', value: f.phone, href: `tel:${f.phone}` },
+            { label: 'Email', value: f.email, href: `mailto:${f.email}` },
+            { label: 'Website', value: f.url, href: /^https?:\/\//i.test(f.url) ? f.url : `https://${f.url}` },
+            { label: 'Address', value: [f.street, f.city, f.region, f.postalCode, f.country].filter(Boolean).join(', ') },
+            { label: 'Note', value: f.note }
+        ],
+        actions: [{ label: 'Save contact', href: download }]
+    });
+
+    switch (type) {
+        case 'wifi':
+            return {
+                emoji: '📶',
+                title: f.ssid,
+                rows: [
+                    { label: 'Security', value: SECURITY_LABELS[f.security] },
+                    { label: 'Password', value: f.password, copy: true },
+                    { label: 'Hidden', value: f.hidden ? 'Yes — choose "Other network" and type the name' : '' }
+                ],
+                hint: 'Open your WiFi settings, pick this network and paste the password.',
+                actions: []
+            };
+        case 'vcard':
+        case 'mecard':
+            return contact();
+        case 'event':
+            return {
+                emoji: '📅',
+                title: f.title,
+                rows: [
+                    { label: 'When', value: f.start && formatWhen(f) },
+                    { label: 'Where', value: f.location },
+                    { label: 'Details', value: f.description }
+                ],
+                actions: [{ label: 'Add to calendar', href: download }]
+            };
+        case 'upi':
+            return {
+                emoji: '💳',
+                title: `Pay ${f.name || f.vpa}`,
+                rows: [
+                    { label: 'UPI ID', value: f.vpa, copy: true },
+                    { label: 'Amount', value: f.amount && `₹${f.amount}` },
+                    { label: 'Note', value: f.note }
+                ],
+                hint: 'Opens GPay, PhonePe, Paytm or any other UPI app on this phone.',
+                actions: [{ label: 'Pay with UPI', href: destination }]
+            };
+        case 'bitcoin':
+            return {
+                emoji: '₿',
+                title: f.label || 'Bitcoin payment',
+                rows: [
+                    { label: 'Address', value: f.address, copy: true },
+                    { label: 'Amount', value: f.amount && `${f.amount} BTC` },
+                    { label: 'Message', value: f.message }
+                ],
+                actions: [{ label: 'Open in wallet', href: destination }]
+            };
+        case 'sms':
+            return {
+                emoji: '💬',
+                title: `Text ${f.phone}`,
+                rows: [{ label: 'Message', value: f.message, copy: true }],
+                // '?&body=' is understood by both iOS and Android
+                actions: [{ label: 'Send text', href: `sms:${f.phone}${f.message ? `?&body=${encodeURIComponent(f.message)}` : ''}` }]
+            };
+        case 'email': {
+            // mailto: wants %20 for spaces, not URLSearchParams' '+'
+            const query = new URLSearchParams(Object.entries({ subject: f.subject, body: f.body }).filter(([, v]) => v))
+                .toString().replace(/\+/g, '%20');
+            return {
+                emoji: '✉️',
+                title: f.to,
+                rows: [
+                    { label: 'Subject', value: f.subject },
+                    { label: 'Message', value: f.body }
+                ],
+                actions: [{ label: 'Write email', href: `mailto:${f.to}${query ? '?' + query : ''}` }]
+            };
+        }
+        case 'phone':
+            return {
+                emoji: '📞',
+                title: f.phone,
+                rows: [],
+                actions: [{ label: 'Call', href: `tel:${f.phone}` }]
+            };
+        case 'geo':
+            return {
+                emoji: '📍',
+                title: 'Location',
+                rows: [{ label: 'Coordinates', value: `${f.latitude}, ${f.longitude}`, copy: true }],
+                actions: [
+                    { label: 'Open in maps', href: `geo:${f.latitude},${f.longitude}` },
+                    { label: 'Google Maps', href: `https://www.google.com/maps/search/?api=1&query=${f.latitude},${f.longitude}`, secondary: true }
+                ]
+            };
+        default:
+            return { emoji: '🔗', title: PAYLOAD_TYPES[type]?.label || 'QR code', rows: [], actions: [] };
+    }
+}
+
+export default async function LandingPage({ params, searchParams }) {
+    const password = searchParams.pw;
+    const domain = await findVerifiedDomain(hostnameOf(headers().get('host')));
+    const { qr, page, payload, error } = await findLandingCode(params.code, password, domain ? domain.id : null);
+    if (error === 'not-found' && domain) notFound();
+    if (error === 'not-found') redirect('/');
+    if (error === 'password') redirect(`/password/${params.code}`);
+
+    const download = landingPath(params.code, password, 'download');
+    if (page) {
+        return (
+            <div className="landing-page">
+                <div className="card landing-card">
+                    {page.type === 'links'
+                        ? <LinkPage page={page} hrefFor={link => landingPath(params.code, password, `go/${link.id}`)} />
+                        : <BusinessCard card={page} download={download} />}
+                    <p className="landing-footer">
+                        Powered by <a href="/">LinkToQR</a>
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
+    const view = error ? null : describe(payload.type, payload.fields, { destination: qr.destination_url, download });
+
+    return (
+        <div className="landing-page">
+            <div className="card landing-card">
+                {error === 'expired' ? (
+                    <>
+                        <div className="landing-emoji">⌛</div>
+                        <h1>This QR code has expired</h1>
+                    </>
+                ) : (
+                    <>
+                        <div className="landing-emoji">{view.emoji}</div>
+                        <span className="option-label">{PAYLOAD_TYPES[payload.type].label}</span>
+                        <h1>{view.title}</h1>
+
+                        <dl className="landing-details">
+                            {view.rows.filter(row => row.value).map(row => (
+                                <div key={row.label} className="landing-row">
+                                    <dt>{row.label}</dt>
+                                    <dd>
+                                        {row.href ? <a href={row.href}>{row.value}</a> : <span>{row.value}</span>}
+                                        {row.copy && <CopyButton value={row.value} />}
+                                    </dd>
+                                </div>
+                            ))}
+                        </dl>
+
+                        <div className="landing-actions">
+                            {view.actions.map(action => (
+                                <a key={action.label} href={action.href} className={action.secondary ? 'nav-btn' : 'generate-btn'}>
+                                    <span>{action.label}</span>
+                                </a>
+                            ))}
+                        </div>
+                        {view.hint && <p className="track-hint">{view.hint}</p>}
+                    </>
+                )}
+
+                <p className="landing-footer">
+                    Powered by <a href="/">LinkToQR</a>
+                </p>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,97 @@
+'use client';
+
+/**
+ * components/BulkUploadModal.js — Create many codes from a CSV (POST /api/qr/bulk)
+ *
+ * Pick a file exported from a spreadsheet, or paste the rows; the report
+ * lists every line with its new short URL or what to fix.
+ */
+
+import { useState } from 'react';
+
+const SAMPLE = 'destination,label,slug,expiry,tags\nhttps://example.com/menu?table=1,Table 1,,2030-12-31,"tables,patio"';
+
+export default function BulkUploadModal({ onClose, onCreated }) {
+    const [csv, setCsv] = useState('');
+    const [fileName, setFileName] = useState('');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [uploading, setUploading] = useState(false);
+
+    function pickFile(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => { setCsv(reader.result); setFileName(file.name); setError(''); setResult(null); };
+        reader.readAsText(file);
+    }
+
+    async function upload(e) {
+        e.preventDefault();
+        setUploading(true);
+        setError('');
+        try {
+            const res = await fetch('/api/qr/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') },
+                body: JSON.stringify({ csv })
+            });
+            const data = await res.json();
+            if (!res.ok) setError(data.error || 'Upload failed');
+            setResult(data.rows ? data : null);
+            if (data.created > 0) onCreated();
+        } catch {
+            setError('Network error. Please try again.');
+        }
+        setUploading(false);
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target.className === 'modal-overlay' && onClose()}>
+            <div className="modal modal-wide">
+                <button className="modal-close" onClick={onClose}>✕</button>
+                <h2>Bulk create from CSV</h2>
+
+                <form onSubmit={upload}>
+                    <div className="form-group">
+                        <label>CSV file {fileName && `— ${fileName}`}</label>
+                        <input type="file" accept=".csv,text/csv" onChange={pickFile} />
+                    </div>
+                    <div className="form-group">
+                        <label>…or paste rows</label>
+                        <textarea className="bulk-csv" rows={6} value={csv} placeholder={SAMPLE}
+                            onChange={e => { setCsv(e.target.value); setFileName(''); setResult(null); setError(''); }} />
+                        <p className="track-hint">
+                            First row names the columns: destination (required), label, slug (Pro and Business), expiry (YYYY-MM-DD), tags (comma-separated, quoted), domain (a verified custom domain, Business).
+                        </p>
+                    </div>
+                    {error && <p style={{ color: 'var(--error)', fontSize: '0.82rem', marginBottom: '12px' }}>{error}</p>}
+                    <button type="submit" className="generate-btn" disabled={uploading || !csv.trim()}>
+                        <span>{uploading ? 'Creating...' : 'Create QR codes'}</span>
+                    </button>
+                </form>
+
+                {result && (
+                    <div className="history-section">
+                        <span className="option-label">{result.created} created · {result.failed} with errors</span>
+                        <ul className="history-list">
+                            {result.rows.map(row => (
+                                <li key={row.line} className="history-item">
+                                    <div className="qr-row-info">
+                                        <span className="qr-row-code">Line {row.line}</span>
+                                        {row.status === 'created'
+                                            ? <span className="qr-row-url">{row.shortUrl}</span>
+                                            : <span className="qr-row-url bulk-error">
+                                                {row.error}{row.suggestions?.length ? ` — try ${row.suggestions.join(', ')}` : ''}
+                                            </span>}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
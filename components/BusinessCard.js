@@ -0,0 +1,68 @@
+/**
+ * components/BusinessCard.js — A hosted business card (lib/cards.js)
+ *
+ * Shown at /r/[code]/view and as the editor's live preview, so it's
+ * plain markup with no state. `download` is the vCard link, left out
+ * in the preview.
+ */
+
+import { SOCIAL_NETWORKS, phoneHref } from '@/lib/cards';
+
+const PHONE_ICONS = { mobile: '📱', work: '☎️', home: '🏠' };
+
+export default function BusinessCard({ card, download }) {
+    const initials = card.name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+    const role = [card.title, card.company].filter(Boolean).join(' · ');
+
+    return (
+        <div className="business-card">
+            {card.photo
+                ? <img className="business-card-photo" src={card.photo} alt={card.name} />
+                : <div className="business-card-photo placeholder" aria-hidden="true">{initials}</div>}
+            <h1>{card.name || 'Your name'}</h1>
+            {role && <p className="business-card-role">{role}</p>}
+            {card.bio && <p className="business-card-bio">{card.bio}</p>}
+
+            {download && (
+                <a href={download} className="generate-btn business-card-save"><span>Download contact</span></a>
+            )}
+
+            <ul className="business-card-links">
+                {card.phones.map((phone, i) => (
+                    <li key={`tel${i}`}>
+                        <a href={phoneHref(phone.number)}>
+                            <span aria-hidden="true">{PHONE_ICONS[phone.label]}</span>
+                            <span>{phone.number}</span>
+                            <small>{phone.label}</small>
+                        </a>
+                    </li>
+                ))}
+                {card.emails.map((email, i) => (
+                    <li key={`mail${i}`}>
+                        <a href={`mailto:${email.address}`}>
+                            <span aria-hidden="true">✉️</span>
+                            <span>{email.address}</span>
+                            <small>{email.label}</small>
+                        </a>
+                    </li>
+                ))}
+                {card.website && (
+                    <li>
+                        <a href={card.website} rel="noopener">
+                            <span aria-hidden="true">🌐</span>
+                            <span>{card.website.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '')}</span>
+                        </a>
+                    </li>
+                )}
+            </ul>
+
+            {card.socials.length > 0 && (
+                <div className="business-card-socials">
+                    {card.socials.map((social, i) => (
+                        <a key={i} href={social.url} rel="noopener" className="qr-row-btn">{SOCIAL_NETWORKS[social.network]}</a>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
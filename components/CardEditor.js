@@ -0,0 +1,183 @@
+'use client';
+
+/**
+ * components/CardEditor.js — Profile editor for hosted business cards
+ *
+ * Edits a lib/cards.js card and reports it on every change, like PayloadForm:
+ *
+ *   <CardEditor initialCard={card} onChange={(card, error) => …} />
+ *
+ * `card` is null while the profile isn't valid yet, and `error` says why.
+ * Rows left blank are dropped rather than reported. Uploaded photos are
+ * cropped square and scaled to PHOTO_SIZE in the browser, so only a small
+ * JPEG is ever sent.
+ */
+
+import { useState, useEffect } from 'react';
+import BusinessCard from '@/components/BusinessCard';
+import {
+    validateCard, PHONE_LABELS, EMAIL_LABELS, SOCIAL_NETWORKS,
+    MAX_CARD_ENTRIES, MAX_SOCIALS, MAX_PHOTO_LENGTH, PHOTO_SIZE
+} from '@/lib/cards';
+
+const EMPTY_CARD = { name: '', title: '', company: '', bio: '', website: '', photo: null, phones: [], emails: [], socials: [] };
+
+// The list sections: which field must be filled for a row to count, and a new row
+const LISTS = {
+    phones: { label: 'Phones', key: 'number', max: MAX_CARD_ENTRIES, blank: { label: 'mobile', number: '' } },
+    emails: { label: 'Emails', key: 'address', max: MAX_CARD_ENTRIES, blank: { label: 'work', address: '' } },
+    socials: { label: 'Social profiles', key: 'url', max: MAX_SOCIALS, blank: { network: 'linkedin', url: '' } }
+};
+
+function withoutBlankRows(card) {
+    const out = { ...card, type: 'card' };
+    for (const [list, { key }] of Object.entries(LISTS)) {
+        out[list] = card[list].filter(row => row[key].trim());
+    }
+    return out;
+}
+
+// Center-crops an image file to a PHOTO_SIZE square JPEG data URL
+function scalePhoto(file) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const side = Math.min(img.width, img.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = PHOTO_SIZE;
+            canvas.getContext('2d').drawImage(img, (img.width - side) / 2, (img.height - side) / 2, side, side, 0, 0, PHOTO_SIZE, PHOTO_SIZE);
+            URL.revokeObjectURL(img.src);
+            // Busy photos can still come out large — step the quality down until it fits
+            for (const quality of [0.85, 0.7, 0.5]) {
+                const dataUrl = canvas.toDataURL('image/jpeg', quality);
+                if (dataUrl.length <= MAX_PHOTO_LENGTH) return resolve(dataUrl);
+            }
+            reject(new Error('Photo is too detailed — try another one'));
+        };
+        img.onerror = () => reject(new Error('Could not read that image'));
+        img.src = URL.createObjectURL(file);
+    });
+}
+
+export default function CardEditor({ initialCard, onChange }) {
+    const [card, setCard] = useState(() => ({ ...EMPTY_CARD, ...initialCard }));
+    const [photoError, setPhotoError] = useState('');
+
+    useEffect(() => {
+        const result = validateCard(withoutBlankRows(card));
+        onChange(result.card || null, result.error || '');
+    }, [card]);
+
+    function update(name, value) {
+        setCard(current => ({ ...current, [name]: value }));
+    }
+
+    function updateRow(list, index, name, value) {
+        setCard(current => ({
+            ...current,
+            [list]: current[list].map((row, i) => i === index ? { ...row, [name]: value } : row)
+        }));
+    }
+
+    async function pickPhoto(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            update('photo', await scalePhoto(file));
+            setPhotoError('');
+        } catch (err) {
+            setPhotoError(err.message);
+        }
+    }
+
+    function renderRow(list, row, index) {
+        switch (list) {
+            case 'phones':
+                return (
+                    <>
+                        <select value={row.label} onChange={e => updateRow(list, index, 'label', e.target.value)}>
+                            {PHONE_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+                        </select>
+                        <input type="tel" value={row.number} placeholder="+1 555 123 4567" onChange={e => updateRow(list, index, 'number', e.target.value)} />
+                    </>
+                );
+            case 'emails':
+                return (
+                    <>
+                        <select value={row.label} onChange={e => updateRow(list, index, 'label', e.target.value)}>
+                            {EMAIL_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+                        </select>
+                        <input type="email" value={row.address} placeholder="ann@example.com" onChange={e => updateRow(list, index, 'address', e.target.value)} />
+                    </>
+                );
+            default:
+                return (
+                    <>
+                        <select value={row.network} onChange={e => updateRow(list, index, 'network', e.target.value)}>
+                            {Object.entries(SOCIAL_NETWORKS).map(([network, label]) => <option key={network} value={network}>{label}</option>)}
+                        </select>
+                        <input type="text" value={row.url} placeholder="https://" onChange={e => updateRow(list, index, 'url', e.target.value)} />
+                    </>
+                );
+        }
+    }
+
+    return (
+        <div className="card-editor">
+            <div className="payload-form">
+                <div className="option-group wide card-editor-photo">
+                    <span className="option-label">Photo</span>
+                    <div>
+                        <input type="file" accept="image/*" onChange={pickPhoto} />
+                        {card.photo && <button type="button" className="qr-row-btn" onClick={() => update('photo', null)}>Remove</button>}
+                    </div>
+                    {photoError && <span className="input-hint">{photoError}</span>}
+                </div>
+                <div className="option-group wide">
+                    <span className="option-label">Name</span>
+                    <input type="text" value={card.name} placeholder="Ann Lee" onChange={e => update('name', e.target.value)} />
+                </div>
+                <div className="option-group">
+                    <span className="option-label">Job Title</span>
+                    <input type="text" value={card.title} onChange={e => update('title', e.target.value)} />
+                </div>
+                <div className="option-group">
+                    <span className="option-label">Company</span>
+                    <input type="text" value={card.company} onChange={e => update('company', e.target.value)} />
+                </div>
+                <div className="option-group wide">
+                    <span className="option-label">Bio</span>
+                    <textarea value={card.bio} rows={3} onChange={e => update('bio', e.target.value)} />
+                </div>
+                <div className="option-group wide">
+                    <span className="option-label">Website</span>
+                    <input type="text" value={card.website} placeholder="https://" onChange={e => update('website', e.target.value)} />
+                </div>
+
+                {Object.entries(LISTS).map(([list, { label, max, blank }]) => (
+                    <div key={list} className="option-group wide">
+                        <span className="option-label">{label}</span>
+                        {card[list].map((row, index) => (
+                            <div key={index} className="card-editor-row">
+                                {renderRow(list, row, index)}
+                                <button type="button" className="qr-row-btn delete" title="Remove"
+                                    onClick={() => update(list, card[list].filter((_, i) => i !== index))}>✕</button>
+                            </div>
+                        ))}
+                        {card[list].length < max && (
+                            <button type="button" className="qr-row-btn" onClick={() => update(list, [...card[list], { ...blank }])}>
+                                + Add
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <span className="option-label">Preview</span>
+            <div className="card-editor-preview">
+                <BusinessCard card={withoutBlankRows(card)} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,23 @@
+'use client';
+
+/**
+ * components/CopyButton.js — Copies a value and says so for a moment
+ */
+
+import { useState } from 'react';
+
+export default function CopyButton({ value, label = 'Copy' }) {
+    const [copied, setCopied] = useState(false);
+
+    async function copy() {
+        try {
+            await navigator.clipboard.writeText(value);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch {
+            // Clipboard blocked (e.g. plain http) — the value is on screen to copy by hand
+        }
+    }
+
+    return <button type="button" className="qr-row-btn" onClick={copy}>{copied ? 'Copied ✓' : label}</button>;
+}
@@ -0,0 +1,112 @@
+'use client';
+
+/**
+ * components/DomainsModal.js — Custom short-link domains (/api/domains)
+ *
+ * Add a hostname, publish the TXT record it shows, then Verify. Once
+ * verified, the domain appears in the generator's short link picker.
+ */
+
+import { useState, useEffect } from 'react';
+
+export default function DomainsModal({ onClose }) {
+    const [domains, setDomains] = useState([]);
+    const [hostname, setHostname] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(null);   // 'add' or the id of the domain being checked / removed
+
+    useEffect(() => { load(); }, []);
+
+    function authHeaders() {
+        return { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') };
+    }
+
+    async function load() {
+        const res = await fetch('/api/domains', { headers: authHeaders() });
+        if (res.ok) setDomains((await res.json()).domains);
+    }
+
+    async function request(key, url, options) {
+        setBusy(key);
+        setError('');
+        try {
+            const res = await fetch(url, { ...options, headers: authHeaders() });
+            const data = await res.json();
+            if (data.error) setError(data.error);
+            await load();
+            return res.ok;
+        } catch {
+            setError('Network error. Please try again.');
+            return false;
+        } finally {
+            setBusy(null);
+        }
+    }
+
+    async function add(e) {
+        e.preventDefault();
+        if (await request('add', '/api/domains', { method: 'POST', body: JSON.stringify({ hostname }) })) setHostname('');
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target.className === 'modal-overlay' && onClose()}>
+            <div className="modal modal-wide">
+                <button className="modal-close" onClick={onClose}>✕</button>
+                <h2>Custom domains</h2>
+
+                <form onSubmit={add} className="form-group">
+                    <label>Domain</label>
+                    <div className="dashboard-actions">
+                        <input type="text" value={hostname} placeholder="go.yourbrand.com"
+                            onChange={e => { setHostname(e.target.value); setError(''); }} />
+                        <button type="submit" className="qr-row-btn" disabled={busy === 'add' || !hostname.trim()}>
+                            {busy === 'add' ? 'Adding...' : 'Add'}
+                        </button>
+                    </div>
+                    <p className="track-hint">
+                        Point it at LinkToQR with a CNAME record, then add the TXT record shown below to prove it&apos;s yours.
+                        Codes on it get short links like https://go.yourbrand.com/abc.
+                    </p>
+                </form>
+
+                {error && <p style={{ color: 'var(--error)', fontSize: '0.82rem', marginBottom: '12px' }}>{error}</p>}
+
+                {domains.length > 0 && (
+                    <div className="history-section">
+                        <ul className="history-list">
+                            {domains.map(domain => (
+                                <li key={domain.id} className="history-item">
+                                    <div className="qr-row-info">
+                                        <span className="qr-row-code">
+                                            {domain.hostname}{' '}
+                                            <span className="badge">{domain.verified ? 'Verified' : 'Pending'}</span>
+                                        </span>
+                                        {domain.verified ? (
+                                            <span className="qr-row-url">{domain.codeCount} QR code{domain.codeCount === 1 ? '' : 's'}</span>
+                                        ) : (
+                                            <span className="qr-row-url domain-record">
+                                                TXT <code>{domain.record.name}</code> = <code>{domain.record.value}</code>
+                                            </span>
+                                        )}
+                                    </div>
+                                    <div className="qr-row-actions">
+                                        {!domain.verified && (
+                                            <button className="qr-row-btn" disabled={busy === domain.id}
+                                                onClick={() => request(domain.id, `/api/domains/${domain.id}/verify`, { method: 'POST' })}>
+                                                {busy === domain.id ? 'Checking...' : 'Verify'}
+                                            </button>
+                                        )}
+                                        <button className="qr-row-btn" disabled={busy === domain.id}
+                                            onClick={() => request(domain.id, `/api/domains/${domain.id}`, { method: 'DELETE' })}>
+                                            Remove
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
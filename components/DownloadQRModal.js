@@ -0,0 +1,55 @@
+'use client';
+
+/**
+ * components/DownloadQRModal.js — Re-download a dynamic QR from the dashboard
+ *
+ * Loads the design saved when the code was generated (GET /api/qr/[code]/design)
+ * and exports through the same QRExport component as the generator, so the
+ * file matches the original — colors, logo and all.
+ */
+
+import { useState, useEffect } from 'react';
+import QRCanvas from '@/components/QRCanvas';
+import QRExport from '@/components/QRExport';
+import { codeLabel } from '@/lib/domains';
+
+export default function DownloadQRModal({ code, onClose }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadDesign();
+    }, [code]);
+
+    async function loadDesign() {
+        const res = await fetch(`/api/qr/${code}/design`, {
+            headers: { Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') }
+        });
+        const body = await res.json();
+        if (!res.ok) { setError(body.error || 'Failed to load design'); return; }
+        setData(body);
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target.className === 'modal-overlay' && onClose()}>
+            <div className="modal modal-wide">
+                <button className="modal-close" onClick={onClose}>✕</button>
+                <h2>Download {codeLabel(code)}</h2>
+
+                {error ? (
+                    <p className="input-hint error">{error}</p>
+                ) : !data ? (
+                    <p className="chart-empty">Loading...</p>
+                ) : (
+                    <div className="qr-result">
+                        <div className="qr-glow">
+                            <QRCanvas value={data.shortUrl} design={data.design} size={200} />
+                        </div>
+                        <span className="short-url">{data.shortUrl}</span>
+                        <QRExport value={data.shortUrl} design={data.design} filename={`qr-${code}`} />
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,168 @@
+'use client';
+
+/**
+ * components/EditQRModal.js — Change a dynamic QR's destination
+ *
+ * Shows the edit history underneath, so a wrong edit can be undone in one click
+ * (POST /api/qr/[code]/rollback). UPI payment codes get an amount field
+ * instead of the raw upi:// link, other payloads (WiFi, contact…) their form.
+ * Codes with a hosted page (pageType) edit the page instead, through
+ * /api/qr/[code]/page.
+ */
+
+import { useState, useEffect } from 'react';
+import PayloadForm from '@/components/PayloadForm';
+import PageEditor from '@/components/PageEditor';
+import { parsePayload, parseUpi, normalizeAmount, describePayload } from '@/lib/payloads';
+import { codeLabel } from '@/lib/domains';
+
+// Payloads show as 'WiFi Network: Cafe Guest' rather than their raw text
+const describe = value => describePayload(value) || value;
+
+export default function EditQRModal({ code, currentUrl, pageType, onClose, onSaved }) {
+    const [url, setUrl] = useState(currentUrl);
+    const upi = parseUpi(currentUrl);
+    const [amount, setAmount] = useState(upi?.amount || '');
+    const payloadType = parsePayload(currentUrl)?.type;
+    const [payloadError, setPayloadError] = useState('');
+    const [page, setPage] = useState(null);
+    const [savedPage, setSavedPage] = useState(null);
+    const [history, setHistory] = useState([]);
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (pageType) loadPage();
+        else loadHistory();
+    }, [code]);
+
+    function authHeaders() {
+        return { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') };
+    }
+
+    async function loadHistory() {
+        const res = await fetch(`/api/qr/${code}/history`, { headers: authHeaders() });
+        if (res.ok) setHistory((await res.json()).history);
+    }
+
+    async function loadPage() {
+        const res = await fetch(`/api/qr/${code}/page`, { headers: authHeaders() });
+        if (res.ok) setSavedPage((await res.json()).page);
+        else setError('Failed to load page');
+    }
+
+    async function savePage(e) {
+        e.preventDefault();
+        if (payloadError) { setError(payloadError); return; }
+
+        setSaving(true);
+        const res = await fetch(`/api/qr/${code}/page`, { method: 'PUT', headers: authHeaders(), body: JSON.stringify({ page }) });
+        const data = await res.json();
+        setSaving(false);
+        if (!res.ok) { setError(data.error || 'Failed to update'); return; }
+        onSaved();
+    }
+
+    async function save(e) {
+        e.preventDefault();
+        if (upi) {
+            const { error: amountError } = normalizeAmount(amount);
+            if (amountError) { setError(amountError); return; }
+        } else if (payloadType) {
+            if (payloadError) { setError(payloadError); return; }
+        } else {
+            try { new URL(url); } catch { setError('Invalid URL'); return; }
+        }
+
+        setSaving(true);
+        const body = upi ? { amount: amount || null } : { url };
+        const res = await fetch(`/api/qr/${code}`, { method: 'PUT', headers: authHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        setSaving(false);
+        if (!res.ok) { setError(data.error || 'Failed to update'); return; }
+        onSaved();
+    }
+
+    async function rollback(historyId) {
+        const res = await fetch(`/api/qr/${code}/rollback`, { method: 'POST', headers: authHeaders(), body: JSON.stringify({ historyId }) });
+        const data = await res.json();
+        if (!res.ok) { setError(data.error || 'Failed to roll back'); return; }
+        onSaved();
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target.className === 'modal-overlay' && onClose()}>
+            <div className="modal modal-wide">
+                <button className="modal-close" onClick={onClose}>✕</button>
+                <h2>Edit {codeLabel(code)}</h2>
+
+                {pageType ? (
+                    <form onSubmit={savePage}>
+                        {savedPage ? (
+                            <PageEditor
+                                type={pageType}
+                                initialPage={savedPage}
+                                onChange={(edited, problem) => { setPage(edited); setPayloadError(problem); setError(''); }}
+                            />
+                        ) : !error && <p className="chart-empty">Loading...</p>}
+                        {error && <p style={{ color: 'var(--error)', fontSize: '0.82rem', marginBottom: '12px' }}>{error}</p>}
+                        <button type="submit" className="generate-btn" disabled={saving || !savedPage}>
+                            <span>{saving ? 'Saving...' : 'Save page'}</span>
+                        </button>
+                    </form>
+                ) : (
+                    <>
+                        <form onSubmit={save}>
+                            {upi ? (
+                                <div className="form-group">
+                                    <label>Amount ({upi.currency}) — paying {upi.name || upi.vpa}</label>
+                                    <input type="number" step="0.01" min="0" value={amount} placeholder="Payer enters it"
+                                        onChange={e => { setAmount(e.target.value); setError(''); }} />
+                                </div>
+                            ) : payloadType ? (
+                                <PayloadForm
+                                    type={payloadType === 'mecard' ? 'vcard' : payloadType}
+                                    initialPayload={currentUrl}
+                                    onChange={(payload, problem) => { setUrl(payload); setPayloadError(problem); setError(''); }}
+                                />
+                            ) : (
+                                <div className="form-group">
+                                    <label>Destination URL</label>
+                                    <input type="text" value={url} onChange={e => { setUrl(e.target.value); setError(''); }} required />
+                                </div>
+                            )}
+                            {error && <p style={{ color: 'var(--error)', fontSize: '0.82rem', marginBottom: '12px' }}>{error}</p>}
+                            <button type="submit" className="generate-btn" disabled={saving || (upi ? amount === upi.amount : url === currentUrl)}>
+                                <span>{saving ? 'Saving...' : upi ? 'Save amount' : payloadType ? 'Save details' : 'Save destination'}</span>
+                            </button>
+                        </form>
+
+                        <div className="history-section">
+                            <span className="option-label">History</span>
+                            {history.length === 0 ? (
+                                <p className="chart-empty">No changes yet — this is the original destination.</p>
+                            ) : (
+                                <ul className="history-list">
+                                    {history.map(entry => (
+                                        <li key={entry.id} className="history-item">
+                                            <div className="qr-row-info">
+                                                <span className="qr-row-url" title={entry.newUrl}>→ {describe(entry.newUrl)}</span>
+                                                <span className="qr-row-code" title={entry.oldUrl}>
+                                                    {entry.action === 'rollback' ? 'Rolled back' : 'Changed'} from {describe(entry.oldUrl)}
+                                                </span>
+                                                <span className="qr-row-code">{entry.changedAt} UTC{entry.changedBy ? ` · ${entry.changedBy}` : ''}</span>
+                                            </div>
+                                            <button className="qr-row-btn" onClick={() => rollback(entry.id)} title={`Restore ${describe(entry.oldUrl)}`}>
+                                                Undo
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,118 @@
+'use client';
+
+/**
+ * components/LabelSheetModal.js — Print selected codes on label sheets (POST /api/qr/sheet)
+ *
+ * Pick an Avery template or a plain grid, edit the caption under each code
+ * (defaults to its label) and download the PDF. Print it at 100% / "actual
+ * size" — scaling to fit the page shifts everything off the die-cut labels.
+ */
+
+import { useState } from 'react';
+import { LABEL_TEMPLATES, PAPER_SIZES, MAX_GRID } from '@/lib/qr';
+import { codeLabel } from '@/lib/domains';
+
+export default function LabelSheetModal({ qrCodes, onClose }) {
+    const [template, setTemplate] = useState('avery-l7159');
+    const [grid, setGrid] = useState({ paper: 'a4', cols: 2, rows: 3 });
+    const [cropMarks, setCropMarks] = useState(true);
+    const [captions, setCaptions] = useState(() => Object.fromEntries(qrCodes.map(qr => [qr.key, qr.label || ''])));
+    const [error, setError] = useState('');
+    const [creating, setCreating] = useState(false);
+
+    const perSheet = template === 'grid' ? grid.cols * grid.rows : LABEL_TEMPLATES[template].cols * LABEL_TEMPLATES[template].rows;
+
+    async function download(e) {
+        e.preventDefault();
+        setCreating(true);
+        setError('');
+        try {
+            const res = await fetch('/api/qr/sheet', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') },
+                body: JSON.stringify({
+                    template,
+                    ...(template === 'grid' && grid),
+                    cropMarks,
+                    items: qrCodes.map(qr => ({ code: qr.key, caption: captions[qr.key] }))
+                })
+            });
+            if (!res.ok) throw new Error((await res.json()).error || 'Failed to create PDF');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await res.blob());
+            link.download = `linktoqr-labels-${template}.pdf`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (err) {
+            setError(err.message);
+        }
+        setCreating(false);
+    }
+
+    return (
+        <div className="modal-overlay" onClick={(e) => e.target.className === 'modal-overlay' && onClose()}>
+            <div className="modal modal-wide">
+                <button className="modal-close" onClick={onClose}>✕</button>
+                <h2>Print label sheet</h2>
+
+                <form onSubmit={download}>
+                    <div className="options-row">
+                        <label className="option-group">
+                            <span className="option-label">Layout</span>
+                            <select value={template} onChange={e => setTemplate(e.target.value)}>
+                                {Object.entries(LABEL_TEMPLATES).map(([id, t]) => <option key={id} value={id}>{t.label}</option>)}
+                                <option value="grid">Custom grid</option>
+                            </select>
+                        </label>
+                        {template === 'grid' && (
+                            <>
+                                <label className="option-group">
+                                    <span className="option-label">Paper</span>
+                                    <select value={grid.paper} onChange={e => setGrid({ ...grid, paper: e.target.value })}>
+                                        {Object.entries(PAPER_SIZES).map(([id, paper]) => <option key={id} value={id}>{paper.label}</option>)}
+                                    </select>
+                                </label>
+                                <label className="option-group">
+                                    <span className="option-label">Columns</span>
+                                    <input type="number" min="1" max={MAX_GRID} value={grid.cols}
+                                        onChange={e => setGrid({ ...grid, cols: Number(e.target.value) })} />
+                                </label>
+                                <label className="option-group">
+                                    <span className="option-label">Rows</span>
+                                    <input type="number" min="1" max={MAX_GRID} value={grid.rows}
+                                        onChange={e => setGrid({ ...grid, rows: Number(e.target.value) })} />
+                                </label>
+                            </>
+                        )}
+                    </div>
+                    <label className="payload-check">
+                        <input type="checkbox" checked={cropMarks} onChange={e => setCropMarks(e.target.checked)} />
+                        <span>Crop marks</span>
+                    </label>
+                    <p className="track-hint">
+                        {qrCodes.length} code{qrCodes.length === 1 ? '' : 's'} on {Math.ceil(qrCodes.length / (perSheet || 1))} page(s).
+                        Print at 100% (actual size) so codes line up with the labels.
+                    </p>
+
+                    <div className="history-section">
+                        <span className="option-label">Captions</span>
+                        <ul className="history-list">
+                            {qrCodes.map(qr => (
+                                <li key={qr.key} className="history-item">
+                                    <span className="qr-row-code">{codeLabel(qr.key)}</span>
+                                    <input type="text" className="sheet-caption" value={captions[qr.key]} maxLength={60} placeholder="No caption"
+                                        onChange={e => setCaptions({ ...captions, [qr.key]: e.target.value })} />
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+
+                    {error && <p style={{ color: 'var(--error)', fontSize: '0.82rem', margin: '12px 0' }}>{error}</p>}
+                    <button type="submit" className="generate-btn" style={{ marginTop: '16px' }} disabled={creating}>
+                        <span>{creating ? 'Creating PDF...' : 'Download PDF'}</span>
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
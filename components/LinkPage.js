@@ -0,0 +1,29 @@
+/**
+ * components/LinkPage.js — A link-in-bio page (lib/links.js)
+ *
+ * Shown at /r/[code]/view and as the editor's live preview. `hrefFor(link)`
+ * gives each button's target — the click-counting /r/[code]/go/[id] on the
+ * real page; the preview links straight to the URL.
+ */
+
+import { LINK_ICONS } from '@/lib/links';
+
+export default function LinkPage({ page, hrefFor = link => link.url }) {
+    return (
+        <div className="link-page">
+            <h1>{page.name || 'Your name'}</h1>
+            {page.bio && <p className="link-page-bio">{page.bio}</p>}
+
+            <ul className="link-page-links">
+                {page.links.map((link, i) => (
+                    <li key={link.id || i}>
+                        <a href={hrefFor(link)} rel="noopener" className="link-page-button">
+                            <span aria-hidden="true">{LINK_ICONS[link.icon]}</span>
+                            <span>{link.title}</span>
+                        </a>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
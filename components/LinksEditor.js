@@ -0,0 +1,87 @@
+'use client';
+
+/**
+ * components/LinksEditor.js — Editor for link-in-bio pages
+ *
+ * Same contract as CardEditor: reports (page, error) on every change, page
+ * being null while it isn't valid yet. Links keep their ids through edits
+ * and moves, so their click counts stay with them (lib/links.js).
+ */
+
+import { useState, useEffect } from 'react';
+import LinkPage from '@/components/LinkPage';
+import { validateLinksPage, LINK_ICONS, MAX_LINKS } from '@/lib/links';
+
+const EMPTY_PAGE = { name: '', bio: '', links: [{ title: '', url: '', icon: 'link' }] };
+
+// Half-typed rows at the end of the list aren't reported as errors
+const withoutBlankRows = page => ({
+    ...page,
+    type: 'links',
+    links: page.links.filter(link => link.title.trim() || link.url.trim())
+});
+
+export default function LinksEditor({ initialPage, onChange }) {
+    const [page, setPage] = useState(() => ({ ...EMPTY_PAGE, ...initialPage }));
+
+    useEffect(() => {
+        const result = validateLinksPage(withoutBlankRows(page));
+        onChange(result.page || null, result.error || '');
+    }, [page]);
+
+    function update(name, value) {
+        setPage(current => ({ ...current, [name]: value }));
+    }
+
+    function updateLink(index, name, value) {
+        update('links', page.links.map((link, i) => i === index ? { ...link, [name]: value } : link));
+    }
+
+    function moveLink(index, by) {
+        const links = [...page.links];
+        [links[index], links[index + by]] = [links[index + by], links[index]];
+        update('links', links);
+    }
+
+    return (
+        <div className="card-editor">
+            <div className="payload-form">
+                <div className="option-group wide">
+                    <span className="option-label">Name</span>
+                    <input type="text" value={page.name} placeholder="@yourhandle" onChange={e => update('name', e.target.value)} />
+                </div>
+                <div className="option-group wide">
+                    <span className="option-label">Bio</span>
+                    <textarea value={page.bio} rows={2} onChange={e => update('bio', e.target.value)} />
+                </div>
+
+                <div className="option-group wide">
+                    <span className="option-label">Links</span>
+                    {page.links.map((link, index) => (
+                        <div key={link.id || `new${index}`} className="card-editor-row">
+                            <select value={link.icon} onChange={e => updateLink(index, 'icon', e.target.value)} title="Icon">
+                                {Object.entries(LINK_ICONS).map(([icon, emoji]) => <option key={icon} value={icon}>{emoji} {icon}</option>)}
+                            </select>
+                            <input type="text" value={link.title} placeholder="Title" onChange={e => updateLink(index, 'title', e.target.value)} />
+                            <input type="text" value={link.url} placeholder="https://" onChange={e => updateLink(index, 'url', e.target.value)} />
+                            <button type="button" className="qr-row-btn" title="Move up" disabled={index === 0} onClick={() => moveLink(index, -1)}>↑</button>
+                            <button type="button" className="qr-row-btn" title="Move down" disabled={index === page.links.length - 1} onClick={() => moveLink(index, 1)}>↓</button>
+                            <button type="button" className="qr-row-btn delete" title="Remove"
+                                onClick={() => update('links', page.links.filter((_, i) => i !== index))}>✕</button>
+                        </div>
+                    ))}
+                    {page.links.length < MAX_LINKS && (
+                        <button type="button" className="qr-row-btn" onClick={() => update('links', [...page.links, { title: '', url: '', icon: 'link' }])}>
+                            + Add link
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <span className="option-label">Preview</span>
+            <div className="card-editor-preview">
+                <LinkPage page={withoutBlankRows(page)} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,16 @@
+'use client';
+
+/**
+ * components/PageEditor.js — The editor for a hosted page type (lib/pages.js)
+ *
+ *   <PageEditor type="card" initialPage={page} onChange={(page, error) => …} />
+ */
+
+import CardEditor from '@/components/CardEditor';
+import LinksEditor from '@/components/LinksEditor';
+
+export default function PageEditor({ type, initialPage, onChange }) {
+    return type === 'links'
+        ? <LinksEditor initialPage={initialPage} onChange={onChange} />
+        : <CardEditor initialCard={initialPage} onChange={onChange} />;
+}
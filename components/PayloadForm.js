@@ -0,0 +1,179 @@
+'use client';
+
+/**
+ * components/PayloadForm.js — Form fields for non-URL QR contents
+ *
+ * Renders the fields for one lib/payloads type (WiFi, contact, event, …)
+ * and reports the built payload on every change:
+ *
+ *   <PayloadForm type="wifi" onChange={(payload, error) => …} />
+ *
+ * `payload` is '' while the fields don't make a valid payload yet, and
+ * `error` then says why — the generator shows it when Generate is clicked.
+ * Pass `initialPayload` to edit an existing payload (dashboard edits).
+ */
+
+import { useState, useEffect } from 'react';
+import { buildPayload, parsePayload, WIFI_SECURITY, UPI_CURRENCIES } from '@/lib/payloads';
+
+// Field types: text (default), email, tel, number, textarea, select, checkbox, date, datetime
+// `wide` spans both columns; `showIf` hides a field depending on the others.
+const FORMS = {
+    wifi: [
+        { name: 'ssid', label: 'Network Name', placeholder: 'Cafe Guest' },
+        { name: 'security', label: 'Security', type: 'select', options: WIFI_SECURITY.map(s => [s, s === 'nopass' ? 'None (open)' : s === 'WPA' ? 'WPA / WPA2 / WPA3' : s]) },
+        { name: 'password', label: 'Password', showIf: f => f.security !== 'nopass', wide: true },
+        { name: 'hidden', label: 'Hidden network', type: 'checkbox' }
+    ],
+    vcard: [
+        { name: 'format', label: 'Format', type: 'select', options: [['3.0', 'vCard 3.0'], ['4.0', 'vCard 4.0'], ['mecard', 'MECARD (smaller code)']] },
+        { name: 'organization', label: 'Company' },
+        { name: 'firstName', label: 'First Name' },
+        { name: 'lastName', label: 'Last Name' },
+        { name: 'title', label: 'Job Title' },
+        { name: 'phone', label: 'Phone', type: 'tel', placeholder: '+1 555 123 4567' },
+        { name: 'email', label: 'Email', type: 'email' },
+        { name: 'url', label: 'Website', placeholder: 'https://' },
+        { name: 'street', label: 'Street', wide: true },
+        { name: 'city', label: 'City' },
+        { name: 'region', label: 'State / Region' },
+        { name: 'postalCode', label: 'Postal Code' },
+        { name: 'country', label: 'Country' },
+        { name: 'note', label: 'Note', type: 'textarea', wide: true }
+    ],
+    event: [
+        { name: 'title', label: 'Event Title', wide: true },
+        { name: 'start', label: 'Starts', type: 'datetime' },
+        { name: 'end', label: 'Ends', type: 'datetime' },
+        { name: 'allDay', label: 'All-day event', type: 'checkbox', wide: true },
+        { name: 'location', label: 'Location', wide: true },
+        { name: 'description', label: 'Description', type: 'textarea', wide: true }
+    ],
+    sms: [
+        { name: 'phone', label: 'Phone Number', type: 'tel', placeholder: '+1 555 123 4567', wide: true },
+        { name: 'message', label: 'Message', type: 'textarea', wide: true }
+    ],
+    email: [
+        { name: 'to', label: 'Send To', type: 'email', placeholder: 'you@example.com', wide: true },
+        { name: 'subject', label: 'Subject', wide: true },
+        { name: 'body', label: 'Message', type: 'textarea', wide: true }
+    ],
+    phone: [
+        { name: 'phone', label: 'Phone Number', type: 'tel', placeholder: '+1 555 123 4567', wide: true }
+    ],
+    geo: [
+        { name: 'latitude', label: 'Latitude', type: 'number', placeholder: '52.3702' },
+        { name: 'longitude', label: 'Longitude', type: 'number', placeholder: '4.8952' }
+    ],
+    upi: [
+        { name: 'vpa', label: 'Payee UPI ID', placeholder: 'yourname@okbank' },
+        { name: 'name', label: 'Payee Name', placeholder: 'Corner Shop' },
+        { name: 'amount', label: 'Amount', type: 'number', placeholder: 'Payer enters it' },
+        { name: 'currency', label: 'Currency', type: 'select', options: UPI_CURRENCIES.map(c => [c, c]) },
+        { name: 'note', label: 'Transaction Note', placeholder: 'Order #42' },
+        { name: 'merchantCode', label: 'Merchant Code', placeholder: 'Optional, e.g. 5411' }
+    ],
+    bitcoin: [
+        { name: 'address', label: 'Wallet Address', placeholder: 'bc1q…', wide: true },
+        { name: 'amount', label: 'Amount (BTC)', type: 'number', placeholder: 'Payer enters it' },
+        { name: 'label', label: 'Payee Name' },
+        { name: 'message', label: 'Message', wide: true }
+    ]
+};
+
+const DEFAULTS = {
+    wifi: { security: 'WPA', hidden: false },
+    vcard: { format: '3.0' },
+    event: { allDay: false },
+    upi: { currency: 'INR' }
+};
+
+// '2026-11-05T18:00:00Z' → '2026-11-05T19:00' in the browser's zone, for datetime-local inputs
+function toLocalInput(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function initialFields(type, payload) {
+    const parsed = payload && parsePayload(payload);
+    if (!parsed) return { ...DEFAULTS[type] };
+    const { fields } = parsed;
+    if (parsed.type === 'mecard') return { ...fields, format: 'mecard' };
+    if (parsed.type === 'vcard') {
+        const { version, ...contact } = fields;
+        return { ...contact, format: version };
+    }
+    if (parsed.type === 'event' && !fields.allDay) {
+        return { ...fields, start: toLocalInput(fields.start), end: toLocalInput(fields.end) };
+    }
+    return fields;
+}
+
+// The contact form covers two payload types; its format select picks one
+function build(type, { format, ...fields }) {
+    if (type !== 'vcard') return buildPayload(type, fields);
+    return format === 'mecard' ? buildPayload('mecard', fields) : buildPayload('vcard', { ...fields, version: format });
+}
+
+export default function PayloadForm({ type, initialPayload, onChange }) {
+    const [fields, setFields] = useState(() => initialFields(type, initialPayload));
+
+    useEffect(() => {
+        const result = build(type, fields);
+        onChange(result.payload || '', result.error || '');
+    }, [type, fields]);
+
+    function update(name, value) {
+        setFields(current => {
+            const next = { ...current, [name]: value };
+            // Date inputs only hold the date part; datetime ones need a time again
+            if (name === 'allDay') {
+                for (const key of ['start', 'end']) {
+                    if (next[key]) next[key] = value ? next[key].slice(0, 10) : `${next[key].slice(0, 10)}T09:00`;
+                }
+            }
+            return next;
+        });
+    }
+
+    function renderInput(field) {
+        const value = fields[field.name] ?? '';
+        const onInput = e => update(field.name, e.target.value);
+
+        switch (field.type) {
+            case 'select':
+                return (
+                    <select value={value} onChange={onInput}>
+                        {field.options.map(([optionValue, label]) => <option key={optionValue} value={optionValue}>{label}</option>)}
+                    </select>
+                );
+            case 'textarea':
+                return <textarea value={value} rows={3} placeholder={field.placeholder} onChange={onInput} />;
+            case 'datetime':
+                return <input type={fields.allDay ? 'date' : 'datetime-local'} value={value} onChange={onInput} />;
+            case 'number':
+                return <input type="number" step="any" value={value} placeholder={field.placeholder} onChange={onInput} />;
+            default:
+                return <input type={field.type || 'text'} value={value} placeholder={field.placeholder} onChange={onInput} />;
+        }
+    }
+
+    return (
+        <div className="payload-form">
+            {FORMS[type].filter(field => !field.showIf || field.showIf(fields)).map(field => (
+                field.type === 'checkbox' ? (
+                    <label key={field.name} className={`payload-check${field.wide ? ' wide' : ''}`}>
+                        <input type="checkbox" checked={!!fields[field.name]} onChange={e => update(field.name, e.target.checked)} />
+                        <span>{field.label}</span>
+                    </label>
+                ) : (
+                    <div key={field.name} className={`option-group${field.wide ? ' wide' : ''}`}>
+                        <span className="option-label">{field.label}</span>
+                        {renderInput(field)}
+                    </div>
+                )
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,40 @@
+'use client';
+
+/**
+ * components/QRCanvas.js — Draw a QR code onto a <canvas>
+ *
+ * Encodes with lib/qr, the same encoder the server image endpoint uses, and
+ * applies the design (colors, shapes, gradient, logo, frame) the same way the exports do,
+ * so the preview matches what gets downloaded.
+ */
+
+import { useRef, useEffect, useMemo, useState } from 'react';
+import { encodeDesign, designStyle, drawCanvas, loadImage } from '@/lib/qr';
+
+export default function QRCanvas({ value, design, size = 200 }) {
+    const canvasRef = useRef(null);
+    const [logoImage, setLogoImage] = useState(null);
+    const encoded = useMemo(() => encodeDesign(value, design), [value, design]);
+    const logoSrc = design.logo?.src;
+
+    useEffect(() => {
+        setLogoImage(null);
+        if (!logoSrc) return;
+        let cancelled = false;
+        loadImage(logoSrc).then(image => { if (!cancelled) setLogoImage(image); }).catch(() => {});
+        return () => { cancelled = true; };
+    }, [logoSrc]);
+
+    useEffect(() => {
+        // Draw at device resolution so the preview stays sharp on retina screens
+        const pixels = Math.round(size * (window.devicePixelRatio || 1));
+        drawCanvas(canvasRef.current, encoded.qr, {
+            pixels,
+            ...designStyle(design),
+            logo: logoImage && { area: encoded.logoArea, image: logoImage }
+        });
+    }, [encoded, logoImage, size, design]);
+
+    // Height follows the canvas' own aspect ratio — a frame makes it taller than wide
+    return <canvas ref={canvasRef} style={{ width: size, height: 'auto' }} />;
+}
@@ -0,0 +1,181 @@
+'use client';
+
+/**
+ * components/QRExport.js — Download / copy buttons with print export options
+ *
+ * Renders every export from the module matrix and the design (colors, logo)
+ * at full print resolution, rather than scaling up the on-screen preview.
+ * Used by the generator and by the dashboard's re-download dialog, so both
+ * produce identical files.
+ */
+
+import { useState } from 'react';
+import ScanCheck from '@/components/ScanCheck';
+import {
+    encodeDesign, designStyle, drawCanvas, loadImage, rasterizeLogo, renderSvg, renderPdf, renderEps,
+    pixelSize, UNITS, MAX_RASTER_PIXELS, DEFAULT_SCAN_DISTANCE
+} from '@/lib/qr';
+
+const EXPORT_FORMATS = {
+    png: { label: 'PNG', type: 'image/png' },
+    svg: { label: 'SVG', type: 'image/svg+xml', render: renderSvg },
+    pdf: { label: 'PDF', type: 'application/pdf', render: renderPdf },
+    eps: { label: 'EPS', type: 'application/postscript', render: renderEps },
+};
+
+// Starting print size when switching units (~5 cm, a safe minimum for most print jobs)
+const DEFAULT_PRINT_SIZE = { mm: 50, in: 2, px: 1024 };
+
+// Where people will scan from, in cm — decides the smallest safe print size
+const SCAN_DISTANCES = [
+    { value: 15, label: 'Close (15 cm)' },
+    { value: DEFAULT_SCAN_DISTANCE, label: 'Arm\'s length (30 cm)' },
+    { value: 100, label: 'Across a table (1 m)' },
+    { value: 300, label: 'Poster (3 m)' },
+    { value: 1000, label: 'Billboard (10 m)' },
+];
+
+// Logo pixels embedded in PDF/EPS: enough for 300 DPI, capped to keep files small
+const LOGO_RASTER_DPI = 300;
+const MAX_LOGO_RASTER = 512;
+
+function saveFile(href, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = href;
+    link.click();
+}
+
+export default function QRExport({ value, design, filename = 'linktoqr-code' }) {
+    const [format, setFormat] = useState('png');
+    const [printSize, setPrintSize] = useState(DEFAULT_PRINT_SIZE.mm);
+    const [unit, setUnit] = useState('mm');
+    const [dpi, setDpi] = useState(300);
+    const [distance, setDistance] = useState(DEFAULT_SCAN_DISTANCE);
+    const [error, setError] = useState('');
+
+    // Everything a renderer needs, with the logo in the form that renderer takes
+    async function prepare(options) {
+        const { qr, logoArea } = encodeDesign(value, design);
+        if (!design.logo) return { qr, logo: null };
+
+        const image = await loadImage(design.logo.src);
+        const total = qr.size + design.margin * 2;
+        const rasterPixels = Math.round(pixelSize({ ...options, dpi: LOGO_RASTER_DPI }) * logoArea.size / total);
+        return {
+            qr,
+            logo: {
+                area: logoArea,
+                src: design.logo.src,
+                image,
+                raster: (format === 'pdf' || format === 'eps') && rasterizeLogo(image, Math.min(MAX_LOGO_RASTER, Math.max(64, rasterPixels)), design.bg)
+            }
+        };
+    }
+
+    async function download() {
+        const options = { size: Number(printSize), unit, dpi, ...designStyle(design) };
+        const { min, max } = UNITS[unit];
+        if (!(options.size >= min && options.size <= max)) {
+            setError(`Size must be between ${min} and ${max} ${unit}`);
+            return;
+        }
+        if (format === 'png' && pixelSize(options) > MAX_RASTER_PIXELS) {
+            setError(`That's over ${MAX_RASTER_PIXELS}px — lower the DPI, or pick SVG, PDF or EPS for large prints`);
+            return;
+        }
+        setError('');
+
+        let prepared;
+        try { prepared = await prepare(options); } catch { setError('Could not load the logo image'); return; }
+        const { qr, logo } = prepared;
+        const { type, render } = EXPORT_FORMATS[format];
+
+        if (!render) {
+            const canvas = drawCanvas(document.createElement('canvas'), qr, { ...options, pixels: pixelSize(options), logo });
+            saveFile(canvas.toDataURL(type), `${filename}.png`);
+            return;
+        }
+
+        const href = URL.createObjectURL(new Blob([render(qr, { ...options, logo })], { type }));
+        saveFile(href, `${filename}.${format}`);
+        setTimeout(() => URL.revokeObjectURL(href), 1000);
+    }
+
+    async function copyImage() {
+        const options = { size: 1024, unit: 'px', ...designStyle(design) };
+        let canvas;
+        try {
+            const { qr, logo } = await prepare(options);
+            canvas = drawCanvas(document.createElement('canvas'), qr, { ...options, pixels: 1024, logo });
+            const blob = await new Promise(resolve => canvas.toBlob(resolve));
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+        } catch { /* fallback: download instead */ if (canvas) saveFile(canvas.toDataURL('image/png'), `${filename}.png`); }
+    }
+
+    function changeUnit(next) {
+        setUnit(next);
+        setPrintSize(DEFAULT_PRINT_SIZE[next]);
+        setError('');
+    }
+
+    return (
+        <>
+            {/* Export options — vector formats for print shops */}
+            <div className="options-row export-options">
+                <div className="option-group">
+                    <span className="option-label">Format</span>
+                    <select value={format} onChange={e => { setFormat(e.target.value); setError(''); }}>
+                        {Object.entries(EXPORT_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+                    </select>
+                </div>
+                <div className="option-group">
+                    <span className="option-label">Size</span>
+                    <input type="number" min={UNITS[unit].min} max={UNITS[unit].max} step="any"
+                        value={printSize} onChange={e => { setPrintSize(e.target.value); setError(''); }} />
+                </div>
+                <div className="option-group">
+                    <span className="option-label">Unit</span>
+                    <select value={unit} onChange={e => changeUnit(e.target.value)}>
+                        <option value="mm">mm</option>
+                        <option value="in">inches</option>
+                        <option value="px">pixels</option>
+                    </select>
+                </div>
+                {format === 'png' && unit !== 'px' && (
+                    <div className="option-group">
+                        <span className="option-label">DPI</span>
+                        <select value={dpi} onChange={e => { setDpi(Number(e.target.value)); setError(''); }}>
+                            <option value={150}>150</option>
+                            <option value={300}>300 (print)</option>
+                            <option value={600}>600</option>
+                            <option value={1200}>1200</option>
+                        </select>
+                    </div>
+                )}
+                {unit !== 'px' && (
+                    <div className="option-group">
+                        <span className="option-label">Scanned From</span>
+                        <select value={distance} onChange={e => setDistance(Number(e.target.value))}>
+                            {SCAN_DISTANCES.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+                        </select>
+                    </div>
+                )}
+            </div>
+            {error && <p className="input-hint error">{error}</p>}
+            <ScanCheck value={value} design={design} print={{ size: Number(printSize), unit, distance }} />
+
+            {/* Action buttons */}
+            <div className="result-actions">
+                <button className="action-btn download-btn" onClick={download}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
+                    <span>Download {EXPORT_FORMATS[format].label}</span>
+                </button>
+                <button className="action-btn copy-btn" onClick={copyImage}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><rect x="9" y="9" width="13" height="13" rx="2" /><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" /></svg>
+                    <span>Copy to clipboard</span>
+                </button>
+            </div>
+        </>
+    );
+}
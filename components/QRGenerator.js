@@ -5,23 +5,32 @@
  * 
  * UX FLOW (redesigned):
  * 1. User picks a USE CASE (WiFi, UPI, WhatsApp, etc.)
- * 2. Shows URL input with use-case-specific placeholder
+ * 2. Shows URL input with use-case-specific placeholder — or, for contents
+ *    that aren't links (WiFi, contacts, events…), a form built on lib/payloads,
+ *    or the editor of a page we host (business card, link-in-bio, lib/pages.js)
  * 3. "Track scans" toggle introduces dynamic mode naturally
  * 4. Advanced settings collapsed by default
  * 5. Result includes "Test Scan" instruction
  */
 
-import { useState, useRef } from 'react';
-import { QRCodeCanvas } from 'qrcode.react';
+import { useState, useMemo, useEffect } from 'react';
+import QRCanvas from '@/components/QRCanvas';
+import QRExport from '@/components/QRExport';
+import ScanCheck from '@/components/ScanCheck';
+import PayloadForm from '@/components/PayloadForm';
+import PageEditor from '@/components/PageEditor';
+import {
+    encodeDesign, DataTooLongError, LOGO_TYPES, MAX_LOGO_LENGTH, DEFAULT_LOGO_SCALE, FONTS, DEFAULT_FRAME_TEXT, MAX_FRAME_TEXT
+} from '@/lib/qr';
 
 const USE_CASES = [
     { id: 'website', emoji: '🌐', label: 'Website Link', placeholder: 'https://yourwebsite.com', desc: 'Any webpage or blog' },
-    { id: 'wifi', emoji: '📶', label: 'WiFi', placeholder: 'WIFI:T:WPA;S:MyNetwork;P:MyPassword;;', desc: 'Auto-connect guests' },
-    { id: 'upi', emoji: '💳', label: 'UPI Payment', placeholder: 'upi://pay?pa=you@upi&pn=YourName&am=100', desc: 'Scan to pay instantly' },
+    { id: 'wifi', emoji: '📶', label: 'WiFi', builder: 'wifi', desc: 'Auto-connect guests' },
+    { id: 'upi', emoji: '💳', label: 'UPI Payment', builder: 'upi', desc: 'Scan to pay instantly' },
     { id: 'whatsapp', emoji: '💬', label: 'WhatsApp', placeholder: 'https://wa.me/91XXXXXXXXXX?text=Hello', desc: 'Open a chat directly' },
     { id: 'menu', emoji: '🍽️', label: 'Menu / PDF', placeholder: 'https://drive.google.com/your-menu-pdf', desc: 'Contactless dining' },
     { id: 'social', emoji: '📱', label: 'Social Media', placeholder: 'https://instagram.com/yourprofile', desc: 'Grow followers offline' },
-    { id: 'email', emoji: '✉️', label: 'Email', placeholder: 'mailto:you@example.com?subject=Hello&body=Hi%20there', desc: 'Pre-filled email' },
+    { id: 'email', emoji: '✉️', label: 'Email', builder: 'email', desc: 'Pre-filled email' },
     { id: 'youtube', emoji: '▶️', label: 'YouTube', placeholder: 'https://youtube.com/watch?v=...', desc: 'Videos & channels' },
     { id: 'maps', emoji: '📍', label: 'Google Maps', placeholder: 'https://maps.google.com/...', desc: 'Location directions' },
     { id: 'instagram', emoji: '📸', label: 'Instagram', placeholder: 'https://instagram.com/yourprofile', desc: 'Grow followers' },
@@ -32,13 +41,58 @@ const USE_CASES = [
     { id: 'app', emoji: '📲', label: 'App Download', placeholder: 'https://play.google.com/store/apps/...', desc: 'Drive installs' },
     { id: 'review', emoji: '⭐', label: 'Google Review', placeholder: 'https://g.page/your-business/review', desc: 'Get 5-star reviews' },
     { id: 'pdf', emoji: '📄', label: 'PDF', placeholder: 'https://drive.google.com/your-pdf-link', desc: 'Share documents' },
-    { id: 'vcard', emoji: '👤', label: 'vCard', placeholder: 'https://yourdigitalbusinesscard.com', desc: 'Digital biz card' },
+    { id: 'vcard', emoji: '👤', label: 'vCard', builder: 'vcard', desc: 'Digital biz card' },
+    { id: 'card', emoji: '🪪', label: 'Business Card', page: 'card', desc: 'Hosted profile page' },
+    { id: 'links', emoji: '🔗', label: 'Link in Bio', page: 'links', desc: 'All your links, one code' },
     { id: 'zoom', emoji: '🎥', label: 'Zoom', placeholder: 'https://zoom.us/j/123456789', desc: 'One-scan join' },
     { id: 'spotify', emoji: '🎵', label: 'Spotify', placeholder: 'https://open.spotify.com/playlist/...', desc: 'Share music' },
     { id: 'telegram', emoji: '✈️', label: 'Telegram', placeholder: 'https://t.me/yourchannel', desc: 'Channel & groups' },
-    { id: 'bitcoin', emoji: '₿', label: 'Bitcoin', placeholder: 'bitcoin:YOUR_WALLET_ADDRESS', desc: 'Crypto payments' },
+    { id: 'bitcoin', emoji: '₿', label: 'Bitcoin', builder: 'bitcoin', desc: 'Crypto payments' },
+    { id: 'calendar', emoji: '📅', label: 'Calendar Event', builder: 'event', desc: 'Add to calendar' },
+    { id: 'sms', emoji: '💬', label: 'Text Message', builder: 'sms', desc: 'Pre-filled SMS' },
+    { id: 'phone', emoji: '📞', label: 'Phone Call', builder: 'phone', desc: 'Tap to call' },
+    { id: 'location', emoji: '🗺️', label: 'Location', builder: 'geo', desc: 'Open in maps' },
 ];
 
+// Module / eye / fill / frame choices from "Advanced design options" (see lib/qr/shapes.js, lib/qr/frames.js)
+const DEFAULT_STYLE = {
+    moduleStyle: 'square',
+    eyeFrame: 'square',
+    eyeBall: 'square',
+    customEyes: false,
+    eyeFrameColor: '#7c5cff',
+    eyeBallColor: '#7c5cff',
+    fill: 'solid',
+    gradientTo: '#7c5cff',
+    gradientAngle: 45,
+    frame: 'none',
+    frameText: DEFAULT_FRAME_TEXT,
+    frameFont: 'sans',
+};
+
+// Generator state for a saved design (a template) — the inverse of the `design` memo below
+function stateFromDesign(design) {
+    const { eyes, gradient } = design;
+    return {
+        fg: gradient ? gradient.from : design.fg,
+        style: {
+            ...DEFAULT_STYLE,
+            moduleStyle: design.moduleStyle,
+            eyeFrame: eyes.frame,
+            eyeBall: eyes.ball,
+            customEyes: Boolean(eyes.frameColor || eyes.ballColor),
+            eyeFrameColor: eyes.frameColor || DEFAULT_STYLE.eyeFrameColor,
+            eyeBallColor: eyes.ballColor || DEFAULT_STYLE.eyeBallColor,
+            fill: gradient ? gradient.type : 'solid',
+            gradientTo: gradient ? gradient.to : DEFAULT_STYLE.gradientTo,
+            gradientAngle: gradient ? gradient.angle : DEFAULT_STYLE.gradientAngle,
+            frame: design.frame ? design.frame.style : 'none',
+            frameText: design.frame ? design.frame.text : DEFAULT_FRAME_TEXT,
+            frameFont: design.frame ? design.frame.font : DEFAULT_STYLE.frameFont,
+        },
+    };
+}
+
 // Only show the first 6 use cases in the picker grid (others are accessed via SEO pages)
 const PICKER_CASES = USE_CASES.slice(0, 6);
 
@@ -50,22 +104,152 @@ export default function QRGenerator({ initialUseCase }) {
         return null;
     });
     const [url, setUrl] = useState('');
+    const [payloadError, setPayloadError] = useState('');
+    const [hostedPage, setHostedPage] = useState(null);
     const [trackScans, setTrackScans] = useState(false);
+    const [slug, setSlug] = useState('');
+    const [slugCheck, setSlugCheck] = useState(null);
+    const [domains, setDomains] = useState([]);
+    const [domainId, setDomainId] = useState('');
     const [showAdvanced, setShowAdvanced] = useState(false);
     const [size, setSize] = useState(200);
-    const [fgColor, setFgColor] = useState('#ffffff');
-    const [bgColor, setBgColor] = useState('#06060f');
+    // Dark on light: light-on-dark codes look good on a dark page but many scanners reject them
+    const [fgColor, setFgColor] = useState('#000000');
+    const [bgColor, setBgColor] = useState('#ffffff');
     const [ecLevel, setEcLevel] = useState('M');
+    const [margin, setMargin] = useState(4);
     const [generated, setGenerated] = useState(false);
     const [qrValue, setQrValue] = useState('');
     const [shortUrl, setShortUrl] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
-    const canvasRef = useRef(null);
+    const [logo, setLogo] = useState(null);
+    const [logoError, setLogoError] = useState('');
+    const [style, setStyle] = useState(DEFAULT_STYLE);
+    const [templates, setTemplates] = useState([]);
+    const [templateId, setTemplateId] = useState('');
+    const [templateName, setTemplateName] = useState('');
+    const [templateError, setTemplateError] = useState('');
+    const [loggedIn, setLoggedIn] = useState(false);
+
+    // Logged-in accounts start from their default template (see lib/templates.js)
+    useEffect(() => {
+        if (!localStorage.getItem('linktoqr_token')) return;
+        setLoggedIn(true);
+        loadTemplates().then(list => {
+            const preferred = list.find(t => t.isDefault);
+            if (preferred) applyTemplate(preferred);
+        });
+        loadDomains();
+    }, []);
+
+    // Everything that decides how the code looks — saved with dynamic codes
+    // so dashboard re-downloads match (see lib/qr/design.js)
+    const design = useMemo(() => ({
+        fg: fgColor,
+        bg: bgColor,
+        ec: ecLevel,
+        margin,
+        logo,
+        moduleStyle: style.moduleStyle,
+        eyes: {
+            frame: style.eyeFrame,
+            ball: style.eyeBall,
+            frameColor: style.customEyes ? style.eyeFrameColor : null,
+            ballColor: style.customEyes ? style.eyeBallColor : null
+        },
+        gradient: style.fill === 'solid' ? null : {
+            type: style.fill,
+            from: fgColor,
+            to: style.gradientTo,
+            angle: Number(style.gradientAngle)
+        },
+        frame: style.frame === 'none' ? null : {
+            style: style.frame,
+            text: style.frameText,
+            font: style.frameFont,
+            color: null,
+            textColor: null
+        }
+    }), [fgColor, bgColor, ecLevel, margin, logo, style]);
+
+    const updateStyle = field => e => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setStyle(current => ({ ...current, [field]: value }));
+    };
+
+    function authHeaders() {
+        return { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') };
+    }
+
+    async function loadTemplates() {
+        const res = await fetch('/api/templates', { headers: authHeaders() });
+        if (!res.ok) return [];
+        const { templates: list } = await res.json();
+        setTemplates(list);
+        return list;
+    }
+
+    // Verified custom domains a dynamic code can go on (see lib/domains.js)
+    async function loadDomains() {
+        const res = await fetch('/api/domains', { headers: authHeaders() });
+        if (!res.ok) return;
+        const { domains: list } = await res.json();
+        setDomains(list.filter(domain => domain.verified));
+    }
+
+    function applyTemplate(template) {
+        const { design: saved } = template;
+        const { fg, style: savedStyle } = stateFromDesign(saved);
+        setTemplateId(String(template.id));
+        setFgColor(fg);
+        setBgColor(saved.bg);
+        setEcLevel(saved.ec);
+        setMargin(saved.margin);
+        setLogo(saved.logo);
+        setStyle(savedStyle);
+    }
+
+    function selectTemplate(id) {
+        setTemplateError('');
+        const template = templates.find(t => String(t.id) === id);
+        if (template) applyTemplate(template);
+        else setTemplateId('');
+    }
+
+    async function saveTemplate() {
+        if (!templateName.trim()) { setTemplateError('Give the template a name'); return; }
+        const res = await fetch('/api/templates', {
+            method: 'POST',
+            headers: authHeaders(),
+            body: JSON.stringify({ name: templateName, design, isDefault: templates.length === 0 })
+        });
+        const data = await res.json();
+        if (!res.ok) { setTemplateError(data.error || 'Failed to save template'); return; }
+        setTemplateName('');
+        setTemplateError('');
+        await loadTemplates();
+        setTemplateId(String(data.id));
+    }
+
+    async function makeDefault() {
+        const res = await fetch(`/api/templates/${templateId}`, { method: 'PUT', headers: authHeaders(), body: JSON.stringify({ isDefault: true }) });
+        if (!res.ok) { setTemplateError((await res.json()).error || 'Failed to update template'); return; }
+        await loadTemplates();
+    }
+
+    async function deleteTemplate() {
+        const res = await fetch(`/api/templates/${templateId}`, { method: 'DELETE', headers: authHeaders() });
+        if (!res.ok) { setTemplateError((await res.json()).error || 'Failed to delete template'); return; }
+        setTemplateId('');
+        await loadTemplates();
+    }
 
     function selectCase(useCase) {
         setSelectedCase(useCase);
         setUrl('');
+        setPayloadError('');
+        setHostedPage(null);
         setGenerated(false);
         setError('');
         setShortUrl('');
@@ -73,14 +257,50 @@ export default function QRGenerator({ initialUseCase }) {
 
     function getPlaceholder() {
         if (!selectedCase) return 'Paste any link...';
-        return selectedCase.placeholder;
+        return selectedCase.placeholder || '';
     }
 
-    async function generate() {
-        if (!url.trim()) { setError('Please enter a URL or value'); return; }
+    function updatePayload(payload, problem) {
+        setUrl(payload);
+        setPayloadError(problem);
+        setError('');
+    }
+
+    function updatePage(page, problem) {
+        setHostedPage(page);
+        setPayloadError(problem);
+        setError('');
+    }
+
+    // Custom slugs are checked as soon as the field is left (GET /api/qr/slugs)
+    async function checkSlug() {
+        if (!slug.trim()) { setSlugCheck(null); return; }
+        try {
+            const query = new URLSearchParams({ slug, ...(domainId && { domainId }) });
+            const res = await fetch('/api/qr/slugs?' + query, { headers: authHeaders() });
+            const data = await res.json();
+            setSlugCheck(res.ok ? data : { available: false, reason: data.error, suggestions: [] });
+        } catch {
+            setSlugCheck(null);
+        }
+    }
+
+    function pickSlug(value) {
+        setSlug(value);
+        setSlugCheck({ available: true, suggestions: [] });
+    }
 
-        // For non-WiFi use cases, validate URL
-        if (selectedCase?.id !== 'wifi') {
+    async function generate() {
+        if (selectedCase?.page) {
+            if (payloadError) { setError(payloadError); return; }
+            if (!localStorage.getItem('linktoqr_token')) { setError('Log in to create a hosted page — you\'ll edit it from your dashboard'); return; }
+        } else if (selectedCase?.builder) {
+            if (payloadError) { setError(payloadError); return; }
+        } else if (!url.trim()) {
+            setError('Please enter a URL or value');
+            return;
+        } else {
+            // Link use cases — validate URL
             try { new URL(url); } catch {
                 setError('Please enter a valid URL (starting with https://)');
                 return;
@@ -90,7 +310,8 @@ export default function QRGenerator({ initialUseCase }) {
         setError('');
         setLoading(true);
 
-        if (trackScans) {
+        // Hosted pages only exist as dynamic codes
+        if (trackScans || selectedCase?.page) {
             // Dynamic QR — create via API
             try {
                 const token = localStorage.getItem('linktoqr_token');
@@ -100,12 +321,20 @@ export default function QRGenerator({ initialUseCase }) {
                 const res = await fetch('/api/qr', {
                     method: 'POST',
                     headers,
-                    body: JSON.stringify({ url })
+                    body: JSON.stringify({
+                        ...(selectedCase?.page ? { page: hostedPage } : { url }),
+                        ...(loggedIn && slug.trim() && { slug }),
+                        ...(loggedIn && domainId && { domainId: Number(domainId) }),
+                        design
+                    })
                 });
 
                 const data = await res.json();
                 if (!res.ok) {
-                    if (data.upgrade) {
+                    if (res.status === 409 && data.suggestions) {
+                        setSlugCheck({ available: false, reason: data.error, suggestions: data.suggestions });
+                        setError(data.error);
+                    } else if (data.upgrade && !token) {
                         setError('Free plan limit reached (2 dynamic QR). Sign up or upgrade for more!');
                     } else {
                         setError(data.error || 'Failed to create');
@@ -123,6 +352,12 @@ export default function QRGenerator({ initialUseCase }) {
             }
         } else {
             // Static QR — encode directly in browser
+            try { encodeDesign(url, design); } catch (err) {
+                if (!(err instanceof DataTooLongError)) throw err;
+                setError('Too much data for one QR code — shorten it, or turn on "Track scans" to encode a short link');
+                setLoading(false);
+                return;
+            }
             setQrValue(url);
             setShortUrl('');
         }
@@ -131,22 +366,19 @@ export default function QRGenerator({ initialUseCase }) {
         setLoading(false);
     }
 
-    function download() {
-        const canvas = canvasRef.current?.querySelector('canvas');
-        if (!canvas) return;
-        const link = document.createElement('a');
-        link.download = 'linktoqr-code.png';
-        link.href = canvas.toDataURL('image/png');
-        link.click();
-    }
+    function uploadLogo(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        if (!LOGO_TYPES.includes(file.type)) { setLogoError('Logo must be a PNG or SVG file'); return; }
 
-    async function copyImage() {
-        const canvas = canvasRef.current?.querySelector('canvas');
-        if (!canvas) return;
-        try {
-            const blob = await new Promise(resolve => canvas.toBlob(resolve));
-            await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
-        } catch { /* fallback: download instead */ download(); }
+        const reader = new FileReader();
+        reader.onload = () => {
+            if (reader.result.length > MAX_LOGO_LENGTH) { setLogoError('Logo file is too large (max ~100 KB)'); return; }
+            setLogo(current => ({ src: reader.result, scale: current?.scale || DEFAULT_LOGO_SCALE }));
+            setLogoError('');
+        };
+        reader.readAsDataURL(file);
     }
 
     function reset() {
@@ -189,46 +421,125 @@ export default function QRGenerator({ initialUseCase }) {
                         <h3>{selectedCase.label} QR Code</h3>
                     </div>
 
-                    <div className="input-group">
-                        <label className="input-label">Your link or value</label>
-                        <div className="input-wrapper">
-                            <svg className="input-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
-                                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
-                                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
-                            </svg>
-                            <input
-                                type="text"
-                                value={url}
-                                onChange={e => { setUrl(e.target.value); setError(''); }}
-                                placeholder={getPlaceholder()}
-                            />
-                            {url && <button className="clear-btn" onClick={() => setUrl('')}>✕</button>}
+                    {selectedCase.page ? (
+                        <div className="input-group">
+                            <PageEditor key={selectedCase.id} type={selectedCase.page} onChange={updatePage} />
+                            {error && <p className="input-hint error">{error}</p>}
                         </div>
-                        {error && <p className="input-hint error">{error}</p>}
-                    </div>
+                    ) : selectedCase.builder ? (
+                        <div className="input-group">
+                            <PayloadForm key={selectedCase.id} type={selectedCase.builder} onChange={updatePayload} />
+                            {error && <p className="input-hint error">{error}</p>}
+                        </div>
+                    ) : (
+                        <div className="input-group">
+                            <label className="input-label">Your link or value</label>
+                            <div className="input-wrapper">
+                                <svg className="input-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round">
+                                    <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+                                    <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+                                </svg>
+                                <input
+                                    type="text"
+                                    value={url}
+                                    onChange={e => { setUrl(e.target.value); setError(''); }}
+                                    placeholder={getPlaceholder()}
+                                />
+                                {url && <button className="clear-btn" onClick={() => setUrl('')}>✕</button>}
+                            </div>
+                            {error && <p className="input-hint error">{error}</p>}
+                        </div>
+                    )}
 
-                    {/* Track scans toggle — natural discovery of dynamic QR */}
-                    <div className="track-toggle">
-                        <label className="track-label">
-                            <input
-                                type="checkbox"
-                                checked={trackScans}
-                                onChange={e => setTrackScans(e.target.checked)}
-                            />
-                            <span className="track-switch"></span>
-                            <span>Track scans &amp; edit later</span>
-                            {trackScans && <span className="badge">Dynamic</span>}
-                        </label>
-                        {trackScans && (
-                            <p className="track-hint">You can change the destination URL anytime — even after printing. Requires a free account.</p>
-                        )}
-                    </div>
+                    {/* Track scans toggle — natural discovery of dynamic QR (payloads get a landing page, see lib/landing.js; hosted pages are always dynamic) */}
+                    {selectedCase.page ? (
+                        <p className="track-hint">Lives on a short link with scan tracking — edit the page anytime from your dashboard.</p>
+                    ) : (
+                        <div className="track-toggle">
+                            <label className="track-label">
+                                <input
+                                    type="checkbox"
+                                    checked={trackScans}
+                                    onChange={e => setTrackScans(e.target.checked)}
+                                />
+                                <span className="track-switch"></span>
+                                <span>Track scans &amp; edit later</span>
+                                {trackScans && <span className="badge">Dynamic</span>}
+                            </label>
+                            {trackScans && (
+                                <p className="track-hint">
+                                    You can change the {selectedCase.builder ? 'details' : 'destination URL'} anytime — even after printing. Requires a free account.
+                                </p>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Custom slug (paid plans, checked against GET /api/qr/slugs) and custom domain (Business) */}
+                    {loggedIn && (trackScans || selectedCase.page) && (
+                        <div className="slug-field">
+                            <label className="input-label">Custom slug <span className="badge">Pro</span></label>
+                            <div className="slug-input">
+                                {domains.length > 0 ? (
+                                    <select className="slug-domain" value={domainId} onChange={e => { setDomainId(e.target.value); setSlugCheck(null); }}>
+                                        <option value="">/r/</option>
+                                        {domains.map(domain => <option key={domain.id} value={domain.id}>{domain.hostname}/</option>)}
+                                    </select>
+                                ) : (
+                                    <span className="slug-prefix">/r/</span>
+                                )}
+                                <input
+                                    type="text"
+                                    value={slug}
+                                    onChange={e => { setSlug(e.target.value); setSlugCheck(null); setError(''); }}
+                                    onBlur={checkSlug}
+                                    placeholder="summer-menu (optional)"
+                                    maxLength={40}
+                                />
+                            </div>
+                            {slugCheck && (slugCheck.available ? (
+                                <p className="input-hint valid">Available</p>
+                            ) : (
+                                <p className="input-hint error">
+                                    {slugCheck.reason}
+                                    {slugCheck.suggestions.length > 0 && ' — try '}
+                                    {slugCheck.suggestions.map(suggestion => (
+                                        <button key={suggestion} type="button" className="slug-suggestion" onClick={() => pickSlug(suggestion)}>{suggestion}</button>
+                                    ))}
+                                </p>
+                            ))}
+                        </div>
+                    )}
 
                     {/* Advanced options — collapsed */}
                     <div className="advanced-section">
                         <button className="advanced-toggle" onClick={() => setShowAdvanced(!showAdvanced)}>
                             Advanced design options {showAdvanced ? '▴' : '▾'}
                         </button>
+                        {showAdvanced && templates.length > 0 && (
+                            <div className="options-row">
+                                <div className="option-group">
+                                    <span className="option-label">Template</span>
+                                    <select value={templateId} onChange={e => selectTemplate(e.target.value)}>
+                                        <option value="">Custom</option>
+                                        {templates.map(t => (
+                                            <option key={t.id} value={t.id}>{t.name}{t.isDefault ? ' (default)' : ''}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {templateId && !templates.find(t => String(t.id) === templateId)?.isDefault && (
+                                    <div className="option-group">
+                                        <span className="option-label">&nbsp;</span>
+                                        <button className="qr-row-btn" onClick={makeDefault}>Make default</button>
+                                    </div>
+                                )}
+                                {templateId && (
+                                    <div className="option-group">
+                                        <span className="option-label">&nbsp;</span>
+                                        <button className="qr-row-btn" onClick={deleteTemplate}>Delete</button>
+                                    </div>
+                                )}
+                            </div>
+                        )}
                         {showAdvanced && (
                             <div className="options-row">
                                 <div className="option-group">
@@ -265,9 +576,156 @@ export default function QRGenerator({ initialUseCase }) {
                                 </div>
                             </div>
                         )}
+                        {showAdvanced && (
+                            <div className="style-options">
+                                <div className="options-row">
+                                    <div className="option-group">
+                                        <span className="option-label">Modules</span>
+                                        <select value={style.moduleStyle} onChange={updateStyle('moduleStyle')}>
+                                            <option value="square">Square</option>
+                                            <option value="rounded">Rounded</option>
+                                            <option value="dots">Dots</option>
+                                            <option value="classy">Classy</option>
+                                        </select>
+                                    </div>
+                                    <div className="option-group">
+                                        <span className="option-label">Eye Frame</span>
+                                        <select value={style.eyeFrame} onChange={updateStyle('eyeFrame')}>
+                                            <option value="square">Square</option>
+                                            <option value="rounded">Rounded</option>
+                                            <option value="circle">Circle</option>
+                                        </select>
+                                    </div>
+                                    <div className="option-group">
+                                        <span className="option-label">Eye Center</span>
+                                        <select value={style.eyeBall} onChange={updateStyle('eyeBall')}>
+                                            <option value="square">Square</option>
+                                            <option value="rounded">Rounded</option>
+                                            <option value="circle">Circle</option>
+                                        </select>
+                                    </div>
+                                    <div className="option-group">
+                                        <span className="option-label">Fill</span>
+                                        <select value={style.fill} onChange={updateStyle('fill')}>
+                                            <option value="solid">Solid</option>
+                                            <option value="linear">Linear gradient</option>
+                                            <option value="radial">Radial gradient</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div className="options-row">
+                                    {style.fill !== 'solid' && (
+                                        <div className="option-group">
+                                            <span className="option-label">Gradient To</span>
+                                            <div className="color-picker-wrapper">
+                                                <input type="color" value={style.gradientTo} onChange={updateStyle('gradientTo')} />
+                                                <span className="color-value">{style.gradientTo}</span>
+                                            </div>
+                                        </div>
+                                    )}
+                                    {style.fill === 'linear' && (
+                                        <div className="option-group">
+                                            <span className="option-label">Direction</span>
+                                            <select value={style.gradientAngle} onChange={updateStyle('gradientAngle')}>
+                                                <option value={0}>→ Left to right</option>
+                                                <option value={45}>↘ Diagonal</option>
+                                                <option value={90}>↓ Top to bottom</option>
+                                                <option value={135}>↙ Diagonal</option>
+                                            </select>
+                                        </div>
+                                    )}
+                                    <label className="option-group">
+                                        <span className="option-label">Eye Colors</span>
+                                        <span className="color-picker-wrapper">
+                                            <input type="checkbox" checked={style.customEyes} onChange={updateStyle('customEyes')} />
+                                            <span className="color-value">{style.customEyes ? 'Custom' : 'Same as QR'}</span>
+                                        </span>
+                                    </label>
+                                    {style.customEyes && (
+                                        <div className="option-group">
+                                            <span className="option-label">Frame / Center</span>
+                                            <div className="color-picker-wrapper">
+                                                <input type="color" value={style.eyeFrameColor} onChange={updateStyle('eyeFrameColor')} />
+                                                <input type="color" value={style.eyeBallColor} onChange={updateStyle('eyeBallColor')} />
+                                            </div>
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        )}
+                        {showAdvanced && (
+                            <div className="options-row frame-options">
+                                <div className="option-group">
+                                    <span className="option-label">Frame</span>
+                                    <select value={style.frame} onChange={updateStyle('frame')}>
+                                        <option value="none">None</option>
+                                        <option value="banner">Banner</option>
+                                        <option value="badge">Badge</option>
+                                        <option value="bubble">Speech bubble</option>
+                                    </select>
+                                </div>
+                                {style.frame !== 'none' && (
+                                    <div className="option-group">
+                                        <span className="option-label">Caption</span>
+                                        <input type="text" value={style.frameText} maxLength={MAX_FRAME_TEXT} onChange={updateStyle('frameText')} />
+                                    </div>
+                                )}
+                                {style.frame !== 'none' && (
+                                    <div className="option-group">
+                                        <span className="option-label">Font</span>
+                                        <select value={style.frameFont} onChange={updateStyle('frameFont')}>
+                                            {Object.entries(FONTS).map(([id, font]) => <option key={id} value={id}>{font.label}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                        {showAdvanced && (
+                            <div className="logo-options">
+                                <div className="options-row">
+                                    <label className="option-group">
+                                        <span className="option-label">Logo (PNG/SVG)</span>
+                                        <input type="file" accept={LOGO_TYPES.join(',')} onChange={uploadLogo} />
+                                    </label>
+                                    {logo && (
+                                        <div className="option-group">
+                                            <span className="option-label">Logo Size</span>
+                                            <select value={logo.scale} onChange={e => setLogo({ ...logo, scale: Number(e.target.value) })}>
+                                                <option value={0.15}>Small</option>
+                                                <option value={0.2}>Medium</option>
+                                                <option value={0.25}>Large</option>
+                                                <option value={0.3}>XL</option>
+                                            </select>
+                                        </div>
+                                    )}
+                                    {logo && (
+                                        <div className="option-group logo-preview">
+                                            <img src={logo.src} alt="Logo" />
+                                            <button className="qr-row-btn" onClick={() => setLogo(null)}>Remove</button>
+                                        </div>
+                                    )}
+                                </div>
+                                {logoError && <p className="input-hint error">{logoError}</p>}
+                            </div>
+                        )}
+                        {showAdvanced && <ScanCheck value={url.trim() || getPlaceholder()} design={design} />}
+                        {showAdvanced && loggedIn && (
+                            <div className="options-row template-save">
+                                <div className="option-group">
+                                    <span className="option-label">Save as Template</span>
+                                    <input type="text" value={templateName} maxLength={60} placeholder="e.g. Brand colors"
+                                        onChange={e => { setTemplateName(e.target.value); setTemplateError(''); }} />
+                                </div>
+                                <div className="option-group">
+                                    <span className="option-label">&nbsp;</span>
+                                    <button className="qr-row-btn" onClick={saveTemplate}>Save</button>
+                                </div>
+                            </div>
+                        )}
+                        {showAdvanced && templateError && <p className="input-hint error">{templateError}</p>}
                     </div>
 
-                    <button className="generate-btn cta-bright" onClick={generate} disabled={!url.trim() || loading}>
+                    <button className="generate-btn cta-bright" onClick={generate} disabled={(!selectedCase.builder && !selectedCase.page && !url.trim()) || loading}>
                         {loading ? (
                             <span className="btn-loader"><span className="spinner"></span></span>
                         ) : (
@@ -287,15 +745,8 @@ export default function QRGenerator({ initialUseCase }) {
             {generated && (
                 <div className="output-section">
                     <div className="qr-result">
-                        <div className="qr-glow" ref={canvasRef}>
-                            <QRCodeCanvas
-                                value={qrValue}
-                                size={size}
-                                fgColor={fgColor}
-                                bgColor={bgColor}
-                                level={ecLevel}
-                                includeMargin={true}
-                            />
+                        <div className="qr-glow">
+                            <QRCanvas value={qrValue} design={design} size={size} />
                         </div>
 
                         {/* Short URL for dynamic */}
@@ -313,17 +764,7 @@ export default function QRGenerator({ initialUseCase }) {
                             <p>Scan with your phone camera to test it works</p>
                         </div>
 
-                        {/* Action buttons */}
-                        <div className="result-actions">
-                            <button className="action-btn download-btn" onClick={download}>
-                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4" /><polyline points="7 10 12 15 17 10" /><line x1="12" y1="15" x2="12" y2="3" /></svg>
-                                <span>Download for printing (PNG)</span>
-                            </button>
-                            <button className="action-btn copy-btn" onClick={copyImage}>
-                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><rect x="9" y="9" width="13" height="13" rx="2" /><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1" /></svg>
-                                <span>Copy to clipboard</span>
-                            </button>
-                        </div>
+                        <QRExport value={qrValue} design={design} />
 
                         {/* Create another */}
                         <button className="create-another-btn" onClick={reset}>
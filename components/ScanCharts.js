@@ -0,0 +1,114 @@
+'use client';
+
+/**
+ * components/ScanCharts.js — Lightweight SVG charts for scan analytics
+ *
+ * LEARNING: A chart is just shapes positioned by math.
+ * Scale each value into the SVG's coordinate box and draw <path>/<rect>s —
+ * no 200 KB chart library needed for a line and some bars.
+ * The viewBox keeps the drawing responsive: CSS sets the width,
+ * the SVG scales everything inside.
+ */
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { top: 16, right: 12, bottom: 28, left: 36 };
+
+// Rounds the y-axis max up to a "nice" number (1, 2, 5 × 10ⁿ)
+function niceMax(value) {
+    if (value <= 4) return 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+// "2024-01-31 14:00" → "14:00", "2024-01-31" → "31 Jan"
+function formatBucket(bucket, interval) {
+    if (interval === 'hour') return bucket.slice(11);
+    const date = new Date(`${bucket}T00:00:00Z`);
+    return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Scans (filled area) and unique scanners (line) over time.
+ */
+export function TimeSeriesChart({ series, interval }) {
+    if (!series || series.length === 0) return null;
+
+    const innerW = WIDTH - PAD.left - PAD.right;
+    const innerH = HEIGHT - PAD.top - PAD.bottom;
+    const max = niceMax(Math.max(...series.map(p => p.scans)));
+    const x = i => PAD.left + (series.length === 1 ? innerW / 2 : (i / (series.length - 1)) * innerW);
+    const y = v => PAD.top + innerH - (v / max) * innerH;
+
+    const linePath = key => series.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+    const areaPath = `${linePath('scans')} L${x(series.length - 1).toFixed(1)},${y(0)} L${x(0).toFixed(1)},${y(0)} Z`;
+
+    // At most ~8 x-axis labels, evenly spaced
+    const labelEvery = Math.max(1, Math.ceil(series.length / 8));
+    const gridLines = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(max * f));
+
+    return (
+        <svg className="chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Scans over time">
+            {gridLines.map(v => (
+                <g key={v}>
+                    <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(v)} y2={y(v)} className="chart-grid" />
+                    <text x={PAD.left - 6} y={y(v) + 4} textAnchor="end" className="chart-axis">{v}</text>
+                </g>
+            ))}
+
+            <path d={areaPath} className="chart-area" />
+            <path d={linePath('scans')} className="chart-line" />
+            <path d={linePath('unique')} className="chart-line chart-line-secondary" />
+
+            {series.map((p, i) => (
+                <g key={p.bucket}>
+                    <circle cx={x(i)} cy={y(p.scans)} r={series.length > 60 ? 0 : 3} className="chart-dot">
+                        <title>{`${p.bucket}: ${p.scans} scans, ${p.unique} unique`}</title>
+                    </circle>
+                    {i % labelEvery === 0 && (
+                        <text x={x(i)} y={HEIGHT - 8} textAnchor="middle" className="chart-axis">
+                            {formatBucket(p.bucket, interval)}
+                        </text>
+                    )}
+                </g>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * Horizontal bar chart for a breakdown ([{ value, scans }]).
+ * `unit` names what's counted in tooltips and the empty message.
+ */
+export function BarChart({ data, label = v => v, unit = 'scans' }) {
+    if (!data || data.length === 0) {
+        return <p className="chart-empty">No {unit} in this range</p>;
+    }
+
+    const rowHeight = 26;
+    const labelWidth = 130;
+    const countWidth = 44;
+    const barWidth = WIDTH - labelWidth - countWidth;
+    const max = Math.max(...data.map(d => d.scans));
+    const total = data.reduce((sum, d) => sum + d.scans, 0);
+
+    return (
+        <svg className="chart" viewBox={`0 0 ${WIDTH} ${data.length * rowHeight}`} role="img">
+            {data.map((d, i) => {
+                const name = label(d.value);
+                const w = Math.max(2, (d.scans / max) * barWidth);
+                return (
+                    <g key={`${d.value}-${i}`} transform={`translate(0, ${i * rowHeight})`}>
+                        <title>{`${name}: ${d.scans} ${unit} (${Math.round((d.scans / total) * 100)}%)`}</title>
+                        <text x={0} y={rowHeight / 2 + 4} className="chart-label">
+                            {name.length > 18 ? name.slice(0, 17) + '…' : name}
+                        </text>
+                        <rect x={labelWidth} y={4} width={w} height={rowHeight - 8} rx={4} className="chart-bar" />
+                        <text x={WIDTH} y={rowHeight / 2 + 4} textAnchor="end" className="chart-label">{d.scans}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
@@ -0,0 +1,32 @@
+'use client';
+
+/**
+ * components/ScanCheck.js — Inline scannability warnings for a design
+ *
+ * Runs lib/qr/lint.js in the browser (the same checks as POST /api/qr/lint),
+ * so problems show up while colors and sizes are being picked — before
+ * anything is downloaded or printed. Renders nothing when all is well.
+ */
+
+import { useMemo } from 'react';
+import { lintDesign } from '@/lib/qr';
+
+const ICONS = { error: '⛔', warning: '⚠️', info: 'ℹ️' };
+
+export default function ScanCheck({ value, design, print }) {
+    const issues = useMemo(() => {
+        try { return lintDesign(value, design, print).issues; } catch { return []; }
+    }, [value, design, print?.size, print?.unit, print?.distance]);
+
+    if (issues.length === 0) return null;
+
+    return (
+        <ul className="scan-check">
+            {issues.map(issue => (
+                <li key={issue.code} className={`input-hint ${issue.level}`}>
+                    <span>{ICONS[issue.level]}</span> {issue.message}
+                </li>
+            ))}
+        </ul>
+    );
+}
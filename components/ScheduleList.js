@@ -0,0 +1,154 @@
+'use client';
+
+/**
+ * components/ScheduleList.js — Campaign calendar for one QR code
+ *
+ * Lists scheduled destination changes and lets the owner add or remove them.
+ * Backed by /api/qr/[code]/schedule.
+ */
+
+import { useState, useEffect } from 'react';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_FORM = { url: '', label: '', startsAt: '', endsAt: '', startTime: '', endTime: '', days: [] };
+
+function describeEntry(entry) {
+    const parts = [];
+    if (entry.startsAt) parts.push(`from ${new Date(entry.startsAt).toLocaleString()}`);
+    if (entry.endsAt) parts.push(`until ${new Date(entry.endsAt).toLocaleString()}`);
+    if (entry.startTime) {
+        const days = entry.days && entry.days.length < 7 ? entry.days.map(d => DAY_NAMES[d]).join(', ') + ' ' : 'daily ';
+        parts.push(`${days}${entry.startTime}–${entry.endTime} (${entry.timezone})`);
+    }
+    return parts.join(', ');
+}
+
+function isPast(entry) {
+    return entry.endsAt && new Date(entry.endsAt) < new Date();
+}
+
+export default function ScheduleList({ code }) {
+    const [entries, setEntries] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [showForm, setShowForm] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadSchedule();
+    }, [code]);
+
+    function authHeaders() {
+        return { 'Content-Type': 'application/json', Authorization: 'Bearer ' + localStorage.getItem('linktoqr_token') };
+    }
+
+    async function loadSchedule() {
+        const res = await fetch(`/api/qr/${code}/schedule`, { headers: authHeaders() });
+        if (res.ok) setEntries((await res.json()).schedule);
+    }
+
+    async function addEntry(e) {
+        e.preventDefault();
+        setError('');
+
+        // datetime-local inputs are in the browser's timezone; send them as absolute ISO times
+        const body = {
+            url: form.url,
+            label: form.label || undefined,
+            startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : undefined,
+            endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : undefined
+        };
+        if (form.startTime || form.endTime) {
+            body.startTime = form.startTime;
+            body.endTime = form.endTime;
+            body.timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            if (form.days.length) body.days = form.days;
+        }
+
+        const res = await fetch(`/api/qr/${code}/schedule`, { method: 'POST', headers: authHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!res.ok) { setError(data.error || 'Failed to add'); return; }
+
+        setForm(EMPTY_FORM);
+        setShowForm(false);
+        loadSchedule();
+    }
+
+    async function removeEntry(id) {
+        if (!confirm('Remove this scheduled change?')) return;
+        const res = await fetch(`/api/qr/${code}/schedule/${id}`, { method: 'DELETE', headers: authHeaders() });
+        if (res.ok) loadSchedule();
+        else alert('Failed to remove');
+    }
+
+    function toggleDay(day) {
+        setForm(f => ({ ...f, days: f.days.includes(day) ? f.days.filter(d => d !== day) : [...f.days, day].sort() }));
+    }
+
+    const update = field => e => setForm(f => ({ ...f, [field]: e.target.value }));
+
+    return (
+        <section className="analytics-section">
+            <h3>Scheduled destinations</h3>
+
+            {entries.length === 0 ? (
+                <p className="chart-empty">No scheduled changes — every scan goes to the main destination.</p>
+            ) : (
+                <div className="dashboard-list">
+                    {entries.map(entry => (
+                        <div key={entry.id} className={isPast(entry) ? 'qr-row schedule-past' : 'qr-row'}>
+                            <div className="qr-row-info">
+                                <span className="qr-row-url" title={entry.url}>{entry.label ? `${entry.label} — ` : ''}{entry.url}</span>
+                                <span className="qr-row-code">{describeEntry(entry)}{isPast(entry) ? ' (ended)' : ''}</span>
+                            </div>
+                            <div className="qr-row-actions">
+                                <button className="qr-row-btn delete" onClick={() => removeEntry(entry.id)}>Remove</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {showForm ? (
+                <form className="schedule-form" onSubmit={addEntry}>
+                    <input type="text" placeholder="https://example.com/dinner-menu" value={form.url} onChange={update('url')} required />
+                    <input type="text" placeholder="Label (optional), e.g. Dinner menu" value={form.label} onChange={update('label')} maxLength={80} />
+                    <div className="options-row">
+                        <label className="option-group">
+                            <span className="option-label">Starts</span>
+                            <input type="datetime-local" value={form.startsAt} onChange={update('startsAt')} />
+                        </label>
+                        <label className="option-group">
+                            <span className="option-label">Ends</span>
+                            <input type="datetime-local" value={form.endsAt} onChange={update('endsAt')} />
+                        </label>
+                        <label className="option-group">
+                            <span className="option-label">Daily from</span>
+                            <input type="time" value={form.startTime} onChange={update('startTime')} />
+                        </label>
+                        <label className="option-group">
+                            <span className="option-label">Daily until</span>
+                            <input type="time" value={form.endTime} onChange={update('endTime')} />
+                        </label>
+                    </div>
+                    {(form.startTime || form.endTime) && (
+                        <div className="range-presets">
+                            {DAY_NAMES.map((name, day) => (
+                                <button type="button" key={name} className={form.days.includes(day) ? 'qr-row-btn active' : 'qr-row-btn'} onClick={() => toggleDay(day)}>
+                                    {name}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {error && <p className="input-hint error">{error}</p>}
+                    <div className="qr-row-actions">
+                        <button type="submit" className="qr-row-btn">Add to schedule</button>
+                        <button type="button" className="qr-row-btn" onClick={() => { setShowForm(false); setError(''); }}>Cancel</button>
+                    </div>
+                </form>
+            ) : (
+                <button className="qr-row-btn schedule-add" onClick={() => setShowForm(true)}>+ Schedule a change</button>
+            )}
+        </section>
+    );
+}
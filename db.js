@@ -65,8 +65,21 @@ db.exec(`
         FOREIGN KEY (user_id) REFERENCES users(id)
     );
 
+    CREATE TABLE IF NOT EXISTS scan_events (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        qr_id       INTEGER NOT NULL,
+        scanned_at  TEXT DEFAULT (datetime('now')),
+        referrer    TEXT,
+        user_agent  TEXT,
+        device      TEXT,
+        os          TEXT,
+        language    TEXT,
+        FOREIGN KEY (qr_id) REFERENCES qr_codes(id)
+    );
+
     CREATE INDEX IF NOT EXISTS idx_short_code ON qr_codes(short_code);
     CREATE INDEX IF NOT EXISTS idx_user_id ON qr_codes(user_id);
+    CREATE INDEX IF NOT EXISTS idx_scan_events_qr_time ON scan_events(qr_id, scanned_at);
 `);
 
 // ─── Prepared Statements ───
@@ -89,6 +102,12 @@ const stmts = {
         WHERE short_code = ?
     `),
 
+    // One row per scan — scan_count above is just a cached total
+    logScanEvent: db.prepare(`
+        INSERT INTO scan_events (qr_id, referrer, user_agent, device, os, language)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+
     getStats: db.prepare(`
         SELECT short_code, destination_url, scan_count, created_at, last_scanned_at, expires_at, is_active
         FROM qr_codes WHERE short_code = ?
@@ -0,0 +1,115 @@
+/**
+ * lib/abtest.js — A/B split testing of destinations
+ *
+ * LEARNING:
+ * ─────────
+ * One printed flyer, 2–5 landing pages. Each variant has a weight
+ * (e.g. 50/50 or 80/20). A visitor is assigned a variant on their first
+ * scan and a cookie keeps them there ("sticky assignment"), so someone
+ * who scans twice doesn't see page A, then page B, and skew the results.
+ *
+ * Conversions are reported by a 1×1 pixel (/r/[code]/convert, or
+ * /[code]/convert on a custom domain) placed on the "thank you" page — it
+ * reads the same cookie to know which variant won.
+ *
+ * Scans, conversions and cookies all record the variant's id, so an id is
+ * assigned once and kept through edits — removing or reordering variants
+ * must not move one variant's history onto another's destination.
+ */
+
+import { validateUrl } from '@/lib/validate';
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 5;
+export const COOKIE_MAX_AGE = 90 * 24 * 3600;   // seconds
+
+const VARIANT_ID_PATTERN = /^[a-z0-9]{1,12}$/;
+const LETTERS = 'ABCDE';
+
+function newVariantId(taken) {
+    let id;
+    do id = Math.random().toString(36).slice(2, 8); while (!id || taken.has(id));
+    return id;
+}
+
+export function variantCookieName(code) {
+    return `ltq_ab_${code}`;
+}
+
+/**
+ * Validates variants from the API ([{ id?, url, weight?, label? }]).
+ * Returns { variants } or { error }. Variants keep the id they came in
+ * with; new ones (without a valid id) get a fresh one.
+ */
+export function validateVariants(variants) {
+    if (!Array.isArray(variants)) return { error: 'variants must be an array' };
+    if (variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+        return { error: `A/B tests need ${MIN_VARIANTS}–${MAX_VARIANTS} variants` };
+    }
+
+    for (let i = 0; i < variants.length; i++) {
+        const variant = variants[i] || {};
+        const urlError = validateUrl(variant.url);
+        if (urlError) return { error: `Variant ${i + 1}: ${urlError}` };
+
+        const weight = variant.weight ?? 1;
+        if (!Number.isFinite(weight) || weight <= 0 || weight > 1000) {
+            return { error: `Variant ${i + 1}: weight must be a number between 0 and 1000` };
+        }
+        if (variant.label !== undefined && (typeof variant.label !== 'string' || variant.label.length > 60)) {
+            return { error: `Variant ${i + 1}: label must be a string (max 60 chars)` };
+        }
+    }
+
+    const taken = new Set();
+    const validated = variants.map((variant, i) => {
+        const id = VARIANT_ID_PATTERN.test(variant.id) && !taken.has(variant.id) ? variant.id : null;
+        if (id) taken.add(id);
+        return { id, label: variant.label || `Variant ${LETTERS[i]}`, url: variant.url, weight: variant.weight ?? 1 };
+    });
+    // Second pass, so a new variant can't take an id that an existing one further down still has
+    for (const variant of validated) {
+        if (!variant.id) taken.add(variant.id = newVariantId(taken));
+    }
+
+    return { variants: validated };
+}
+
+/**
+ * Picks the visitor's variant: the one named in their cookie if it still exists,
+ * otherwise a weighted random draw. `isNew` tells the caller to set the cookie.
+ */
+export function pickVariant(variants, stickyId, random = Math.random) {
+    const sticky = variants.find(v => v.id === stickyId);
+    if (sticky) return { variant: sticky, isNew: false };
+
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    let roll = random() * total;
+    for (const variant of variants) {
+        roll -= variant.weight;
+        if (roll < 0) return { variant, isNew: true };
+    }
+    return { variant: variants[variants.length - 1], isNew: true };
+}
+
+/**
+ * Merges per-variant scan and conversion counts into the variant list for reporting.
+ * conversionRate is a percentage of the variant's unique scanners.
+ */
+export function variantReport(variants, scanRows, conversionRows) {
+    const scans = new Map(scanRows.map(row => [row.variant, row]));
+    const conversions = new Map(conversionRows.map(row => [row.variant, Number(row.conversions)]));
+
+    return variants.map(variant => {
+        const row = scans.get(variant.id);
+        const uniqueScanners = row ? Number(row.unique_scanners) : 0;
+        const converted = conversions.get(variant.id) || 0;
+        return {
+            ...variant,
+            scans: row ? Number(row.scans) : 0,
+            uniqueScanners,
+            conversions: converted,
+            conversionRate: uniqueScanners ? Math.round((converted / uniqueScanners) * 1000) / 10 : 0
+        };
+    });
+}
@@ -0,0 +1,178 @@
+/**
+ * lib/analytics.js — Scan event helpers
+ *
+ * LEARNING:
+ * ─────────
+ * Every scan is stored as a row in `scan_events`. That gives us raw data,
+ * but charts need two extra steps:
+ * 1. Describe the scanner coarsely (phone/tablet/desktop, iOS/Android...)
+ *    — we never need the full user agent to answer "who scans our menus?"
+ * 2. Group rows into time buckets and fill the gaps with zeroes,
+ *    otherwise a chart would silently skip days with no scans.
+ */
+
+export const INTERVALS = ['hour', 'day', 'week'];
+
+const MAX_BUCKETS = 2000;   // Keeps ?interval=hour over a few years from exploding
+
+/**
+ * Classifies a user agent string into a coarse device class and OS.
+ */
+export function parseUserAgent(userAgent) {
+    const ua = (userAgent || '').toLowerCase();
+    if (!ua) return { device: 'unknown', os: 'unknown' };
+
+    let os = 'other';
+    if (/iphone|ipad|ipod/.test(ua)) os = 'ios';
+    else if (ua.includes('android')) os = 'android';
+    else if (ua.includes('windows')) os = 'windows';
+    else if (ua.includes('mac os x') || ua.includes('macintosh')) os = 'macos';
+    else if (ua.includes('cros')) os = 'chromeos';
+    else if (ua.includes('linux')) os = 'linux';
+
+    let device = 'desktop';
+    if (/bot|crawler|spider|preview|curl|wget/.test(ua)) device = 'bot';
+    else if (ua.includes('ipad') || ua.includes('tablet') || (os === 'android' && !ua.includes('mobile'))) device = 'tablet';
+    else if (ua.includes('mobi') || os === 'ios' || os === 'android') device = 'mobile';
+
+    return { device, os };
+}
+
+/**
+ * Returns the primary language from an Accept-Language header ("en-IN,en;q=0.9" → "en-in").
+ */
+export function parseLanguage(acceptLanguage) {
+    if (!acceptLanguage) return null;
+    const first = acceptLanguage.split(',')[0].split(';')[0].trim().toLowerCase();
+    return first && first !== '*' ? first.slice(0, 35) : null;
+}
+
+/**
+ * Builds the scan event row for an incoming redirect request.
+ */
+export function describeScan(request) {
+    const userAgent = request.headers.get('user-agent');
+    const { device, os } = parseUserAgent(userAgent);
+
+    return {
+        referrer: request.headers.get('referer') || null,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        device,
+        os,
+        language: parseLanguage(request.headers.get('accept-language')),
+    };
+}
+
+/**
+ * Formats a Date the way SQLite's CURRENT_TIMESTAMP does ("2024-01-31 18:05:00", UTC),
+ * so string comparisons against stored timestamps work.
+ */
+export function toSqlTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses ?from=&to=&interval= into a validated date range.
+ * Defaults to the last 30 days, bucketed by day.
+ * Returns { error } when the input is unusable.
+ */
+export function parseRange(searchParams) {
+    const interval = searchParams.get('interval') || 'day';
+    if (!INTERVALS.includes(interval)) {
+        return { error: `interval must be one of: ${INTERVALS.join(', ')}` };
+    }
+
+    const dateError = { error: 'from and to must be ISO dates (e.g. 2024-01-31)' };
+    const to = searchParams.get('to') ? parseDate(searchParams.get('to'), true) : new Date();
+    if (!to || isNaN(to)) return dateError;   // Checked first: the default `from` is derived from it
+
+    const from = searchParams.get('from')
+        ? parseDate(searchParams.get('from'), false)
+        : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+    if (!from || isNaN(from)) return dateError;
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+
+    const keys = bucketKeys(from, to, interval);
+    if (keys.length > MAX_BUCKETS) {
+        return { error: `Range too large for interval "${interval}" (max ${MAX_BUCKETS} buckets)` };
+    }
+
+    return { from, to, interval };
+}
+
+// A bare date ("2024-01-31") means the whole day: start of day for `from`, end of day for `to`
+function parseDate(value, endOfDay) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Returns the bucket key a timestamp falls into. Must match the SQL in
+ * getScanSeries(): hours as "YYYY-MM-DD HH:00", days as "YYYY-MM-DD",
+ * weeks as the date of their Monday.
+ */
+export function bucketKey(date, interval) {
+    const iso = date.toISOString();
+    if (interval === 'hour') return `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00`;
+    if (interval === 'day') return iso.slice(0, 10);
+
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Every bucket key between two dates, in order.
+ */
+export function bucketKeys(from, to, interval) {
+    const step = interval === 'hour' ? 3600 * 1000 : 24 * 3600 * 1000;
+    const keys = [];
+    let last = null;
+
+    for (let t = from.getTime(); t <= to.getTime() + step; t += step) {
+        if (keys.length > MAX_BUCKETS) break;
+        const key = bucketKey(new Date(Math.min(t, to.getTime())), interval);
+        if (key !== last) keys.push(key);
+        last = key;
+    }
+    return keys;
+}
+
+/**
+ * Turns sparse [{ bucket, scans, unique_scanners }] rows into a continuous series with zeroes.
+ */
+export function fillSeries(rows, from, to, interval) {
+    const byBucket = new Map(rows.map(row => [row.bucket, row]));
+    return bucketKeys(from, to, interval).map(bucket => {
+        const row = byBucket.get(bucket);
+        return {
+            bucket,
+            scans: row ? Number(row.scans) : 0,
+            unique: row ? Number(row.unique_scanners) : 0
+        };
+    });
+}
+
+/**
+ * Collapses full referrer URLs into hostnames ("https://l.instagram.com/?u=..." → "l.instagram.com").
+ * Scans without a referrer — the usual case for a camera scan — become "direct".
+ */
+export function groupReferrers(rows, limit = 10) {
+    const byHost = new Map();
+    for (const row of rows) {
+        let host = 'direct';
+        if (row.value) {
+            try { host = new URL(row.value).hostname || row.value; } catch { host = row.value; }
+        }
+        byHost.set(host, (byHost.get(host) || 0) + row.scans);
+    }
+    return [...byHost.entries()]
+        .map(([value, scans]) => ({ value, scans }))
+        .sort((a, b) => b.scans - a.scans)
+        .slice(0, limit);
+}
@@ -0,0 +1,104 @@
+/**
+ * lib/bulk.js — Creating many dynamic codes from one CSV file
+ *
+ * LEARNING:
+ * ─────────
+ * Printing codes for every table or product means hundreds at once, so
+ * POST /api/qr/bulk takes a spreadsheet export instead of one code per
+ * request. The first row names the columns (any order, case-insensitive):
+ *
+ *   destination, label, slug, expiry, tags, domain
+ *   https://cafe.com/menu?table=1,Table 1,table-1,2025-12-31,"tables,patio",go.cafe.com
+ *
+ * Only destination is required. A domain puts that row's code on one of the
+ * account's verified custom domains (lib/domains.js); without one it goes
+ * on the app's own. Each row goes through the same checks as
+ * a single create (lib/validate.js, lib/slugs.js), and every row gets a
+ * result — so a spreadsheet with a few typos still tells you exactly
+ * which lines to fix. The valid rows are created together or not at all
+ * (see createQRBatch in lib/db.js), so a batch can't half-use a plan.
+ */
+
+import { parseCsv } from '@/lib/csv';
+import { validateDestination, validateExpiry, validateLabel, validateTags } from '@/lib/validate';
+import { validateSlug } from '@/lib/slugs';
+import { codeKey, validateHostname } from '@/lib/domains';
+
+export const MAX_BULK_ROWS = 500;
+
+// Header spellings people actually use → our field names
+const COLUMNS = {
+    destination: 'url', url: 'url', link: 'url', destinationurl: 'url',
+    label: 'label', name: 'label', title: 'label',
+    slug: 'slug', customslug: 'slug', shortcode: 'slug', code: 'slug',
+    expiry: 'expiresAt', expires: 'expiresAt', expiresat: 'expiresAt', expirydate: 'expiresAt',
+    tags: 'tags', tag: 'tags',
+    domain: 'domain', customdomain: 'domain', hostname: 'domain'
+};
+
+function validateRow(values) {
+    const urlError = validateDestination(values.url);
+    if (urlError) return { error: values.url ? urlError : 'Destination is missing' };
+
+    const { label, error: labelError } = validateLabel(values.label);
+    if (labelError) return { error: labelError };
+
+    let slug = null;
+    if (values.slug) {
+        const checked = validateSlug(values.slug);
+        if (checked.error) return { error: checked.error };
+        slug = checked.slug;
+    }
+
+    const { expiresAt, error: expiryError } = validateExpiry(values.expiresAt);
+    if (expiryError) return { error: expiryError };
+
+    const { tags, error: tagsError } = validateTags(values.tags);
+    if (tagsError) return { error: tagsError };
+
+    let domain = null;
+    if (values.domain) {
+        const checked = validateHostname(values.domain);
+        if (checked.error) return { error: checked.error };
+        domain = checked.hostname;
+    }
+
+    return { entry: { url: values.url, label, slug, expiresAt, tags, domain } };
+}
+
+/**
+ * Parses and validates an upload. Returns { error } when the file as a
+ * whole is unusable, otherwise { rows } — one per data row, each
+ * { line, entry } or { line, error } (the line the row starts on in the file).
+ * Slugs repeated on one domain within the file are errors on every line
+ * after the first.
+ */
+export function parseBulkCsv(text) {
+    if (typeof text !== 'string' || !text.trim()) return { error: 'CSV file is empty' };
+    const parsed = parseCsv(text);
+    if (parsed.error) return { error: parsed.error };
+
+    const [header, ...data] = parsed.rows;
+    const [, ...dataLines] = parsed.lines;
+    const fields = header.map(name => COLUMNS[name.toLowerCase().replace(/[^a-z]/g, '')] || null);
+    if (!fields.includes('url')) return { error: 'The first row must name the columns, including "destination"' };
+    if (data.length === 0) return { error: 'No rows below the header' };
+    if (data.length > MAX_BULK_ROWS) return { error: `At most ${MAX_BULK_ROWS} rows per upload` };
+
+    const seenSlugs = new Map();
+    const rows = data.map((values, i) => {
+        const line = dataLines[i];
+        const row = {};
+        fields.forEach((field, column) => { if (field && row[field] === undefined) row[field] = (values[column] || '').trim(); });
+
+        const { entry, error } = validateRow(row);
+        if (error) return { line, error };
+        if (entry.slug) {
+            const key = codeKey(entry.slug, entry.domain);
+            if (seenSlugs.has(key)) return { line, error: `Slug "${entry.slug}" is already used on line ${seenSlugs.get(key)}` };
+            seenSlugs.set(key, line);
+        }
+        return { line, entry };
+    });
+    return { rows };
+}
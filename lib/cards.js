@@ -0,0 +1,145 @@
+/**
+ * lib/cards.js — Hosted digital business cards
+ *
+ * LEARNING:
+ * ─────────
+ * A vCard in the QR itself is fixed once printed and gets big fast (a
+ * photo doesn't fit at all). A hosted card flips that around: the code is
+ * an ordinary short link, the profile lives here, and scanning opens a
+ * mobile page with the person's details and a "Download contact" button
+ * that builds a vCard 4.0 on the server from the current profile.
+ *
+ * Card shape (stored as the code's page, see lib/pages.js):
+ *   { type: 'card', name, title, company, bio, website, photo,
+ *     phones:  [{ label: 'mobile', number }],
+ *     emails:  [{ label: 'work', address }],
+ *     socials: [{ network: 'linkedin', url }] }
+ *
+ * photo is a small PNG / JPEG / WebP data URL — the editor scales
+ * uploads down to PHOTO_SIZE before saving.
+ */
+
+import { validateUrl } from '@/lib/validate';
+import { normalizePhone } from '@/lib/payloads';
+import { escapeText, serializeLines } from '@/lib/payloads/contentlines';
+
+export const PHONE_LABELS = ['mobile', 'work', 'home'];
+export const EMAIL_LABELS = ['work', 'home'];
+export const SOCIAL_NETWORKS = {
+    linkedin: 'LinkedIn',
+    instagram: 'Instagram',
+    x: 'X / Twitter',
+    facebook: 'Facebook',
+    youtube: 'YouTube',
+    tiktok: 'TikTok',
+    github: 'GitHub',
+    telegram: 'Telegram',
+    whatsapp: 'WhatsApp'
+};
+
+export const MAX_CARD_ENTRIES = 5;          // Phones, emails
+export const MAX_SOCIALS = 10;
+export const MAX_PHOTO_LENGTH = 150000;     // ~110 KB image as base64
+export const PHOTO_SIZE = 256;              // Pixels, square
+const PHOTO_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+const TEXT_LIMITS = { name: 100, title: 100, company: 100, bio: 500 };
+
+// vCard TYPE values per label
+const TEL_TYPES = { mobile: 'cell', work: 'work', home: 'home' };
+
+function validateList(list, max, name, validateEntry) {
+    if (list === undefined || list === null) return { list: [] };
+    if (!Array.isArray(list) || list.length > max) return { error: `${name} must be a list of at most ${max}` };
+    const out = [];
+    for (const entry of list) {
+        const checked = validateEntry(entry || {});
+        if (checked.error) return checked;
+        out.push(checked.entry);
+    }
+    return { list: out };
+}
+
+/**
+ * Returns { card } (trimmed, with every field present) or { error }.
+ */
+export function validateCard(input) {
+    if (!input || typeof input !== 'object') return { error: 'Card details are required' };
+    const card = { type: 'card' };
+
+    for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+        const value = input[field] ?? '';
+        if (typeof value !== 'string' || value.trim().length > max) return { error: `${field} must be at most ${max} characters` };
+        card[field] = value.trim();
+    }
+    if (!card.name) return { error: 'Name is required' };
+
+    card.website = typeof input.website === 'string' ? input.website.trim() : '';
+    if (card.website) {
+        const urlError = validateUrl(card.website);
+        if (urlError) return { error: `Website: ${urlError}` };
+    }
+
+    card.photo = input.photo || null;
+    if (card.photo && (typeof card.photo !== 'string' || !PHOTO_PATTERN.test(card.photo) || card.photo.length > MAX_PHOTO_LENGTH)) {
+        return { error: 'Photo must be a PNG, JPEG or WebP image under ~110 KB' };
+    }
+
+    const phones = validateList(input.phones, MAX_CARD_ENTRIES, 'phones', ({ label = 'mobile', number }) => {
+        if (!PHONE_LABELS.includes(label)) return { error: `Phone label must be one of: ${PHONE_LABELS.join(', ')}` };
+        // Kept as typed for display; phoneHref() makes the dialable form
+        const { error } = normalizePhone(number);
+        return error ? { error } : { entry: { label, number: number.trim() } };
+    });
+    if (phones.error) return phones;
+    card.phones = phones.list;
+
+    const emails = validateList(input.emails, MAX_CARD_ENTRIES, 'emails', ({ label = 'work', address }) => {
+        if (!EMAIL_LABELS.includes(label)) return { error: `Email label must be one of: ${EMAIL_LABELS.join(', ')}` };
+        if (typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address.trim())) return { error: 'Invalid email address' };
+        return { entry: { label, address: address.trim() } };
+    });
+    if (emails.error) return emails;
+    card.emails = emails.list;
+
+    const socials = validateList(input.socials, MAX_SOCIALS, 'socials', ({ network, url }) => {
+        if (!SOCIAL_NETWORKS[network]) return { error: `Social network must be one of: ${Object.keys(SOCIAL_NETWORKS).join(', ')}` };
+        const urlError = validateUrl(url);
+        return urlError ? { error: `${SOCIAL_NETWORKS[network]}: ${urlError}` } : { entry: { network, url: url.trim() } };
+    });
+    if (socials.error) return socials;
+    card.socials = socials.list;
+
+    return { card };
+}
+
+// '+1 (555) 123-4567' → 'tel:+15551234567'
+export function phoneHref(number) {
+    return `tel:${number.replace(/[^\d+]/g, '')}`;
+}
+
+/**
+ * The card as a vCard 4.0 file (RFC 6350), photo embedded as a data URI.
+ * `source` is the card's public URL, so address books can link back to it.
+ */
+export function cardToVCard(card, source) {
+    // Best effort for N: the last word is the family name
+    const words = card.name.split(/\s+/);
+    const family = words.length > 1 ? words.pop() : '';
+
+    return serializeLines([
+        ['BEGIN', 'VCARD'],
+        ['VERSION', '4.0'],
+        ['FN', escapeText(card.name)],
+        ['N', [family, words.join(' '), '', '', ''].map(escapeText).join(';')],
+        ['ORG', escapeText(card.company)],
+        ['TITLE', escapeText(card.title)],
+        ...card.phones.map(({ label, number }) => [`TEL;VALUE=uri;TYPE=${TEL_TYPES[label]}`, phoneHref(number)]),
+        ...card.emails.map(({ label, address }) => [`EMAIL;TYPE=${label}`, escapeText(address)]),
+        ['URL', card.website],
+        ...card.socials.map(({ network, url }) => [`X-SOCIALPROFILE;TYPE=${network}`, url]),
+        ['PHOTO', card.photo],
+        ['NOTE', escapeText(card.bio)],
+        ['SOURCE', source],
+        ['END', 'VCARD']
+    ]) + '\r\n';
+}
@@ -0,0 +1,73 @@
+/**
+ * lib/csv.js — Reading and writing CSV (RFC 4180)
+ *
+ * Fields are separated by commas and may be wrapped in double quotes,
+ * inside which commas, line breaks and doubled quotes ("") are literal.
+ * Spreadsheets save CSV this way, with CRLF or LF line endings.
+ */
+
+/**
+ * Text → array of rows (arrays of strings). Blank lines are skipped.
+ * Returns { rows, lines } — lines[i] is the line row i starts on (1-based,
+ * as an editor counts them, so quoted line breaks and skipped blank lines
+ * count too) — or { error } for an unterminated quote.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    const lines = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;   // Excel's byte order mark
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+            lines.push(rowLine);
+        }
+        row = [];
+        field = '';
+        rowLine = line;
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        const newline = char === '\n' || (char === '\r' && text[i + 1] !== '\n');
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else field += char;
+            if (newline) line++;
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) return { error: 'Unterminated quoted field' };
+    endRow();
+    return { rows, lines };
+}
+
+// Quotes a field only when it needs it
+function quote(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Array of rows → CSV text with CRLF line endings.
+ */
+export function toCsv(rows) {
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+}
@@ -15,6 +15,7 @@
  */
 
 import { createClient } from '@libsql/client';
+import { parseCodeKey } from '@/lib/domains';
 
 const db = createClient({
   url: process.env.TURSO_DATABASE_URL || 'file:data/linktoqr.db',   // Falls back to local file for dev
@@ -33,7 +34,7 @@ await db.executeMultiple(`
 
   CREATE TABLE IF NOT EXISTS qr_codes (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    short_code TEXT UNIQUE NOT NULL,
+    short_code TEXT NOT NULL,
     destination_url TEXT NOT NULL,
     user_id INTEGER,
     scan_count INTEGER DEFAULT 0,
@@ -43,6 +44,144 @@ await db.executeMultiple(`
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id)
   );
+
+  CREATE TABLE IF NOT EXISTS scan_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qr_id INTEGER NOT NULL,
+    scanned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    referrer TEXT,
+    user_agent TEXT,
+    device TEXT,
+    os TEXT,
+    language TEXT,
+    visitor_hash TEXT,
+    FOREIGN KEY (qr_id) REFERENCES qr_codes(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scan_events_qr_time ON scan_events(qr_id, scanned_at);
+`);
+
+// ── Migrations ───────────────────────────────────
+// SQLite has no "ADD COLUMN IF NOT EXISTS", so check the schema first.
+// Databases created before a column existed get it added here.
+
+async function addColumn(table, column, definition) {
+  const info = await db.execute(`PRAGMA table_info(${table})`);
+  if (!info.rows.some(row => row.name === column)) {
+    await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+await addColumn('scan_events', 'visitor_hash', 'TEXT');
+await addColumn('qr_codes', 'routing_rules', 'TEXT');   // JSON array, see lib/routing.js
+await addColumn('qr_codes', 'ab_variants', 'TEXT');     // JSON array, see lib/abtest.js
+await addColumn('scan_events', 'variant', 'TEXT');
+await addColumn('qr_codes', 'design', 'TEXT');          // JSON object, see lib/qr/design.js
+await addColumn('qr_codes', 'page', 'TEXT');            // JSON object, see lib/pages.js
+await addColumn('qr_codes', 'label', 'TEXT');
+await addColumn('qr_codes', 'tags', 'TEXT');            // JSON array of strings
+await addColumn('qr_codes', 'domain_id', 'INTEGER');    // NULL = the app's own domain, see lib/domains.js
+
+// Short codes used to be unique across the whole service; now each domain
+// has its own. SQLite can't drop a UNIQUE constraint, so older databases get
+// qr_codes rebuilt without it (migrate() turns foreign keys off meanwhile).
+// The stored SQL is matched loosely: the legacy db.js schema pads its columns.
+const UNIQUE_SHORT_CODE = /\bshort_code\s+TEXT\s+UNIQUE\b/i;
+const { rows: qrCodesSchema } = await db.execute("SELECT type, sql FROM sqlite_master WHERE tbl_name = 'qr_codes' AND sql IS NOT NULL");
+const qrCodesTable = qrCodesSchema.find(row => row.type === 'table');
+if (UNIQUE_SHORT_CODE.test(qrCodesTable.sql)) {
+  await db.migrate([
+    qrCodesTable.sql.replace(/^CREATE TABLE\s+"?qr_codes"?/i, 'CREATE TABLE qr_codes_rebuilt').replace(UNIQUE_SHORT_CODE, 'short_code TEXT'),
+    'INSERT INTO qr_codes_rebuilt SELECT * FROM qr_codes',
+    'DROP TABLE qr_codes',
+    'ALTER TABLE qr_codes_rebuilt RENAME TO qr_codes',
+    // Dropping the table took its indexes with it
+    ...qrCodesSchema.filter(row => row.type === 'index').map(row => row.sql)
+  ]);
+}
+
+// One of each short code per domain, counting the app's own (NULL) as one
+await db.execute('CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_codes_short_code ON qr_codes(short_code, IFNULL(domain_id, 0))');
+
+await db.executeMultiple(`
+  CREATE TABLE IF NOT EXISTS ab_conversions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qr_id INTEGER NOT NULL,
+    variant TEXT NOT NULL,
+    visitor_hash TEXT,
+    converted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qr_id) REFERENCES qr_codes(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_ab_conversions_qr ON ab_conversions(qr_id, variant);
+
+  CREATE TABLE IF NOT EXISTS qr_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qr_id INTEGER NOT NULL,
+    destination_url TEXT NOT NULL,
+    label TEXT,
+    starts_at DATETIME,
+    ends_at DATETIME,
+    start_time TEXT,
+    end_time TEXT,
+    days TEXT,
+    timezone TEXT DEFAULT 'UTC',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qr_id) REFERENCES qr_codes(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_qr_schedules_qr ON qr_schedules(qr_id);
+
+  CREATE TABLE IF NOT EXISTS destination_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qr_id INTEGER NOT NULL,
+    old_url TEXT NOT NULL,
+    new_url TEXT NOT NULL,
+    action TEXT DEFAULT 'edit',
+    changed_by INTEGER,
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qr_id) REFERENCES qr_codes(id),
+    FOREIGN KEY (changed_by) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_destination_history_qr ON destination_history(qr_id, id);
+
+  CREATE TABLE IF NOT EXISTS design_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    design TEXT NOT NULL,
+    is_default INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_design_templates_user ON design_templates(user_id);
+
+  CREATE TABLE IF NOT EXISTS link_clicks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    qr_id INTEGER NOT NULL,
+    link_id TEXT NOT NULL,
+    clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (qr_id) REFERENCES qr_codes(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_link_clicks_qr_time ON link_clicks(qr_id, clicked_at);
+
+  CREATE TABLE IF NOT EXISTS domains (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    hostname TEXT NOT NULL,
+    token TEXT NOT NULL,
+    verified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, hostname),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+  -- Any account may claim a hostname, but only one can prove it owns it
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_domains_verified ON domains(hostname) WHERE verified_at IS NOT NULL;
 `);
 
 // ── Helper Functions ─────────────────────────────
@@ -73,39 +212,121 @@ export async function findUserById(id) {
   return result.rows[0] || null;
 }
 
-export async function createQR(shortCode, url, userId, expiresAt, password) {
+export async function createQR(shortCode, url, userId, expiresAt, password, design = null, page = null, domainId = null) {
   await db.execute({
-    sql: 'INSERT INTO qr_codes (short_code, destination_url, user_id, expires_at, password) VALUES (?, ?, ?, ?, ?)',
-    args: [shortCode, url, userId, expiresAt, password]
+    sql: 'INSERT INTO qr_codes (short_code, destination_url, user_id, expires_at, password, design, page, domain_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    args: [shortCode, url, userId, expiresAt, password, design && JSON.stringify(design), page && JSON.stringify(page), domainId]
   });
 }
 
-export async function findByCode(code) {
+/**
+ * Creates a user's batch of codes (lib/bulk.js) in one transaction, after
+ * checking that all of them fit within `limit` active codes — concurrent
+ * uploads can't both squeeze under it. entries: [{ shortCode, url, expiresAt,
+ * design, label, tags }]. Returns { created } or { error: 'limit', count }.
+ */
+export async function createQRBatch(userId, limit, entries) {
+  const tx = await db.transaction('write');
+  try {
+    const { rows } = await tx.execute({
+      sql: 'SELECT COUNT(*) AS count FROM qr_codes WHERE user_id = ? AND is_active = 1',
+      args: [userId]
+    });
+    const count = Number(rows[0].count);
+    if (count + entries.length > limit) {
+      await tx.rollback();
+      return { error: 'limit', count };
+    }
+
+    await tx.batch(entries.map(entry => ({
+      sql: 'INSERT INTO qr_codes (short_code, destination_url, user_id, expires_at, design, label, tags, domain_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      args: [entry.shortCode, entry.url, userId, entry.expiresAt, entry.design && JSON.stringify(entry.design),
+        entry.label, entry.tags.length ? JSON.stringify(entry.tags) : null, entry.domainId ?? null]
+    })));
+    await tx.commit();
+    return { created: entries.length };
+  } finally {
+    tx.close();
+  }
+}
+
+// Which of these short codes already exist on a domain (a domains.id, or null for the
+// app's own), active or not — codes are never reused
+export async function findTakenCodes(codes, domainId = null) {
+  if (codes.length === 0) return [];
+  const result = await db.execute({
+    sql: `SELECT short_code FROM qr_codes WHERE short_code IN (${codes.map(() => '?').join(', ')}) AND domain_id IS ?`,
+    args: [...codes, domainId]
+  });
+  return result.rows.map(row => row.short_code);
+}
+
+// Hostname of a code's custom domain (NULL on the app's own), for building its short URL
+const DOMAIN_SQL = '(SELECT hostname FROM domains WHERE domains.id = qr_codes.domain_id) AS domain';
+
+// WHERE clause for a code's key (codeKey in lib/domains.js) — its short code alone is only unique per domain
+function keyFilter(key) {
+  const { code, domain } = parseCodeKey(key);
+  return domain
+    ? { sql: 'short_code = ? AND domain_id IN (SELECT id FROM domains WHERE hostname = ? AND verified_at IS NOT NULL)', args: [code, domain] }
+    : { sql: 'short_code = ? AND domain_id IS NULL', args: [code] };
+}
+
+export async function findByCode(key) {
+  const where = keyFilter(key);
   const result = await db.execute({
-    sql: 'SELECT * FROM qr_codes WHERE short_code = ? AND is_active = 1',
-    args: [code]
+    sql: `SELECT *, ${DOMAIN_SQL} FROM qr_codes WHERE ${where.sql} AND is_active = 1`,
+    args: where.args
   });
   return result.rows[0] || null;
 }
 
-export async function incrementScan(code) {
-  await db.execute({
-    sql: 'UPDATE qr_codes SET scan_count = scan_count + 1 WHERE short_code = ?',
-    args: [code]
+// A code by its short code on a domain (a domains.id, or null for the app's own)
+export async function findByCodeOnDomain(code, domainId) {
+  const result = await db.execute({
+    sql: `SELECT *, ${DOMAIN_SQL} FROM qr_codes WHERE short_code = ? AND is_active = 1 AND domain_id IS ?`,
+    args: [code, domainId]
   });
+  return result.rows[0] || null;
 }
 
-export async function getStats(code) {
+// Logs one scan event and bumps the cached scan_count in a single round-trip
+export async function recordScan(qr, event) {
+  await db.batch([
+    {
+      sql: 'INSERT INTO scan_events (qr_id, referrer, user_agent, device, os, language, visitor_hash, variant) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      args: [qr.id, event.referrer, event.userAgent, event.device, event.os, event.language, event.visitorHash, event.variant || null]
+    },
+    {
+      sql: 'UPDATE qr_codes SET scan_count = scan_count + 1 WHERE id = ?',
+      args: [qr.id]
+    }
+  ], 'write');
+}
+
+// Visitor hashes rotate daily, so "unique" means unique visitors per day.
+// Scans logged before hashing existed (NULL hash) count as neither.
+const VISITOR_COUNTS_SQL = `
+  (SELECT COUNT(DISTINCT visitor_hash) FROM scan_events WHERE qr_id = qr_codes.id) AS unique_scanners,
+  (SELECT COUNT(visitor_hash) - COUNT(DISTINCT visitor_hash) FROM scan_events WHERE qr_id = qr_codes.id) AS repeat_scans`;
+
+export async function getStats(key) {
+  const where = keyFilter(key);
   const result = await db.execute({
-    sql: 'SELECT short_code, destination_url, scan_count, created_at, expires_at FROM qr_codes WHERE short_code = ?',
-    args: [code]
+    sql: `SELECT id, short_code, destination_url, ab_variants, scan_count, created_at, expires_at, ${VISITOR_COUNTS_SQL}
+          FROM qr_codes WHERE ${where.sql}`,
+    args: where.args
   });
   return result.rows[0] || null;
 }
 
 export async function getUserQRs(userId) {
   const result = await db.execute({
-    sql: 'SELECT short_code, destination_url, scan_count, created_at, expires_at FROM qr_codes WHERE user_id = ? AND is_active = 1 ORDER BY created_at DESC',
+    sql: `SELECT short_code, destination_url, label, tags, routing_rules, ab_variants, design, scan_count, created_at, expires_at, ${DOMAIN_SQL}, ${VISITOR_COUNTS_SQL},
+            json_extract(page, '$.type') AS page_type, json_extract(page, '$.name') AS page_name,
+            (SELECT COUNT(*) FROM qr_schedules WHERE qr_id = qr_codes.id
+               AND (ends_at IS NULL OR ends_at > datetime('now'))) AS scheduled_changes
+          FROM qr_codes WHERE user_id = ? AND is_active = 1 ORDER BY created_at DESC`,
     args: [userId]
   });
   return result.rows;
@@ -119,18 +340,375 @@ export async function countUserQRs(userId) {
   return Number(result.rows[0].count);
 }
 
-export async function updateDestination(url, code, userId) {
+// Versions the old URL in destination_history in the same transaction.
+// `action` is 'edit' or 'rollback'; saving the same URL again records nothing.
+export async function updateDestination(url, key, userId, action = 'edit') {
+  const where = keyFilter(key);
+  const [, update] = await db.batch([
+    {
+      sql: `INSERT INTO destination_history (qr_id, old_url, new_url, action, changed_by)
+            SELECT id, destination_url, ?, ?, ? FROM qr_codes
+            WHERE ${where.sql} AND user_id = ? AND destination_url != ?`,
+      args: [url, action, userId, ...where.args, userId, url]
+    },
+    {
+      sql: `UPDATE qr_codes SET destination_url = ? WHERE ${where.sql} AND user_id = ?`,
+      args: [url, ...where.args, userId]
+    }
+  ], 'write');
+  return { changes: update.rowsAffected };
+}
+
+// JSON settings columns the owner may change (PUT /api/qr/[code], /api/qr/[code]/design, /api/qr/[code]/page)
+const SETTINGS_COLUMNS = ['routing_rules', 'ab_variants', 'design', 'page'];
+
+const isEmptySetting = value => !value || (Array.isArray(value) && value.length === 0);
+
+// Updates the given settings ({ routing_rules: [...] }); null or [] clears one
+export async function updateQRSettings(key, userId, settings) {
+  const columns = Object.keys(settings).filter(column => SETTINGS_COLUMNS.includes(column));
+  if (columns.length === 0) return { changes: 0 };
+
+  const where = keyFilter(key);
+  const result = await db.execute({
+    sql: `UPDATE qr_codes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${where.sql} AND user_id = ?`,
+    args: [
+      ...columns.map(column => isEmptySetting(settings[column]) ? null : JSON.stringify(settings[column])),
+      ...where.args,
+      userId
+    ]
+  });
+  return { changes: result.rowsAffected };
+}
+
+export async function deleteQR(key, userId) {
+  const where = keyFilter(key);
+  const result = await db.execute({
+    sql: `UPDATE qr_codes SET is_active = 0 WHERE ${where.sql} AND user_id = ?`,
+    args: [...where.args, userId]
+  });
+  return { changes: result.rowsAffected };
+}
+
+// ── Scan Analytics ───────────────────────────────
+
+export async function findQRForOwner(key, userId) {
+  const where = keyFilter(key);
+  const result = await db.execute({
+    sql: `SELECT *, ${DOMAIN_SQL} FROM qr_codes WHERE ${where.sql} AND user_id = ?`,
+    args: [...where.args, userId]
+  });
+  return result.rows[0] || null;
+}
+
+export async function getScanTotals(qrId) {
+  const result = await db.execute({
+    sql: `SELECT
+            COUNT(*) AS total,
+            COUNT(DISTINCT visitor_hash) AS unique_scanners,
+            SUM(scanned_at >= datetime('now', '-1 day')) AS last_24h,
+            SUM(scanned_at >= datetime('now', '-7 days')) AS last_7d,
+            SUM(scanned_at >= datetime('now', '-30 days')) AS last_30d,
+            MIN(scanned_at) AS first_scanned_at,
+            MAX(scanned_at) AS last_scanned_at
+          FROM scan_events WHERE qr_id = ?`,
+    args: [qrId]
+  });
+  const row = result.rows[0];
+  return {
+    total: Number(row.total),
+    uniqueScanners: Number(row.unique_scanners),
+    last24h: Number(row.last_24h || 0),
+    last7d: Number(row.last_7d || 0),
+    last30d: Number(row.last_30d || 0),
+    firstScannedAt: row.first_scanned_at,
+    lastScannedAt: row.last_scanned_at
+  };
+}
+
+// Bucket expressions must produce the same keys as bucketKey() in lib/analytics.js
+const BUCKET_SQL = {
+  hour: "strftime('%Y-%m-%d %H:00', scanned_at)",
+  day: 'date(scanned_at)',
+  week: "date(scanned_at, '-' || ((CAST(strftime('%w', scanned_at) AS INTEGER) + 6) % 7) || ' days')"
+};
+
+export async function getScanSeries(qrId, from, to, interval) {
+  const result = await db.execute({
+    sql: `SELECT ${BUCKET_SQL[interval]} AS bucket, COUNT(*) AS scans, COUNT(DISTINCT visitor_hash) AS unique_scanners
+          FROM scan_events
+          WHERE qr_id = ? AND scanned_at >= ? AND scanned_at <= ?
+          GROUP BY bucket ORDER BY bucket`,
+    args: [qrId, from, to]
+  });
+  return result.rows;
+}
+
+// Top values of one scan_events column within a range (device, os, language, referrer)
+const BREAKDOWN_COLUMNS = ['device', 'os', 'language', 'referrer'];
+
+export async function getScanBreakdown(qrId, from, to, column, limit = 10) {
+  if (!BREAKDOWN_COLUMNS.includes(column)) throw new Error(`Unknown breakdown column: ${column}`);
+  const result = await db.execute({
+    sql: `SELECT ${column} AS value, COUNT(*) AS scans
+          FROM scan_events
+          WHERE qr_id = ? AND scanned_at >= ? AND scanned_at <= ?
+          GROUP BY ${column} ORDER BY scans DESC LIMIT ?`,
+    args: [qrId, from, to, limit]
+  });
+  return result.rows.map(row => ({ value: row.value, scans: Number(row.scans) }));
+}
+
+// ── A/B Tests ────────────────────────────────────
+
+export async function getVariantScanCounts(qrId) {
+  const result = await db.execute({
+    sql: `SELECT variant, COUNT(*) AS scans, COUNT(DISTINCT visitor_hash) AS unique_scanners
+          FROM scan_events WHERE qr_id = ? AND variant IS NOT NULL GROUP BY variant`,
+    args: [qrId]
+  });
+  return result.rows;
+}
+
+export async function recordConversion(qrId, variant, visitorHash) {
+  await db.execute({
+    sql: 'INSERT INTO ab_conversions (qr_id, variant, visitor_hash) VALUES (?, ?, ?)',
+    args: [qrId, variant, visitorHash]
+  });
+}
+
+// A visitor converting twice (e.g. reloading the thank-you page) counts once
+export async function getVariantConversions(qrId) {
+  const result = await db.execute({
+    sql: `SELECT variant, COUNT(DISTINCT visitor_hash) AS conversions
+          FROM ab_conversions WHERE qr_id = ? GROUP BY variant`,
+    args: [qrId]
+  });
+  return result.rows;
+}
+
+// ── Link-in-bio clicks (see lib/links.js) ────────
+
+export async function recordLinkClick(qrId, linkId) {
+  await db.execute({
+    sql: 'INSERT INTO link_clicks (qr_id, link_id) VALUES (?, ?)',
+    args: [qrId, linkId]
+  });
+}
+
+export async function getLinkClicks(qrId, from, to) {
+  const result = await db.execute({
+    sql: `SELECT link_id, COUNT(*) AS clicks FROM link_clicks
+          WHERE qr_id = ? AND clicked_at >= ? AND clicked_at <= ?
+          GROUP BY link_id`,
+    args: [qrId, from, to]
+  });
+  return result.rows.map(row => ({ linkId: row.link_id, clicks: Number(row.clicks) }));
+}
+
+// ── Schedules ────────────────────────────────────
+
+function scheduleArgs(entry) {
+  return [
+    entry.url, entry.label, entry.startsAt, entry.endsAt,
+    entry.startTime, entry.endTime, entry.days ? JSON.stringify(entry.days) : null, entry.timezone
+  ];
+}
+
+export async function createScheduleEntry(qrId, entry) {
+  const result = await db.execute({
+    sql: `INSERT INTO qr_schedules (destination_url, label, starts_at, ends_at, start_time, end_time, days, timezone, qr_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    args: [...scheduleArgs(entry), qrId]
+  });
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+export async function getSchedule(qrId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM qr_schedules WHERE qr_id = ? ORDER BY COALESCE(starts_at, created_at), id',
+    args: [qrId]
+  });
+  return result.rows;
+}
+
+export async function findScheduleEntry(id, qrId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM qr_schedules WHERE id = ? AND qr_id = ?',
+    args: [id, qrId]
+  });
+  return result.rows[0] || null;
+}
+
+export async function updateScheduleEntry(id, qrId, entry) {
+  const result = await db.execute({
+    sql: `UPDATE qr_schedules
+          SET destination_url = ?, label = ?, starts_at = ?, ends_at = ?, start_time = ?, end_time = ?, days = ?, timezone = ?
+          WHERE id = ? AND qr_id = ?`,
+    args: [...scheduleArgs(entry), id, qrId]
+  });
+  return { changes: result.rowsAffected };
+}
+
+export async function deleteScheduleEntry(id, qrId) {
+  const result = await db.execute({
+    sql: 'DELETE FROM qr_schedules WHERE id = ? AND qr_id = ?',
+    args: [id, qrId]
+  });
+  return { changes: result.rowsAffected };
+}
+
+// Entries whose date range covers `now`; daily windows are checked in lib/schedule.js
+export async function getCurrentScheduleEntries(qrId, now) {
+  const result = await db.execute({
+    sql: `SELECT * FROM qr_schedules
+          WHERE qr_id = ? AND (starts_at IS NULL OR starts_at <= ?) AND (ends_at IS NULL OR ends_at > ?)`,
+    args: [qrId, now, now]
+  });
+  return result.rows;
+}
+
+// ── Destination History ──────────────────────────
+
+export async function getDestinationHistory(qrId) {
+  const result = await db.execute({
+    sql: `SELECT h.id, h.old_url, h.new_url, h.action, h.changed_at, u.email AS changed_by
+          FROM destination_history h LEFT JOIN users u ON u.id = h.changed_by
+          WHERE h.qr_id = ? ORDER BY h.id DESC`,
+    args: [qrId]
+  });
+  return result.rows;
+}
+
+export async function findHistoryEntry(id, qrId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM destination_history WHERE id = ? AND qr_id = ?',
+    args: [id, qrId]
+  });
+  return result.rows[0] || null;
+}
+
+// ── Design Templates ─────────────────────────────
+
+export async function getTemplates(userId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM design_templates WHERE user_id = ? ORDER BY is_default DESC, name COLLATE NOCASE, id',
+    args: [userId]
+  });
+  return result.rows;
+}
+
+export async function findTemplate(id, userId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM design_templates WHERE id = ? AND user_id = ?',
+    args: [id, userId]
+  });
+  return result.rows[0] || null;
+}
+
+// The template new dynamic codes get when they're created without a design
+export async function findDefaultTemplate(userId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM design_templates WHERE user_id = ? AND is_default = 1',
+    args: [userId]
+  });
+  return result.rows[0] || null;
+}
+
+// Only one default per account: making one the default clears the others in the same transaction
+const clearDefaultTemplate = userId => ({
+  sql: 'UPDATE design_templates SET is_default = 0 WHERE user_id = ?',
+  args: [userId]
+});
+
+export async function createTemplate(userId, { name, design, isDefault }) {
+  const results = await db.batch([
+    ...(isDefault ? [clearDefaultTemplate(userId)] : []),
+    {
+      sql: 'INSERT INTO design_templates (user_id, name, design, is_default) VALUES (?, ?, ?, ?)',
+      args: [userId, name, JSON.stringify(design), isDefault ? 1 : 0]
+    }
+  ], 'write');
+  return { lastInsertRowid: Number(results[results.length - 1].lastInsertRowid) };
+}
+
+// Updates the given fields ({ name?, design?, isDefault? })
+export async function updateTemplate(id, userId, fields) {
+  const sets = [];
+  const args = [];
+  if (fields.name !== undefined) { sets.push('name = ?'); args.push(fields.name); }
+  if (fields.design !== undefined) { sets.push('design = ?'); args.push(JSON.stringify(fields.design)); }
+  if (fields.isDefault !== undefined) { sets.push('is_default = ?'); args.push(fields.isDefault ? 1 : 0); }
+
+  const results = await db.batch([
+    ...(fields.isDefault ? [clearDefaultTemplate(userId)] : []),
+    {
+      sql: `UPDATE design_templates SET ${[...sets, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ? AND user_id = ?`,
+      args: [...args, id, userId]
+    }
+  ], 'write');
+  return { changes: results[results.length - 1].rowsAffected };
+}
+
+export async function deleteTemplate(id, userId) {
+  const result = await db.execute({
+    sql: 'DELETE FROM design_templates WHERE id = ? AND user_id = ?',
+    args: [id, userId]
+  });
+  return { changes: result.rowsAffected };
+}
+
+// ── Custom Domains ───────────────────────────────
+
+export async function getDomains(userId) {
+  const result = await db.execute({
+    sql: `SELECT *, (SELECT COUNT(*) FROM qr_codes WHERE domain_id = domains.id AND is_active = 1) AS code_count
+          FROM domains WHERE user_id = ? ORDER BY hostname`,
+    args: [userId]
+  });
+  return result.rows;
+}
+
+export async function findDomain(id, userId) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM domains WHERE id = ? AND user_id = ?',
+    args: [id, userId]
+  });
+  return result.rows[0] || null;
+}
+
+// The verified domain a request came in on, if any — lookups in /r/[code] are scoped to it
+export async function findVerifiedDomain(hostname) {
+  const result = await db.execute({
+    sql: 'SELECT * FROM domains WHERE hostname = ? AND verified_at IS NOT NULL',
+    args: [hostname]
+  });
+  return result.rows[0] || null;
+}
+
+export async function createDomain(userId, hostname, token) {
+  const result = await db.execute({
+    sql: 'INSERT INTO domains (user_id, hostname, token) VALUES (?, ?, ?)',
+    args: [userId, hostname, token]
+  });
+  return { lastInsertRowid: Number(result.lastInsertRowid) };
+}
+
+// Fails on idx_domains_verified if another account verified the hostname first
+export async function markDomainVerified(id, userId) {
   const result = await db.execute({
-    sql: 'UPDATE qr_codes SET destination_url = ? WHERE short_code = ? AND user_id = ?',
-    args: [url, code, userId]
+    sql: 'UPDATE domains SET verified_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+    args: [id, userId]
   });
   return { changes: result.rowsAffected };
 }
 
-export async function deleteQR(code, userId) {
+// Only while no active code uses it — their printed short URLs would stop resolving
+export async function deleteDomain(id, userId) {
   const result = await db.execute({
-    sql: 'UPDATE qr_codes SET is_active = 0 WHERE short_code = ? AND user_id = ?',
-    args: [code, userId]
+    sql: `DELETE FROM domains WHERE id = ? AND user_id = ?
+          AND NOT EXISTS (SELECT 1 FROM qr_codes WHERE domain_id = domains.id AND is_active = 1)`,
+    args: [id, userId]
   });
   return { changes: result.rowsAffected };
 }
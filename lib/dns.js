@@ -0,0 +1,40 @@
+/**
+ * lib/dns.js — TXT record lookups for domain verification (server only)
+ *
+ * Locally there's no way to publish a record for a test domain, so setting
+ * DNS_TXT_STUB replaces the real resolver with a fixed table:
+ *
+ *   DNS_TXT_STUB='{"_linktoqr.go.example.com": ["linktoqr-verify=abc123"]}'
+ */
+
+import { promises as dns } from 'dns';
+
+// Lookups that mean "no such record" rather than "DNS is broken"
+const NOT_FOUND = new Set(['ENOTFOUND', 'ENODATA', 'NXDOMAIN']);
+
+function stubRecords() {
+    if (!process.env.DNS_TXT_STUB) return null;
+    try {
+        return JSON.parse(process.env.DNS_TXT_STUB);
+    } catch {
+        console.error('DNS_TXT_STUB is not valid JSON — ignoring it');
+        return null;
+    }
+}
+
+/**
+ * TXT values published at `name` — each a string, with the 255-byte chunks
+ * long records are split into joined back together. [] if there are none.
+ */
+export async function resolveTxt(name) {
+    const stub = stubRecords();
+    if (stub) return stub[name] || [];
+
+    try {
+        const records = await dns.resolveTxt(name);
+        return records.map(chunks => chunks.join(''));
+    } catch (err) {
+        if (NOT_FOUND.has(err.code)) return [];
+        throw err;
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * lib/domains.js — Custom short-link domains (go.yourbrand.com/abc)
+ *
+ * LEARNING:
+ * ─────────
+ * A business account can serve its codes from its own hostname instead of
+ * ours. Three things make that work:
+ *
+ * 1. OWNERSHIP: anyone can type "go.nike.com" into a form, so a domain only
+ *    counts once its owner proves control of its DNS. We hand out a random
+ *    token and they publish it as a TXT record:
+ *
+ *      _linktoqr.go.yourbrand.com  TXT  "linktoqr-verify=<token>"
+ *
+ *    POST /api/domains/[id]/verify looks the record up (lib/dns.js). Several
+ *    accounts may claim the same hostname; the first to verify it wins.
+ *
+ * 2. ROUTING: the customer points the hostname at us with a CNAME. Requests
+ *    then arrive with `Host: go.yourbrand.com`, and middleware.js rewrites
+ *    their one-segment paths (/abc) to our redirect route (/r/abc). The edge
+ *    can't ask the database which hosts are custom domains, so it rewrites
+ *    on any host but the app's own — and never a path the app serves itself
+ *    (isAppPath), so a host we didn't list (www., a preview deployment, a
+ *    LAN address) still gets every page. /r/[code] then answers a short
+ *    link that matches no code with a plain 404.
+ *
+ * 3. SCOPING: each domain is its own namespace of short codes — /abc on
+ *    go.nike.com and /r/abc on ours can be different codes of different
+ *    accounts, and a brand's codes don't work on ours or on another brand's.
+ *    /r/[code] only resolves codes on the domain the request came in on.
+ *    The dashboard and /api/qr/[code] address a code by its key (codeKey):
+ *    the short code, plus @hostname for codes on a custom domain.
+ *
+ * This file is imported by middleware.js, which runs on the edge runtime:
+ * keep it free of Node APIs and the database.
+ */
+
+import seoPages from '@/lib/seo-pages.json';
+
+export const VERIFICATION_PREFIX = '_linktoqr';
+export const MAX_DOMAINS = 10;             // Per account
+export const SHORT_LINK_HEADER = 'x-linktoqr-short-link';   // Set by middleware.js on rewritten short links
+const MAX_HOSTNAME_LENGTH = 253;
+const LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Hostnames that serve the app itself (dashboard, generator, /r/ links)
+const APP_HOSTNAMES = new Set([
+    'localhost',
+    '127.0.0.1',
+    ...[process.env.NEXT_PUBLIC_BASE_URL || 'https://linktoqr-alpha.vercel.app'].map(url => new URL(url).hostname),
+    ...(process.env.APP_HOSTNAMES || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+]);
+
+// 'Go.Brand.com:443' → 'go.brand.com'
+export function hostnameOf(host) {
+    return (host || '').split(':')[0].toLowerCase();
+}
+
+export function isAppHost(host) {
+    return APP_HOSTNAMES.has(hostnameOf(host));
+}
+
+// First path segments of the app's own pages and routes, which short links never shadow
+const APP_PATHS = new Set(['api', 'dashboard', 'password', 'r', ...seoPages.map(page => page.slug)]);
+
+export function isAppPath(segment) {
+    return APP_PATHS.has(segment);
+}
+
+// ('abc', 'go.brand.com') → 'abc@go.brand.com'; ('abc', null) → 'abc'
+export function codeKey(shortCode, domain) {
+    return domain ? `${shortCode}@${domain}` : shortCode;
+}
+
+// The reverse of codeKey. Short codes never contain '@'.
+export function parseCodeKey(key) {
+    const at = key.indexOf('@');
+    return at === -1 ? { code: key, domain: null } : { code: key.slice(0, at), domain: key.slice(at + 1) };
+}
+
+// How the dashboard names a code: 'go.brand.com/abc', or '/r/abc' on the app's own domain
+export function codeLabel(key) {
+    const { code, domain } = parseCodeKey(key);
+    return domain ? `${domain}/${code}` : `/r/${code}`;
+}
+
+/**
+ * Returns { hostname } (lowercased, without a trailing dot) or { error }.
+ * Takes a bare hostname — a pasted URL gets a hint instead of being guessed at.
+ */
+export function validateHostname(input) {
+    if (typeof input !== 'string' || !input.trim()) return { error: 'Enter a domain, like go.yourbrand.com' };
+    const hostname = input.trim().toLowerCase().replace(/\.$/, '');
+    if (/[/:]/.test(hostname)) return { error: 'Enter just the domain, like go.yourbrand.com — no https:// or path' };
+    if (hostname.length > MAX_HOSTNAME_LENGTH) return { error: 'Domain is too long' };
+
+    const labels = hostname.split('.');
+    if (labels.length < 2 || !labels.every(label => LABEL_PATTERN.test(label))) {
+        return { error: 'That doesn\'t look like a domain name' };
+    }
+    if (/^\d+$/.test(labels[labels.length - 1])) return { error: 'Use a domain name, not an IP address' };
+    if (isAppHost(hostname)) return { error: 'That domain already belongs to LinkToQR' };
+    return { hostname };
+}
+
+// The TXT record a domain's owner publishes to verify it
+export function verificationRecord(hostname, token) {
+    return { name: `${VERIFICATION_PREFIX}.${hostname}`, value: `linktoqr-verify=${token}` };
+}
+
+// Row from the domains table → API shape
+export function formatDomain(row) {
+    return {
+        id: Number(row.id),
+        hostname: row.hostname,
+        verified: Boolean(row.verified_at),
+        verifiedAt: row.verified_at || null,
+        record: verificationRecord(row.hostname, row.token),
+        codeCount: Number(row.code_count || 0),
+        createdAt: row.created_at
+    };
+}
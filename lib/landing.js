@@ -0,0 +1,55 @@
+/**
+ * lib/landing.js — Landing pages for non-URL dynamic codes
+ *
+ * LEARNING:
+ * ─────────
+ * A dynamic code always encodes a short link (/r/CODE), and a phone
+ * follows a link with the browser — there's no way to "redirect" into a
+ * WiFi network or an address book. So when a code's destination is a
+ * payload (lib/payloads) instead of a web URL, /r/[code] records the
+ * scan as usual and then sends the browser to /r/[code]/view, a page
+ * that shows the contents with the right buttons:
+ *
+ *   contact  → "Save contact" (downloads a .vcf)
+ *   event    → "Add to calendar" (downloads an .ics)
+ *   UPI, BTC → "Pay" deep link into the payment app
+ *   WiFi     → network name and a copyable password
+ *   SMS, email, call, location → sms:, mailto:, tel:, geo: links
+ *
+ * Because the code itself only holds the short link, the owner can edit
+ * the contents later and it gets scan analytics — like any dynamic code.
+ *
+ * Hosted pages (lib/pages.js) take the same route: /r/[code]/view renders
+ * the page instead of a payload.
+ */
+
+import bcrypt from 'bcryptjs';
+import { findByCodeOnDomain } from '@/lib/db';
+import { parsePayload } from '@/lib/payloads';
+
+/**
+ * Looks up a code for its landing page or download, applying the same
+ * domain scoping (domainId: the verified domain the request came in on, or
+ * null), expiry and password checks as the redirect.
+ * Returns { qr, page } for codes with a hosted page, { qr, payload: { type, fields } }
+ * for payloads, or { error: 'not-found' | 'expired' | 'password' }.
+ */
+export async function findLandingCode(code, password, domainId) {
+    const qr = await findByCodeOnDomain(code, domainId);
+    if (!qr) return { error: 'not-found' };
+    if (qr.expires_at && new Date(qr.expires_at) < new Date()) return { error: 'expired' };
+    if (qr.password && (!password || !bcrypt.compareSync(password, qr.password))) return { error: 'password' };
+
+    if (qr.page) return { qr, page: JSON.parse(qr.page) };
+    const payload = parsePayload(qr.destination_url);
+    if (!payload) return { error: 'not-found' };
+    return { qr, payload };
+}
+
+/**
+ * Path of a code's landing page (or one of its sub-routes), carrying the
+ * password along for protected codes.
+ */
+export function landingPath(code, password, page = 'view') {
+    return `/r/${code}/${page}${password ? `?pw=${encodeURIComponent(password)}` : ''}`;
+}
@@ -0,0 +1,88 @@
+/**
+ * lib/links.js — Link-in-bio pages
+ *
+ * LEARNING:
+ * ─────────
+ * A bio on Instagram or TikTok allows one link, and a printed code holds
+ * one URL — so people put a page of buttons behind it. This is that page,
+ * hosted on the code's short link (see lib/pages.js):
+ *
+ *   { type: 'links', name, bio,
+ *     links: [{ id: 'k3f9x2', title: 'Latest video', url, icon: 'youtube' }] }
+ *
+ * Buttons show in list order. Each one links to /r/[code]/go/[id], which
+ * counts the click and redirects, so the owner sees which links get used.
+ * The id is assigned once and kept through edits and reordering — that's
+ * what ties the click counts to a link, not its position or title.
+ */
+
+import { validateUrl } from '@/lib/validate';
+
+export const LINK_ICONS = {
+    link: '🔗',
+    website: '🌐',
+    instagram: '📸',
+    youtube: '▶️',
+    tiktok: '🎵',
+    x: '🐦',
+    facebook: '👍',
+    linkedin: '💼',
+    telegram: '✈️',
+    whatsapp: '💬',
+    email: '✉️',
+    shop: '🛍️',
+    music: '🎧',
+    calendar: '📅',
+    menu: '🍽️',
+    download: '⬇️'
+};
+
+export const MAX_LINKS = 20;
+const TEXT_LIMITS = { name: 100, bio: 300 };
+const MAX_TITLE_LENGTH = 80;
+const LINK_ID_PATTERN = /^[a-z0-9]{1,12}$/;
+
+function newLinkId(taken) {
+    let id;
+    do id = Math.random().toString(36).slice(2, 8); while (!id || taken.has(id));
+    return id;
+}
+
+/**
+ * Returns { page } or { error }. Links without a valid id (new ones) get one.
+ */
+export function validateLinksPage(input) {
+    if (!input || typeof input !== 'object') return { error: 'Page details are required' };
+    const page = { type: 'links' };
+
+    for (const [field, max] of Object.entries(TEXT_LIMITS)) {
+        const value = input[field] ?? '';
+        if (typeof value !== 'string' || value.trim().length > max) return { error: `${field} must be at most ${max} characters` };
+        page[field] = value.trim();
+    }
+    if (!page.name) return { error: 'Name is required' };
+
+    if (!Array.isArray(input.links) || input.links.length === 0) return { error: 'Add at least one link' };
+    if (input.links.length > MAX_LINKS) return { error: `At most ${MAX_LINKS} links` };
+
+    const taken = new Set();
+    page.links = [];
+    for (const [i, link] of input.links.entries()) {
+        const { id, title, url, icon = 'link' } = link || {};
+        if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+            return { error: `Link ${i + 1}: title is required (max ${MAX_TITLE_LENGTH} chars)` };
+        }
+        const urlError = validateUrl(url);
+        if (urlError) return { error: `Link ${i + 1}: ${urlError}` };
+        if (!LINK_ICONS[icon]) return { error: `Link ${i + 1}: icon must be one of: ${Object.keys(LINK_ICONS).join(', ')}` };
+
+        page.links.push({ id: LINK_ID_PATTERN.test(id) && !taken.has(id) ? id : null, title: title.trim(), url: url.trim(), icon });
+        if (page.links[i].id) taken.add(id);
+    }
+    // Second pass, so a new link can't take an id that an existing one further down still has
+    for (const link of page.links) {
+        if (!link.id) taken.add(link.id = newLinkId(taken));
+    }
+
+    return { page };
+}
@@ -0,0 +1,50 @@
+/**
+ * lib/pages.js — Hosted pages for dynamic codes
+ *
+ * LEARNING:
+ * ─────────
+ * Instead of redirecting, a dynamic code can show a page we host — a
+ * business card (lib/cards.js) or a link-in-bio page (lib/links.js). The page is stored as JSON in
+ * qr_codes.page and takes the place of the destination URL: /r/[code]
+ * sends scans to /r/[code]/view, which renders it. Routing rules still
+ * win when they match, so a card can send desktop scans elsewhere.
+ *
+ * Every page has a `type` and a `name` (the heading — the person on a
+ * card, the account on a links page), which the dashboard lists it by.
+ */
+
+import { validateCard } from '@/lib/cards';
+import { validateLinksPage } from '@/lib/links';
+
+// validate(input) → { page } or { error }
+export const PAGE_TYPES = {
+    card: {
+        label: 'Business Card',
+        validate: input => {
+            const { card, error } = validateCard(input);
+            return error ? { error } : { page: card };
+        }
+    },
+    links: {
+        label: 'Link in Bio',
+        validate: validateLinksPage
+    }
+};
+
+/**
+ * Returns { page } or { error }.
+ */
+export function validatePage(input) {
+    if (!input || typeof input !== 'object') return { error: 'Page is required' };
+    const entry = PAGE_TYPES[input.type];
+    if (!entry) return { error: `Page type must be one of: ${Object.keys(PAGE_TYPES).join(', ')}` };
+    return entry.validate(input);
+}
+
+/**
+ * 'Business Card: Ann Lee' for lists.
+ */
+export function describePage(type, name) {
+    const label = PAGE_TYPES[type]?.label || 'Page';
+    return name ? `${label}: ${name}` : label;
+}
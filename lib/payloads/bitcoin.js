@@ -0,0 +1,52 @@
+/**
+ * lib/payloads/bitcoin.js — Bitcoin payment requests (BIP 21)
+ *
+ *   bitcoin:bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh?amount=0.0015&label=Corner%20Shop
+ *
+ * The address is the path, amount is in BTC (up to 8 decimals — one
+ * satoshi), label names the payee and message describes the payment.
+ * Addresses are checked for shape only (legacy base58 or bech32), not
+ * checksummed; the wallet does that before anything is sent.
+ */
+
+const LEGACY_ADDRESS = /^[13][a-km-zA-HJ-NP-Z1-9]{25,34}$/;
+const BECH32_ADDRESS = /^bc1[02-9ac-hj-np-z]{11,71}$/i;
+const MAX_TEXT_LENGTH = 100;
+
+/**
+ * fields: { address, amount?, label?, message? } → { payload } or { error }
+ */
+export function buildBitcoin({ address, amount = '', label = '', message = '' }) {
+    if (!address || typeof address !== 'string') return { error: 'Bitcoin address is required' };
+    const trimmed = address.trim();
+    if (!LEGACY_ADDRESS.test(trimmed) && !BECH32_ADDRESS.test(trimmed)) return { error: 'That doesn\'t look like a Bitcoin address' };
+    for (const [name, value] of [['label', label], ['message', message]]) {
+        if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be at most ${MAX_TEXT_LENGTH} characters` };
+        }
+    }
+
+    const params = [];
+    if (amount !== '' && amount !== null) {
+        const text = String(amount).trim();
+        if (!/^\d+(\.\d{1,8})?$/.test(text) || Number(text) <= 0) return { error: 'Amount must be a positive number of BTC (max 8 decimals)' };
+        params.push(['amount', text]);
+    }
+    if (label.trim()) params.push(['label', label.trim()]);
+    if (message.trim()) params.push(['message', message.trim()]);
+
+    const query = params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return { payload: `bitcoin:${trimmed}${query ? '?' + query : ''}` };
+}
+
+export function parseBitcoin(text) {
+    const match = typeof text === 'string' && text.match(/^bitcoin:([a-zA-Z0-9]+)(?:\?(.*))?$/i);
+    if (!match) return null;
+    const params = new URLSearchParams(match[2] || '');
+    return {
+        address: match[1],
+        amount: params.get('amount') || '',
+        label: params.get('label') || '',
+        message: params.get('message') || ''
+    };
+}
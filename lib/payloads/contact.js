@@ -0,0 +1,164 @@
+/**
+ * lib/payloads/contact.js — Contact cards: MECARD and vCard 3.0 / 4.0
+ *
+ * All three carry the same fields:
+ *
+ *   { firstName, lastName, organization, title, phone, email, url,
+ *     street, city, region, postalCode, country, note }
+ *
+ * MECARD is the compact one (fits in a smaller code, read by most phone
+ * cameras); vCard is the standard every address book imports. 3.0 is the
+ * most widely supported, 4.0 (RFC 6350) the current version — the
+ * differences that matter here are how phone numbers are written
+ * (TEL;VALUE=uri:tel:+1…) and lowercase TYPE values.
+ */
+
+import { escapeValue, parseFields, serializeFields } from './fields';
+import { escapeText, unescapeText, splitComponents, serializeLines, parseLines } from './contentlines';
+
+export const CONTACT_FIELDS = [
+    'firstName', 'lastName', 'organization', 'title', 'phone', 'email', 'url',
+    'street', 'city', 'region', 'postalCode', 'country', 'note'
+];
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+const MAX_FIELD_LENGTH = 500;
+
+/**
+ * Checks and trims contact fields. Returns { contact } or { error }.
+ */
+export function validateContact(input) {
+    if (!input || typeof input !== 'object') return { error: 'Contact details are required' };
+    const contact = {};
+    for (const field of CONTACT_FIELDS) {
+        const value = input[field] ?? '';
+        if (typeof value !== 'string' || value.length > MAX_FIELD_LENGTH) {
+            return { error: `${field} must be a string (max ${MAX_FIELD_LENGTH} chars)` };
+        }
+        contact[field] = value.trim();
+    }
+    if (!contact.firstName && !contact.lastName && !contact.organization) {
+        return { error: 'Give a name or an organization' };
+    }
+    if (contact.email && !/^[^\s@]+@[^\s@]+$/.test(contact.email)) return { error: 'Invalid email address' };
+    return { contact };
+}
+
+function displayName(contact) {
+    return [contact.firstName, contact.lastName].filter(Boolean).join(' ') || contact.organization;
+}
+
+// ── MECARD ───────────────────────────────────────
+
+export function buildMecard(input) {
+    const { contact, error } = validateContact(input);
+    if (error) return { error };
+    const address = [contact.street, contact.city, contact.region, contact.postalCode, contact.country].filter(Boolean).join(', ');
+    // N is "Last,First" — that comma is syntax, so the parts are escaped separately
+    const name = [contact.lastName, contact.firstName].filter(Boolean).map(escapeValue).join(',');
+    return {
+        payload: `MECARD:${name ? `N:${name};` : ''}` + serializeFields('', [
+            ['ORG', contact.organization],
+            ['TEL', contact.phone],
+            ['EMAIL', contact.email],
+            ['URL', contact.url],
+            ['ADR', address],
+            ['NOTE', [contact.title, contact.note].filter(Boolean).join(' — ')]
+        ])
+    };
+}
+
+/**
+ * MECARD fields back to a contact (address and title come back folded into
+ * one field each, as MECARD has no separate parts for them).
+ */
+export function parseMecard(text) {
+    const fields = parseFields(text, 'MECARD:');
+    if (!fields) return null;
+    const get = key => fields.find(([k]) => k === key)?.[1] || '';
+    const rawName = text.match(/(?:^MECARD:|;)N:((?:\\.|[^;\\])*)/i)?.[1] || '';
+    const [last, first = ''] = splitComponents(rawName.replace(/\\:/g, ':').replace(/\\"/g, '"'), ',');
+    return {
+        ...Object.fromEntries(CONTACT_FIELDS.map(field => [field, ''])),
+        firstName: first,
+        lastName: last,
+        organization: get('ORG'),
+        phone: get('TEL'),
+        email: get('EMAIL'),
+        url: get('URL'),
+        street: get('ADR'),
+        note: get('NOTE')
+    };
+}
+
+// ── vCard ────────────────────────────────────────
+
+/**
+ * fields: contact, version '3.0' | '4.0' (default 3.0). Returns { payload } or { error }.
+ */
+export function buildVCard(input, version = '3.0') {
+    if (!VCARD_VERSIONS.includes(version)) return { error: `vCard version must be one of: ${VCARD_VERSIONS.join(', ')}` };
+    const { contact, error } = validateContact(input);
+    if (error) return { error };
+
+    const v4 = version === '4.0';
+    const compound = parts => parts.map(part => escapeText(part || '')).join(';');
+    const hasAddress = contact.street || contact.city || contact.region || contact.postalCode || contact.country;
+
+    return {
+        payload: serializeLines([
+            ['BEGIN', 'VCARD'],
+            ['VERSION', version],
+            ['N', compound([contact.lastName, contact.firstName, '', '', ''])],
+            ['FN', escapeText(displayName(contact))],
+            ['ORG', escapeText(contact.organization)],
+            ['TITLE', escapeText(contact.title)],
+            v4
+                ? ['TEL;VALUE=uri;TYPE=cell', contact.phone && `tel:${contact.phone.replace(/[^\d+]/g, '')}`]
+                : ['TEL;TYPE=CELL', escapeText(contact.phone)],
+            [v4 ? 'EMAIL' : 'EMAIL;TYPE=INTERNET', escapeText(contact.email)],
+            ['URL', contact.url],
+            [v4 ? 'ADR;TYPE=work' : 'ADR;TYPE=WORK', hasAddress &&
+                compound(['', '', contact.street, contact.city, contact.region, contact.postalCode, contact.country])],
+            ['NOTE', escapeText(contact.note)],
+            ['END', 'VCARD']
+        ])
+    };
+}
+
+/**
+ * A vCard (either version) back to contact fields, plus its version.
+ * Returns null if the text isn't a vCard.
+ */
+export function parseVCard(text) {
+    if (typeof text !== 'string' || !/^BEGIN:VCARD/i.test(text.trim())) return null;
+    const contact = Object.fromEntries(CONTACT_FIELDS.map(field => [field, '']));
+    let version = '3.0';
+
+    for (const { name, value } of parseLines(text.trim())) {
+        if (name === 'VERSION') version = value;
+        else if (name === 'N') [contact.lastName = '', contact.firstName = ''] = splitComponents(value);
+        else if (name === 'FN' && !contact.firstName && !contact.lastName) contact.organization ||= unescapeText(value);
+        else if (name === 'ORG') contact.organization = splitComponents(value)[0];
+        else if (name === 'TITLE') contact.title = unescapeText(value);
+        else if (name === 'TEL' && !contact.phone) contact.phone = unescapeText(value).replace(/^tel:/i, '');
+        else if (name === 'EMAIL' && !contact.email) contact.email = unescapeText(value);
+        else if (name === 'URL' && !contact.url) contact.url = value;
+        else if (name === 'ADR' && !contact.street) {
+            [, , contact.street = '', contact.city = '', contact.region = '', contact.postalCode = '', contact.country = ''] = splitComponents(value);
+        } else if (name === 'NOTE') contact.note = unescapeText(value);
+    }
+    return { ...contact, version };
+}
+
+/**
+ * A contact payload as a .vcf file for download: vCards as they are,
+ * MECARDs converted to vCard 3.0. Returns null for anything else.
+ */
+export function toVCardFile(payload) {
+    if (parseVCard(payload)) return payload.trim() + '\r\n';
+    const contact = parseMecard(payload);
+    if (!contact) return null;
+    const { payload: vcard } = buildVCard(contact, '3.0');
+    return vcard ? vcard + '\r\n' : null;
+}
@@ -0,0 +1,94 @@
+/**
+ * lib/payloads/contentlines.js — The line format shared by vCard and iCalendar
+ *
+ * Both are "content lines": NAME;PARAM=value:VALUE, one per line, CRLF
+ * endings. Lines longer than 75 bytes are folded — continued on the next
+ * line after a single space — and text values escape backslash, comma,
+ * semicolon and newline.
+ */
+
+const MAX_LINE_BYTES = 75;
+
+export function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+export function unescapeText(value) {
+    return value.replace(/\\([\\,;nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Splits at unescaped `separator` (for compound values like N and ADR), then unescapes each part
+export function splitComponents(value, separator = ';') {
+    const parts = [''];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+            parts[parts.length - 1] += value[i] + value[++i];
+        } else if (value[i] === separator) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += value[i];
+        }
+    }
+    return parts.map(unescapeText);
+}
+
+// Folds one line at 75 bytes, never splitting a multi-byte character
+function fold(line) {
+    const encoder = new TextEncoder();
+    const out = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = out.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1;   // Continuations start with a space
+        if (bytes + size > limit) {
+            out.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+}
+
+/**
+ * [['VERSION', '4.0'], ['TEL;TYPE=cell', 'tel:+1…'], …] → CRLF-joined, folded text.
+ * Values must already be escaped; empty values are left out.
+ */
+export function serializeLines(lines) {
+    return lines
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => fold(`${name}:${value}`))
+        .join('\r\n');
+}
+
+/**
+ * Unfolds and splits text into [{ name, params, value }] — name uppercased,
+ * params as { TYPE: 'cell' } (also uppercased keys), value still escaped.
+ */
+export function parseLines(text) {
+    return text
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .filter(Boolean)
+        .map(line => {
+            const colon = line.indexOf(':');
+            if (colon === -1) return null;
+            const [name, ...params] = line.slice(0, colon).split(';');
+            return {
+                name: name.toUpperCase(),
+                params: Object.fromEntries(params.map(param => {
+                    const [key, value = ''] = param.split('=');
+                    return [key.toUpperCase(), value];
+                })),
+                value: line.slice(colon + 1)
+            };
+        })
+        .filter(Boolean);
+}
@@ -0,0 +1,125 @@
+/**
+ * lib/payloads/event.js — Calendar events (iCalendar VEVENT)
+ *
+ *   BEGIN:VEVENT
+ *   SUMMARY:Launch party
+ *   DTSTART:20261105T180000Z
+ *   DTEND:20261105T210000Z
+ *   LOCATION:Main St 1
+ *   END:VEVENT
+ *
+ * Scanners expect a bare VEVENT rather than a full VCALENDAR, which also
+ * keeps the code small. Timed events are written in UTC (the trailing Z)
+ * so they land at the right moment in any time zone; all-day events use
+ * plain dates, with DTEND being the day after the last day.
+ */
+
+import { escapeText, unescapeText, serializeLines, parseLines } from './contentlines';
+
+const MAX_TEXT_LENGTH = 500;
+
+function utcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function dateStamp(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 'YYYY-MM-DD' → a UTC midnight Date (all-day), anything Date can parse otherwise
+function toDate(value, allDay) {
+    if (!value) return null;
+    const date = allDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * fields: { title, start, end?, allDay = false, location?, description? }
+ * start/end are ISO strings ('2026-11-05T18:00' or, for all-day, '2026-11-05').
+ * Without an end, a timed event lasts an hour and an all-day event one day.
+ * Returns { payload } or { error }.
+ */
+export function buildEvent({ title, start, end, allDay = false, location = '', description = '' }) {
+    if (!title || typeof title !== 'string' || !title.trim()) return { error: 'Event title is required' };
+    for (const [name, value] of [['title', title], ['location', location], ['description', description]]) {
+        if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+            return { error: `${name} must be a string (max ${MAX_TEXT_LENGTH} chars)` };
+        }
+    }
+
+    const startDate = toDate(start, allDay);
+    if (!startDate) return { error: 'Invalid start date' };
+    let endDate = toDate(end, allDay);
+    if (end && !endDate) return { error: 'Invalid end date' };
+
+    if (allDay) {
+        // The form's end is the last day; iCalendar's DTEND is exclusive
+        endDate = new Date((endDate || startDate).getTime() + 86400000);
+    } else {
+        endDate ||= new Date(startDate.getTime() + 3600000);
+    }
+    if (endDate <= startDate) return { error: 'Event must end after it starts' };
+
+    return {
+        payload: serializeLines([
+            ['BEGIN', 'VEVENT'],
+            ['SUMMARY', escapeText(title.trim())],
+            allDay ? ['DTSTART;VALUE=DATE', dateStamp(startDate)] : ['DTSTART', utcStamp(startDate)],
+            allDay ? ['DTEND;VALUE=DATE', dateStamp(endDate)] : ['DTEND', utcStamp(endDate)],
+            ['LOCATION', escapeText(location.trim())],
+            ['DESCRIPTION', escapeText(description.trim())],
+            ['END', 'VEVENT']
+        ])
+    };
+}
+
+// '20261105T180000Z' / '20261105' → ISO string; floating times are read as UTC
+function fromStamp(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!match) return '';
+    const [, year, month, day, hour, minute, second] = match;
+    if (!hour) return `${year}-${month}-${day}`;
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}Z`;
+}
+
+/**
+ * Inverse of buildEvent() — also accepts a VEVENT wrapped in a VCALENDAR.
+ * Returns null if the text has no VEVENT.
+ */
+export function parseEvent(text) {
+    if (typeof text !== 'string' || !/BEGIN:VEVENT/i.test(text)) return null;
+    const event = { title: '', start: '', end: '', allDay: false, location: '', description: '' };
+    let inEvent = false;
+
+    for (const { name, params, value } of parseLines(text.trim())) {
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') inEvent = true;
+        else if (name === 'END' && value.toUpperCase() === 'VEVENT') break;
+        else if (!inEvent) continue;
+        else if (name === 'SUMMARY') event.title = unescapeText(value);
+        else if (name === 'LOCATION') event.location = unescapeText(value);
+        else if (name === 'DESCRIPTION') event.description = unescapeText(value);
+        else if (name === 'DTSTART') {
+            event.start = fromStamp(value);
+            event.allDay = params.VALUE?.toUpperCase() === 'DATE' || /^\d{8}$/.test(value);
+        } else if (name === 'DTEND') event.end = fromStamp(value);
+    }
+
+    if (event.allDay && event.end) {
+        // Back to the inclusive last day the form works with
+        event.end = new Date(new Date(`${event.end}T00:00:00Z`).getTime() - 86400000).toISOString().slice(0, 10);
+    }
+    return event;
+}
+
+/**
+ * Wraps a VEVENT payload into a complete .ics file for download — calendar
+ * apps importing a file want the VCALENDAR around it plus UID and DTSTAMP.
+ */
+export function toCalendarFile(payload, uid, now = new Date()) {
+    const event = parseEvent(payload);
+    if (!event) return null;
+    const { payload: vevent } = buildEvent(event);
+    const lines = vevent.split('\r\n');
+    lines.splice(1, 0, `UID:${uid}`, `DTSTAMP:${utcStamp(now)}`);
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//LinkToQR//Event//EN', ...lines, 'END:VCALENDAR', ''].join('\r\n');
+}
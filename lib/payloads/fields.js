@@ -0,0 +1,54 @@
+/**
+ * lib/payloads/fields.js — The "KEY:value;KEY:value;;" syntax
+ *
+ * WIFI:, MECARD: and MATMSG: payloads all come from the same family of
+ * formats (NTT DoCoMo's): a prefix, then fields separated by ';', with a
+ * backslash in front of any special character inside a value.
+ */
+
+// Characters that need a backslash inside a value
+const SPECIAL = /[\\;,:"]/g;
+
+export function escapeValue(value) {
+    return String(value).replace(SPECIAL, char => '\\' + char);
+}
+
+/**
+ * 'WIFI:S:My\;Net;T:WPA;;' with prefix 'WIFI:' → [['S', 'My;Net'], ['T', 'WPA']]
+ * Returns null if the text doesn't start with the prefix.
+ */
+export function parseFields(text, prefix) {
+    if (typeof text !== 'string' || !text.toUpperCase().startsWith(prefix)) return null;
+
+    const fields = [];
+    let current = '';
+    for (let i = prefix.length; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            current += '\\' + text[++i];   // Keep the escape until the key is split off
+        } else if (char === ';') {
+            if (current) fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) fields.push(current);
+
+    return fields.map(field => {
+        const colon = field.indexOf(':');
+        if (colon === -1) return [field.toUpperCase(), ''];
+        return [field.slice(0, colon).toUpperCase(), field.slice(colon + 1).replace(/\\(.)/g, '$1')];
+    });
+}
+
+/**
+ * Joins [key, value] pairs back up, leaving out empty values.
+ */
+export function serializeFields(prefix, pairs) {
+    const body = pairs
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}:${escapeValue(value)};`)
+        .join('');
+    return `${prefix}${body};`;
+}
@@ -0,0 +1,33 @@
+/**
+ * lib/payloads/geo.js — Map locations
+ *
+ *   geo:52.370216,4.895168
+ *
+ * RFC 5870 coordinates (WGS-84, latitude first). Phones open them in the
+ * default maps app. Six decimals is about 10 cm — more only makes the
+ * code denser.
+ */
+
+const DECIMALS = 6;
+
+/**
+ * fields: { latitude, longitude } (numbers or numeric strings)
+ * Returns { payload } or { error }.
+ */
+export function buildGeo({ latitude, longitude }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === '' || latitude == null || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        return { error: 'Latitude must be a number between -90 and 90' };
+    }
+    if (longitude === '' || longitude == null || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+        return { error: 'Longitude must be a number between -180 and 180' };
+    }
+    const format = value => String(Number(value.toFixed(DECIMALS)));
+    return { payload: `geo:${format(lat)},${format(lng)}` };
+}
+
+export function parseGeo(text) {
+    const match = typeof text === 'string' && text.match(/^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i);
+    return match ? { latitude: match[1], longitude: match[2] } : null;
+}
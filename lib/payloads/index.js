@@ -0,0 +1,107 @@
+/**
+ * lib/payloads — Builders for non-URL QR contents
+ *
+ * Each payload type turns a plain object of form fields into the text a
+ * phone's camera app understands, and parses that text back:
+ *
+ *   import { buildPayload, parsePayload } from '@/lib/payloads';
+ *   buildPayload('wifi', { ssid: 'Cafe', password: 'coffee123' })
+ *   // → { payload: 'WIFI:T:WPA;S:Cafe;P:coffee123;;' }
+ *   parsePayload('WIFI:T:WPA;S:Cafe;P:coffee123;;')
+ *   // → { type: 'wifi', fields: { ssid: 'Cafe', … } }
+ *
+ * Builders validate as they go and return { payload } or { error }, like
+ * the validators in lib/validate.js. They're pure string code, so the
+ * generator runs them in the browser and routes run them on the server.
+ */
+
+import { buildWifi, parseWifi } from './wifi';
+import { buildMecard, parseMecard, buildVCard, parseVCard } from './contact';
+import { buildEvent, parseEvent } from './event';
+import { buildSms, parseSms, buildEmail, parseEmail, buildPhone, parsePhone } from './messaging';
+import { buildGeo, parseGeo } from './geo';
+import { buildUpi, parseUpi } from './upi';
+import { buildBitcoin, parseBitcoin } from './bitcoin';
+
+// In detection order for parsePayload() — the first parser that matches wins
+export const PAYLOAD_TYPES = {
+    wifi: { label: 'WiFi Network', build: buildWifi, parse: parseWifi, summary: f => f.ssid },
+    vcard: {
+        label: 'Contact (vCard)',
+        build: ({ version, ...contact }) => buildVCard(contact, version),
+        parse: parseVCard,
+        summary: contactName
+    },
+    mecard: { label: 'Contact (MECARD)', build: buildMecard, parse: parseMecard, summary: contactName },
+    event: { label: 'Calendar Event', build: buildEvent, parse: parseEvent, summary: f => f.title },
+    sms: { label: 'Text Message', build: buildSms, parse: parseSms, summary: f => f.phone },
+    email: { label: 'Email', build: buildEmail, parse: parseEmail, summary: f => f.to },
+    phone: { label: 'Phone Call', build: buildPhone, parse: parsePhone, summary: f => f.phone },
+    geo: { label: 'Location', build: buildGeo, parse: parseGeo, summary: f => `${f.latitude}, ${f.longitude}` },
+    upi: { label: 'UPI Payment', build: buildUpi, parse: parseUpi, summary: f => [f.name || f.vpa, f.amount && `₹${f.amount}`].filter(Boolean).join(' · ') },
+    bitcoin: { label: 'Bitcoin Payment', build: buildBitcoin, parse: parseBitcoin, summary: f => f.label || f.address }
+};
+
+function contactName(contact) {
+    return [contact.firstName, contact.lastName].filter(Boolean).join(' ') || contact.organization;
+}
+
+/**
+ * Returns { payload } or { error }.
+ */
+export function buildPayload(type, fields) {
+    const entry = PAYLOAD_TYPES[type];
+    if (!entry) return { error: `Unknown payload type. Use one of: ${Object.keys(PAYLOAD_TYPES).join(', ')}` };
+    if (!fields || typeof fields !== 'object') return { error: 'Payload fields are required' };
+    return entry.build(fields);
+}
+
+/**
+ * Recognizes a payload built here (or by any other generator using the
+ * same formats). Returns { type, fields } or null for anything else —
+ * including plain URLs.
+ */
+export function parsePayload(text) {
+    for (const [type, { parse }] of Object.entries(PAYLOAD_TYPES)) {
+        const fields = parse(text);
+        if (fields) return { type, fields };
+    }
+    return null;
+}
+
+/**
+ * One line for lists: 'WiFi Network: Cafe Guest'. null for anything that
+ * isn't a payload (URLs show as themselves).
+ */
+export function describePayload(text) {
+    const parsed = parsePayload(text);
+    if (!parsed) return null;
+    const { label, summary } = PAYLOAD_TYPES[parsed.type];
+    const detail = summary(parsed.fields);
+    return detail ? `${label}: ${detail}` : label;
+}
+
+export { buildWifi, parseWifi, WIFI_SECURITY } from './wifi';
+export {
+    buildMecard,
+    parseMecard,
+    buildVCard,
+    parseVCard,
+    validateContact,
+    CONTACT_FIELDS,
+    toVCardFile,
+    VCARD_VERSIONS
+} from './contact';
+export { buildEvent, parseEvent, toCalendarFile } from './event';
+export { buildSms, parseSms, buildEmail, parseEmail, buildPhone, parsePhone, normalizePhone } from './messaging';
+export { buildGeo, parseGeo } from './geo';
+export {
+    buildUpi,
+    parseUpi,
+    setUpiAmount,
+    validateVpa,
+    normalizeAmount,
+    UPI_CURRENCIES,
+    MAX_UPI_AMOUNT
+} from './upi';
+export { buildBitcoin, parseBitcoin } from './bitcoin';
@@ -0,0 +1,88 @@
+/**
+ * lib/payloads/messaging.js — Call, text and email codes
+ *
+ *   tel:+15551234567
+ *   SMSTO:+15551234567:See you at 8
+ *   MATMSG:TO:hello@example.com;SUB:Hi;BODY:Hello there;;
+ *
+ * Phone numbers are stored digits-only (plus an optional leading +) so the
+ * dialer gets exactly what it needs. SMSTO's message runs to the end of the
+ * payload, so it needs no escaping; MATMSG uses the same escaped
+ * KEY:value; fields as WIFI: and MECARD:.
+ */
+
+import { parseFields, serializeFields } from './fields';
+
+const PHONE_PATTERN = /^\+?[0-9 ()\-.]{3,20}$/;
+const MAX_SMS_LENGTH = 1000;
+const MAX_EMAIL_LENGTH = 2000;
+
+/**
+ * '+1 (555) 123-4567' → '+15551234567'. Returns { phone } or { error }.
+ */
+export function normalizePhone(value) {
+    if (!value || typeof value !== 'string' || !PHONE_PATTERN.test(value.trim())) {
+        return { error: 'Enter a phone number (digits, optionally starting with +)' };
+    }
+    const phone = value.trim().replace(/[^\d+]/g, '');
+    if (phone.replace('+', '').length < 3) return { error: 'Phone number is too short' };
+    return { phone };
+}
+
+// ── tel: ─────────────────────────────────────────
+
+export function buildPhone({ phone }) {
+    const normalized = normalizePhone(phone);
+    if (normalized.error) return normalized;
+    return { payload: `tel:${normalized.phone}` };
+}
+
+export function parsePhone(text) {
+    const match = typeof text === 'string' && text.match(/^tel:(\+?[\d\-.() ]+)$/i);
+    return match ? { phone: match[1] } : null;
+}
+
+// ── SMSTO: ───────────────────────────────────────
+
+/**
+ * fields: { phone, message? } → { payload } or { error }
+ */
+export function buildSms({ phone, message = '' }) {
+    const normalized = normalizePhone(phone);
+    if (normalized.error) return normalized;
+    if (typeof message !== 'string' || message.length > MAX_SMS_LENGTH) {
+        return { error: `Message must be at most ${MAX_SMS_LENGTH} characters` };
+    }
+    return { payload: message ? `SMSTO:${normalized.phone}:${message}` : `SMSTO:${normalized.phone}` };
+}
+
+export function parseSms(text) {
+    const match = typeof text === 'string' && text.match(/^SMSTO:([^:]*)(?::([\s\S]*))?$/i);
+    return match ? { phone: match[1], message: match[2] || '' } : null;
+}
+
+// ── MATMSG: ──────────────────────────────────────
+
+/**
+ * fields: { to, subject?, body? } → { payload } or { error }
+ */
+export function buildEmail({ to, subject = '', body = '' }) {
+    if (!to || typeof to !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(to.trim())) return { error: 'Enter a valid email address' };
+    if (typeof subject !== 'string' || typeof body !== 'string' || subject.length + body.length > MAX_EMAIL_LENGTH) {
+        return { error: `Subject and message must be at most ${MAX_EMAIL_LENGTH} characters together` };
+    }
+    return {
+        payload: serializeFields('MATMSG:', [
+            ['TO', to.trim()],
+            ['SUB', subject],
+            ['BODY', body]
+        ])
+    };
+}
+
+export function parseEmail(text) {
+    const fields = parseFields(text, 'MATMSG:');
+    if (!fields) return null;
+    const get = key => fields.find(([k]) => k === key)?.[1] || '';
+    return { to: get('TO'), subject: get('SUB'), body: get('BODY') };
+}
@@ -0,0 +1,91 @@
+/**
+ * lib/payloads/upi.js — UPI payment links (India)
+ *
+ *   upi://pay?pa=shop@okbank&pn=Corner%20Shop&am=149.00&cu=INR&tn=Order%2042
+ *
+ * pa is the payee's VPA (virtual payment address, "name@bank"), pn the
+ * payee name shown to the payer, am the amount (left out: the payer types
+ * it), cu the currency, tn a transaction note and mc a merchant category
+ * code. Values are percent-encoded with %20 for spaces — several UPI apps
+ * show a literal '+' otherwise — but '@' stays as is, as some apps don't
+ * decode the VPA.
+ */
+
+export const UPI_CURRENCIES = ['INR'];
+export const MAX_UPI_AMOUNT = 100000;   // Per-transaction cap most banks apply to UPI
+
+const VPA_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{1,255}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+const MAX_NAME_LENGTH = 99;
+const MAX_NOTE_LENGTH = 80;
+
+export function validateVpa(vpa) {
+    if (!vpa || typeof vpa !== 'string') return 'Payee UPI ID is required';
+    if (!VPA_PATTERN.test(vpa.trim())) return 'UPI ID should look like name@bank';
+    return null;
+}
+
+/**
+ * '149.5' → { amount: '149.50' }; '' or null → { amount: '' } (payer enters it).
+ */
+export function normalizeAmount(value) {
+    if (value === undefined || value === null || value === '') return { amount: '' };
+    const text = String(value).trim();
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) return { error: 'Amount must be a number with at most 2 decimals' };
+    const amount = Number(text);
+    if (amount <= 0) return { error: 'Amount must be more than zero' };
+    if (amount > MAX_UPI_AMOUNT) return { error: `Amount can be at most ${MAX_UPI_AMOUNT}` };
+    return { amount: amount.toFixed(2) };
+}
+
+/**
+ * fields: { vpa, name?, amount?, currency = 'INR', note?, merchantCode? }
+ * Returns { payload } or { error }.
+ */
+export function buildUpi({ vpa, name = '', amount = '', currency = 'INR', note = '', merchantCode = '' }) {
+    const vpaError = validateVpa(vpa);
+    if (vpaError) return { error: vpaError };
+    if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) return { error: `Payee name must be at most ${MAX_NAME_LENGTH} characters` };
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) return { error: `Note must be at most ${MAX_NOTE_LENGTH} characters` };
+    if (!UPI_CURRENCIES.includes(currency)) return { error: `Currency must be one of: ${UPI_CURRENCIES.join(', ')}` };
+    if (merchantCode && !/^\d{4}$/.test(merchantCode)) return { error: 'Merchant code is a 4-digit category code' };
+    const normalized = normalizeAmount(amount);
+    if (normalized.error) return normalized;
+
+    const params = [
+        ['pa', vpa.trim()],
+        ['pn', name.trim()],
+        ['mc', merchantCode],
+        ['am', normalized.amount],
+        ['cu', currency],
+        ['tn', note.trim()]
+    ].filter(([, value]) => value);
+
+    const encode = value => encodeURIComponent(value).replace(/%40/g, '@');
+    return { payload: 'upi://pay?' + params.map(([key, value]) => `${key}=${encode(value)}`).join('&') };
+}
+
+/**
+ * Inverse of buildUpi(): the fields, or null if it isn't a upi://pay link.
+ */
+export function parseUpi(text) {
+    if (typeof text !== 'string' || !/^upi:\/\/pay\/?\?/i.test(text)) return null;
+    const params = new URLSearchParams(text.slice(text.indexOf('?') + 1));
+    return {
+        vpa: params.get('pa') || '',
+        name: params.get('pn') || '',
+        amount: params.get('am') || '',
+        currency: params.get('cu') || 'INR',
+        note: params.get('tn') || '',
+        merchantCode: params.get('mc') || ''
+    };
+}
+
+/**
+ * Same link with a new amount ('' or null clears it) — how a printed
+ * dynamic code starts asking for a different price. Returns { payload } or { error }.
+ */
+export function setUpiAmount(payload, amount) {
+    const fields = parseUpi(payload);
+    if (!fields) return { error: 'Amount can only be set on UPI payment codes' };
+    return buildUpi({ ...fields, amount: amount ?? '' });
+}
@@ -0,0 +1,53 @@
+/**
+ * lib/payloads/wifi.js — Join-a-network codes
+ *
+ *   WIFI:T:WPA;S:Cafe Guest;P:coffee\;tea;H:true;;
+ *
+ * T is the security (WPA also covers WPA2/WPA3, WEP, or nopass for open
+ * networks), S the network name, P the password, H:true marks a hidden
+ * network — phones only find those when told to look for them.
+ */
+
+import { parseFields, serializeFields } from './fields';
+
+export const WIFI_SECURITY = ['WPA', 'WEP', 'nopass'];
+const MAX_SSID_BYTES = 32;
+
+/**
+ * fields: { ssid, password?, security = 'WPA', hidden = false }
+ * Returns { payload } or { error }.
+ */
+export function buildWifi({ ssid, password = '', security = 'WPA', hidden = false }) {
+    if (!ssid || typeof ssid !== 'string') return { error: 'Network name (SSID) is required' };
+    if (new TextEncoder().encode(ssid).length > MAX_SSID_BYTES) return { error: `Network name is too long (max ${MAX_SSID_BYTES} bytes)` };
+    if (!WIFI_SECURITY.includes(security)) return { error: `Security must be one of: ${WIFI_SECURITY.join(', ')}` };
+    if (security !== 'nopass' && !password) return { error: 'Password is required for a secured network' };
+    if (security === 'WPA' && (password.length < 8 || password.length > 63)) {
+        return { error: 'WPA passwords are 8–63 characters' };
+    }
+
+    return {
+        payload: serializeFields('WIFI:', [
+            ['T', security],
+            ['S', ssid],
+            ['P', security === 'nopass' ? '' : password],
+            ['H', hidden ? 'true' : '']
+        ])
+    };
+}
+
+/**
+ * Inverse of buildWifi(): the fields, or null if it isn't a WIFI: payload.
+ */
+export function parseWifi(text) {
+    const fields = parseFields(text, 'WIFI:');
+    if (!fields) return null;
+    const get = key => fields.find(([k]) => k === key)?.[1] || '';
+    const security = WIFI_SECURITY.find(s => s.toUpperCase() === get('T').toUpperCase()) || 'nopass';
+    return {
+        ssid: get('S'),
+        password: get('P'),
+        security,
+        hidden: get('H').toLowerCase() === 'true'
+    };
+}
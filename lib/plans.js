@@ -0,0 +1,24 @@
+/**
+ * lib/plans.js — What each plan allows
+ *
+ * Limits count active dynamic QR codes per account; custom slugs need a
+ * paid plan and custom domains the Business plan.
+ */
+
+export const PLAN_LIMITS = { free: 2, pro: 50, business: Infinity };
+
+export function planLimit(plan) {
+    return PLAN_LIMITS[plan] || PLAN_LIMITS.free;
+}
+
+// Custom slugs (lib/slugs.js) are a paid feature
+const SLUG_PLANS = new Set(['pro', 'business']);
+
+export function allowsCustomSlugs(plan) {
+    return SLUG_PLANS.has(plan);
+}
+
+// Custom domains (lib/domains.js) are Business only
+export function allowsCustomDomains(plan) {
+    return plan === 'business';
+}
@@ -0,0 +1,109 @@
+/**
+ * lib/qr/canvas.js — Draw an encoded QR symbol onto a canvas (browser only)
+ */
+
+import { logoImageBox } from './logo';
+import { gradientGeometry, mapPath } from './shapes';
+import { composeScene } from './frames';
+import { FONTS } from './fonts';
+import { svgPath } from './geometry';
+
+/**
+ * Resizes `canvas` to `pixels` wide (taller with a frame) and paints the code
+ * with its quiet zone. Grid-aligned points are rounded to whole pixels so
+ * neighbouring modules meet without anti-aliased hairline gaps; curves keep
+ * their exact positions.
+ *
+ * options: { pixels, fg, bg, margin, moduleStyle?, eyes?, gradient?, frame?, logo? }
+ * logo: { area, image } — area from lib/qr/logo.js, image a loaded
+ * HTMLImageElement (see loadImage).
+ */
+export function drawCanvas(canvas, qr, options) {
+    const { pixels, bg, margin, logo } = options;
+    const scene = composeScene(qr, options);
+    const { total, caption } = scene;
+    const scale = pixels / scene.width;
+    canvas.width = pixels;
+    canvas.height = Math.round(scene.height * scale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const scaled = path => new Path2D(svgPath(mapPath(path, (x, y) => [x * scale, y * scale])));
+    for (const { path, fill } of scene.frame) {
+        ctx.fillStyle = fill;
+        ctx.fill(scaled(path));
+    }
+    if (caption) {
+        ctx.fillStyle = caption.fill;
+        ctx.font = `bold ${caption.size * scale}px ${FONTS[caption.font].css}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(caption.text, caption.x * scale, caption.y * scale);
+    }
+
+    // The code starts on a whole pixel, so the rounding below still lines modules up
+    ctx.save();
+    ctx.translate(Math.round(scene.offset[0] * scale), Math.round(scene.offset[1] * scale));
+    const toPixel = value => Number.isInteger(value) ? Math.round(value * scale) : value * scale;
+    for (const { path, fill } of scene.layers) {
+        ctx.fillStyle = typeof fill === 'string' ? fill : canvasGradient(ctx, fill, total, scale);
+        ctx.fill(new Path2D(svgPath(mapPath(path, (x, y) => [toPixel(x), toPixel(y)]))));
+    }
+
+    if (logo) {
+        const box = logoImageBox(logo.area);
+        drawContained(ctx, logo.image, (box.x + margin) * scale, (box.y + margin) * scale, box.size * scale);
+    }
+    ctx.restore();
+    return canvas;
+}
+
+function canvasGradient(ctx, gradient, total, scale) {
+    const g = gradientGeometry(gradient, total);
+    const canvasFill = gradient.type === 'radial'
+        ? ctx.createRadialGradient(g.cx * scale, g.cy * scale, 0, g.cx * scale, g.cy * scale, g.r * scale)
+        : ctx.createLinearGradient(g.x1 * scale, g.y1 * scale, g.x2 * scale, g.y2 * scale);
+    canvasFill.addColorStop(0, gradient.from);
+    canvasFill.addColorStop(1, gradient.to);
+    return canvasFill;
+}
+
+// Fits the image inside a square, keeping its aspect ratio
+function drawContained(ctx, image, x, y, size) {
+    const ratio = (image.naturalWidth || 1) / (image.naturalHeight || 1);
+    const width = ratio >= 1 ? size : size * ratio;
+    const height = ratio >= 1 ? size / ratio : size;
+    ctx.drawImage(image, x + (size - width) / 2, y + (size - height) / 2, width, height);
+}
+
+export function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = src;
+    });
+}
+
+/**
+ * Flattens a logo onto the background color as raw RGB — the form the PDF
+ * and EPS renderers embed (neither handles PNG alpha or SVG directly).
+ * Returns { width, height, hex } with hex the pixels as a hex string.
+ */
+export function rasterizeLogo(image, pixels, bg) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = pixels;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, pixels, pixels);
+    drawContained(ctx, image, 0, 0, pixels);
+
+    const { data } = ctx.getImageData(0, 0, pixels, pixels);
+    let hex = '';
+    for (let i = 0; i < data.length; i += 4) {
+        hex += ((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]).toString(16).padStart(6, '0');
+    }
+    return { width: pixels, height: pixels, hex };
+}
@@ -0,0 +1,172 @@
+/**
+ * lib/qr/design.js — The saved look of a QR code
+ *
+ * A design is everything needed to re-draw a code identically later:
+ *
+ *   { fg: '#000000', bg: '#ffffff', ec: 'M', margin: 4,
+ *     logo: { src: 'data:image/png;base64,…', scale: 0.2 } | null,
+ *     moduleStyle: 'square' | 'rounded' | 'dots' | 'classy',
+ *     eyes: { frame: 'square' | 'rounded' | 'circle', ball: (same),
+ *             frameColor: '#hex' | null, ballColor: '#hex' | null },
+ *     gradient: { type: 'linear' | 'radial', from: '#hex', to: '#hex', angle: 0–360 } | null,
+ *     frame: { style: 'banner' | 'badge' | 'bubble', text: 'SCAN ME', font: 'sans' | 'serif' | 'mono',
+ *              color: '#hex' | null, textColor: '#hex' | null } | null }
+ *
+ * Eye colors default to the module fill (fg, or the gradient when set); the
+ * frame defaults to the same color, with its caption in the background color.
+ *
+ * Dynamic codes store it (qr_codes.design), so a download from the dashboard
+ * months later matches the one made in the generator. The logo is kept
+ * inline as a data URL — no file storage to manage, and it can't go missing.
+ */
+
+import { encodeText, EC_LEVELS } from './encoder';
+import { normalizeColor, MAX_MARGIN } from './options';
+import { logoArea, logoCoverage, requiredEcLevel, excavate, EC_ORDER } from './logo';
+import { MODULE_STYLES, EYE_FRAME_STYLES, EYE_BALL_STYLES, GRADIENT_TYPES, DEFAULT_EYES } from './shapes';
+import { FRAME_STYLES, FRAME_FONTS, MAX_FRAME_TEXT } from './frames';
+
+export const LOGO_TYPES = ['image/png', 'image/svg+xml'];
+export const MAX_LOGO_LENGTH = 150000;   // Data URL characters, ~110 KB of file
+export const MIN_LOGO_SCALE = 0.1;
+export const MAX_LOGO_SCALE = 0.3;
+export const DEFAULT_LOGO_SCALE = 0.2;
+
+export const DEFAULT_DESIGN = {
+    fg: '#000000',
+    bg: '#ffffff',
+    ec: 'M',
+    margin: 4,
+    logo: null,
+    moduleStyle: 'square',
+    eyes: DEFAULT_EYES,
+    gradient: null,
+    frame: null
+};
+
+// Optional hex color: null/undefined → null, otherwise normalized or false
+function optionalColor(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' && normalizeColor(value);
+}
+
+/**
+ * Validates a design from the API. Missing fields get defaults.
+ * Returns { design } or { error }.
+ */
+export function validateDesign(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'design must be an object' };
+    const design = { ...DEFAULT_DESIGN };
+
+    for (const key of ['fg', 'bg']) {
+        if (input[key] === undefined) continue;
+        design[key] = typeof input[key] === 'string' && normalizeColor(input[key]);
+        if (!design[key]) return { error: `design.${key} must be a hex color like #000000` };
+    }
+    if (input.ec !== undefined) {
+        if (!EC_LEVELS[input.ec]) return { error: 'design.ec must be one of: L, M, Q, H' };
+        design.ec = input.ec;
+    }
+    if (input.margin !== undefined) {
+        if (!Number.isInteger(input.margin) || input.margin < 0 || input.margin > MAX_MARGIN) {
+            return { error: `design.margin must be an integer between 0 and ${MAX_MARGIN}` };
+        }
+        design.margin = input.margin;
+    }
+
+    if (input.logo) {
+        const { src, scale = DEFAULT_LOGO_SCALE } = input.logo;
+        const type = typeof src === 'string' && src.match(/^data:([^;,]+)[;,]/)?.[1];
+        if (!LOGO_TYPES.includes(type)) return { error: 'design.logo.src must be a PNG or SVG data URL' };
+        if (src.length > MAX_LOGO_LENGTH) return { error: 'Logo file is too large (max ~100 KB)' };
+        if (typeof scale !== 'number' || scale < MIN_LOGO_SCALE || scale > MAX_LOGO_SCALE) {
+            return { error: `design.logo.scale must be between ${MIN_LOGO_SCALE} and ${MAX_LOGO_SCALE}` };
+        }
+        design.logo = { src, scale };
+    }
+
+    if (input.moduleStyle !== undefined) {
+        if (!MODULE_STYLES.includes(input.moduleStyle)) return { error: `design.moduleStyle must be one of: ${MODULE_STYLES.join(', ')}` };
+        design.moduleStyle = input.moduleStyle;
+    }
+
+    if (input.eyes !== undefined && input.eyes !== null) {
+        const { frame = 'square', ball = 'square' } = input.eyes;
+        if (!EYE_FRAME_STYLES.includes(frame)) return { error: `design.eyes.frame must be one of: ${EYE_FRAME_STYLES.join(', ')}` };
+        if (!EYE_BALL_STYLES.includes(ball)) return { error: `design.eyes.ball must be one of: ${EYE_BALL_STYLES.join(', ')}` };
+        const frameColor = optionalColor(input.eyes.frameColor);
+        const ballColor = optionalColor(input.eyes.ballColor);
+        if (frameColor === false || ballColor === false) return { error: 'Eye colors must be hex colors like #000000' };
+        design.eyes = { frame, ball, frameColor, ballColor };
+    }
+
+    if (input.gradient) {
+        const { type, angle = 0 } = input.gradient;
+        if (!GRADIENT_TYPES.includes(type)) return { error: `design.gradient.type must be one of: ${GRADIENT_TYPES.join(', ')}` };
+        const from = optionalColor(input.gradient.from);
+        const to = optionalColor(input.gradient.to);
+        if (!from || !to) return { error: 'design.gradient needs from and to hex colors' };
+        if (typeof angle !== 'number' || angle < 0 || angle > 360) return { error: 'design.gradient.angle must be 0–360' };
+        design.gradient = { type, from, to, angle };
+    }
+
+    if (input.frame) {
+        const { style, text = '', font = 'sans' } = input.frame;
+        if (!FRAME_STYLES.includes(style)) return { error: `design.frame.style must be one of: ${FRAME_STYLES.join(', ')}` };
+        if (typeof text !== 'string' || text.length > MAX_FRAME_TEXT) {
+            return { error: `design.frame.text must be a string (max ${MAX_FRAME_TEXT} chars)` };
+        }
+        if (!FRAME_FONTS.includes(font)) return { error: `design.frame.font must be one of: ${FRAME_FONTS.join(', ')}` };
+        const color = optionalColor(input.frame.color);
+        const textColor = optionalColor(input.frame.textColor);
+        if (color === false || textColor === false) return { error: 'Frame colors must be hex colors like #000000' };
+        design.frame = { style, text: text.trim(), font, color, textColor };
+    }
+
+    return { design };
+}
+
+/**
+ * Encodes text with a design applied: raises the EC level as far as the logo
+ * needs, then clears the modules behind it.
+ *
+ * Returns { qr, ecLevel, forcedEc, logoArea } — forcedEc is true when the
+ * logo made us use a higher level than design.ec; logoArea is null without a logo.
+ */
+export function encodeDesign(text, design) {
+    const chosen = design.ec || DEFAULT_DESIGN.ec;
+    let qr = encodeText(text, chosen);
+    if (!design.logo) return { qr, ecLevel: qr.ecLevel, forcedEc: false, logoArea: null };
+
+    // The area is snapped to whole modules, so coverage depends on the
+    // version — re-check after every re-encode
+    let area = logoArea(qr.size, design.logo.scale);
+    let needed = requiredEcLevel(logoCoverage(qr.size, area)) || 'H';
+    while (EC_ORDER.indexOf(needed) > EC_ORDER.indexOf(qr.ecLevel)) {
+        qr = encodeText(text, needed);
+        area = logoArea(qr.size, design.logo.scale);
+        needed = requiredEcLevel(logoCoverage(qr.size, area)) || 'H';
+    }
+
+    return {
+        qr: excavate(qr, area),
+        ecLevel: qr.ecLevel,
+        forcedEc: EC_ORDER.indexOf(needed) > EC_ORDER.indexOf(chosen),
+        logoArea: area
+    };
+}
+
+/**
+ * The style fields of a design, as the renderers take them alongside size and colors.
+ */
+export function designStyle(design) {
+    return {
+        fg: design.fg,
+        bg: design.bg,
+        margin: design.margin,
+        moduleStyle: design.moduleStyle || DEFAULT_DESIGN.moduleStyle,
+        eyes: design.eyes || DEFAULT_EYES,
+        gradient: design.gradient || null,
+        frame: design.frame || null
+    };
+}
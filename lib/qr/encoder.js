@@ -0,0 +1,599 @@
+/**
+ * lib/qr/encoder.js — Pure-JS QR Code encoder (ISO/IEC 18004)
+ *
+ * LEARNING:
+ * ─────────
+ * Turning text into a QR code takes five steps:
+ * 1. SEGMENTS — encode the text as bits in the most compact mode
+ *    (numeric, alphanumeric, kanji or raw UTF-8 bytes)
+ * 2. VERSION — pick the smallest grid (21×21 … 177×177) the bits fit in
+ * 3. ERROR CORRECTION — split the data into blocks and append Reed-Solomon
+ *    codewords, so a scanner can rebuild up to 7/15/25/30% of damaged data
+ * 4. PLACEMENT — draw finder/timing/alignment patterns, then zig-zag the
+ *    codewords into the remaining modules
+ * 5. MASKING — XOR the data with each of 8 patterns and keep the one that
+ *    looks least like a finder pattern (lowest penalty score)
+ *
+ * The algorithm follows Project Nayuki's reference implementation (MIT, notice below),
+ * so for anything but pure-kanji text the matrices are bit-for-bit the same
+ * as other encoders built on it. No Node or browser APIs beyond
+ * TextEncoder/TextDecoder: this file runs on both.
+ */
+
+/*
+ * Based on QR Code generator library (JavaScript/TypeScript)
+ * Copyright (c) Project Nayuki. (MIT License)
+ * https://www.nayuki.io/page/qr-code-generator-library
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies of
+ * the Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ * - The above copyright notice and this permission notice shall be included in
+ *   all copies or substantial portions of the Software.
+ * - The Software is provided "as is", without warranty of any kind, express or
+ *   implied, including but not limited to the warranties of merchantability,
+ *   fitness for a particular purpose and noninfringement. In no event shall the
+ *   authors or copyright holders be liable for any claim, damages or other
+ *   liability, whether in an action of contract, tort or otherwise, arising from,
+ *   out of or in connection with the Software or the use or other dealings in the
+ *   Software.
+ */
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+// ── Error correction levels ──────────────────────
+// ordinal indexes the tables below; formatBits go into the format information
+
+export const EC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },   // ~7% recovery
+    M: { ordinal: 1, formatBits: 0 },   // ~15%
+    Q: { ordinal: 2, formatBits: 3 },   // ~25%
+    H: { ordinal: 3, formatBits: 2 },   // ~30%
+};
+
+const ECC_CODEWORDS_PER_BLOCK = [
+    // Version: (index 0 unused)
+    //   1,  2,  3,  4,  5,  6,  7,  8,  9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],  // L
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],  // M
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],  // Q
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],  // H
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],  // L
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],  // M
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],  // Q
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],  // H
+];
+
+// ── Segment modes ────────────────────────────────
+// charCountBits: width of the length field for versions 1–9, 10–26, 27–40
+
+export const MODES = {
+    numeric: { modeBits: 0x1, charCountBits: [10, 12, 14] },
+    alphanumeric: { modeBits: 0x2, charCountBits: [9, 11, 13] },
+    byte: { modeBits: 0x4, charCountBits: [8, 16, 16] },
+    kanji: { modeBits: 0x8, charCountBits: [8, 10, 12] },
+};
+
+function numCharCountBits(mode, version) {
+    return mode.charCountBits[Math.floor((version + 7) / 17)];
+}
+
+const NUMERIC_REGEX = /^[0-9]*$/;
+const ALPHANUMERIC_REGEX = /^[A-Z0-9 $%*+./:-]*$/;
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+export class DataTooLongError extends Error {
+    constructor(message = 'Data too long for a QR code') {
+        super(message);
+        this.name = 'DataTooLongError';
+    }
+}
+
+function appendBits(value, length, bits) {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+}
+
+// ── Segments ─────────────────────────────────────
+
+export function makeNumeric(digits) {
+    if (!NUMERIC_REGEX.test(digits)) throw new RangeError('String contains non-numeric characters');
+    const bits = [];
+    for (let i = 0; i < digits.length;) {
+        const n = Math.min(digits.length - i, 3);
+        appendBits(parseInt(digits.substring(i, i + n), 10), n * 3 + 1, bits);
+        i += n;
+    }
+    return { mode: MODES.numeric, numChars: digits.length, bits };
+}
+
+export function makeAlphanumeric(text) {
+    if (!ALPHANUMERIC_REGEX.test(text)) throw new RangeError('String contains unencodable characters in alphanumeric mode');
+    const bits = [];
+    let i;
+    for (i = 0; i + 2 <= text.length; i += 2) {
+        const pair = ALPHANUMERIC_CHARSET.indexOf(text.charAt(i)) * 45 + ALPHANUMERIC_CHARSET.indexOf(text.charAt(i + 1));
+        appendBits(pair, 11, bits);
+    }
+    if (i < text.length) appendBits(ALPHANUMERIC_CHARSET.indexOf(text.charAt(i)), 6, bits);
+    return { mode: MODES.alphanumeric, numChars: text.length, bits };
+}
+
+export function makeBytes(bytes) {
+    const bits = [];
+    for (const b of bytes) appendBits(b, 8, bits);
+    return { mode: MODES.byte, numChars: bytes.length, bits };
+}
+
+// Kanji mode stores double-byte Shift JIS characters in 13 bits instead of
+// the 24 bits UTF-8 needs. The character → Shift JIS table is built once by
+// decoding every code in the two kanji ranges; null if the runtime's
+// TextDecoder has no Shift JIS support (kanji text then falls back to bytes).
+let shiftJisTable;
+
+function getShiftJisTable() {
+    if (shiftJisTable !== undefined) return shiftJisTable;
+    try {
+        const decoder = new TextDecoder('shift_jis');
+        shiftJisTable = new Map();
+        for (const [from, to] of [[0x81, 0x9f], [0xe0, 0xeb]]) {
+            for (let lead = from; lead <= to; lead++) {
+                for (let trail = 0x40; trail <= 0xfc; trail++) {
+                    if (trail === 0x7f || (lead === 0xeb && trail > 0xbf)) continue;
+                    const char = decoder.decode(new Uint8Array([lead, trail]));
+                    if (char.length === 1 && char !== '\uFFFD') shiftJisTable.set(char, lead << 8 | trail);
+                }
+            }
+        }
+    } catch {
+        shiftJisTable = null;
+    }
+    return shiftJisTable;
+}
+
+export function isKanji(text) {
+    const table = getShiftJisTable();
+    return !!table && text !== '' && [...text].every(char => table.has(char));
+}
+
+export function makeKanji(text) {
+    if (!isKanji(text)) throw new RangeError('String contains characters not encodable in kanji mode');
+    const table = getShiftJisTable();
+    const bits = [];
+    const chars = [...text];
+    for (const char of chars) {
+        const code = table.get(char);
+        const offset = code - (code <= 0x9ffc ? 0x8140 : 0xc140);
+        appendBits((offset >>> 8) * 0xc0 + (offset & 0xff), 13, bits);
+    }
+    return { mode: MODES.kanji, numChars: chars.length, bits };
+}
+
+/**
+ * Picks a single segment in the most compact mode that can hold the whole text.
+ */
+export function makeSegments(text) {
+    if (text === '') return [];
+    if (NUMERIC_REGEX.test(text)) return [makeNumeric(text)];
+    if (ALPHANUMERIC_REGEX.test(text)) return [makeAlphanumeric(text)];
+    if (isKanji(text)) return [makeKanji(text)];
+    return [makeBytes(new TextEncoder().encode(text))];
+}
+
+function getTotalBits(segments, version) {
+    let result = 0;
+    for (const seg of segments) {
+        const ccBits = numCharCountBits(seg.mode, version);
+        if (seg.numChars >= (1 << ccBits)) return Infinity;   // Length field overflows
+        result += 4 + ccBits + seg.bits.length;
+    }
+    return result;
+}
+
+// ── Capacity ─────────────────────────────────────
+
+// Modules available for data + ECC once all function patterns are drawn
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version, ecl) {
+    return Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+}
+
+/**
+ * Data capacity in bits for a version and EC level (used by size/logo checks).
+ */
+export function dataCapacityBits(version, ecLevel) {
+    return getNumDataCodewords(version, EC_LEVELS[ecLevel]) * 8;
+}
+
+// ── Reed-Solomon (GF(2^8), polynomial 0x11D) ─────
+
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const b of data) {
+        const factor = b ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => { result[i] ^= reedSolomonMultiply(coef, factor); });
+    }
+    return result;
+}
+
+// ── The symbol ───────────────────────────────────
+
+class QrSymbol {
+    constructor(version, ecl, dataCodewords, mask) {
+        this.version = version;
+        this.ecl = ecl;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addEccAndInterleave(dataCodewords));
+
+        if (mask === -1) {
+            let minPenalty = Infinity;
+            for (let i = 0; i < 8; i++) {
+                this.applyMask(i);
+                this.drawFormatBits(i);
+                const penalty = this.getPenaltyScore();
+                if (penalty < minPenalty) {
+                    mask = i;
+                    minPenalty = penalty;
+                }
+                this.applyMask(i);   // XOR again to undo
+            }
+        }
+        this.mask = mask;
+        this.applyMask(mask);
+        this.drawFormatBits(mask);
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(size - 4, 3);
+        this.drawFinderPattern(3, size - 4);
+
+        const alignPositions = alignmentPatternPositions(this.version);
+        const numAlign = alignPositions.length;
+        for (let i = 0; i < numAlign; i++) {
+            for (let j = 0; j < numAlign; j++) {
+                // Skip the three corners occupied by finder patterns
+                if (!(i === 0 && j === 0 || i === 0 && j === numAlign - 1 || i === numAlign - 1 && j === 0)) {
+                    this.drawAlignmentPattern(alignPositions[i], alignPositions[j]);
+                }
+            }
+        }
+
+        this.drawFormatBits(0);   // Dummy, overwritten once the mask is chosen
+        this.drawVersion();
+    }
+
+    drawFormatBits(mask) {
+        const data = this.ecl.formatBits << 3 | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = (data << 10 | rem) ^ 0x5412;
+        const size = this.size;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+        this.setFunctionModule(8, 7, getBit(bits, 6));
+        this.setFunctionModule(8, 8, getBit(bits, 7));
+        this.setFunctionModule(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+        this.setFunctionModule(8, size - 8, true);   // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = this.version << 12 | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const bit = getBit(bits, i);
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, bit);
+            this.setFunctionModule(b, a, bit);
+        }
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    addEccAndInterleave(data) {
+        const { version, ecl } = this;
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const blocks = [];
+        const rsDiv = reedSolomonComputeDivisor(blockEccLen);
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = reedSolomonComputeRemainder(dat, rsDiv);
+            if (i < numShortBlocks) dat.push(0);   // Padding, skipped when interleaving
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    // Zig-zags the codewords through the grid in 2-module-wide columns, right to left
+    drawCodewords(data) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;   // Skip the vertical timing pattern
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < data.length * 8) {
+                        this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                let invert;
+                switch (mask) {
+                    case 0: invert = (x + y) % 2 === 0; break;
+                    case 1: invert = y % 2 === 0; break;
+                    case 2: invert = x % 3 === 0; break;
+                    case 3: invert = (x + y) % 3 === 0; break;
+                    case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                    case 5: invert = x * y % 2 + x * y % 3 === 0; break;
+                    case 6: invert = (x * y % 2 + x * y % 3) % 2 === 0; break;
+                    case 7: invert = ((x + y) % 2 + x * y % 3) % 2 === 0; break;
+                    default: throw new RangeError('Invalid mask');
+                }
+                if (!this.isFunction[y][x] && invert) this.modules[y][x] = !this.modules[y][x];
+            }
+        }
+    }
+
+    getPenaltyScore() {
+        const size = this.size;
+        const modules = this.modules;
+        let result = 0;
+
+        // Runs of same-colored modules and finder-like patterns, in rows then columns
+        for (let pass = 0; pass < 2; pass++) {
+            for (let a = 0; a < size; a++) {
+                let runColor = false;
+                let runLength = 0;
+                const runHistory = [0, 0, 0, 0, 0, 0, 0];
+                for (let b = 0; b < size; b++) {
+                    const color = pass === 0 ? modules[a][b] : modules[b][a];
+                    if (color === runColor) {
+                        runLength++;
+                        if (runLength === 5) result += PENALTY_N1;
+                        else if (runLength > 5) result++;
+                    } else {
+                        this.finderPenaltyAddHistory(runLength, runHistory);
+                        if (!runColor) result += this.finderPenaltyCountPatterns(runHistory) * PENALTY_N3;
+                        runColor = color;
+                        runLength = 1;
+                    }
+                }
+                result += this.finderPenaltyTerminateAndCount(runColor, runLength, runHistory) * PENALTY_N3;
+            }
+        }
+
+        // 2×2 blocks of the same color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    result += PENALTY_N2;
+                }
+            }
+        }
+
+        // Dark/light balance
+        let dark = 0;
+        for (const row of modules) dark = row.reduce((sum, color) => sum + (color ? 1 : 0), dark);
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += k * PENALTY_N4;
+
+        return result;
+    }
+
+    finderPenaltyCountPatterns(runHistory) {
+        const n = runHistory[1];
+        const core = n > 0 && runHistory[2] === n && runHistory[3] === n * 3 && runHistory[4] === n && runHistory[5] === n;
+        return (core && runHistory[0] >= n * 4 && runHistory[6] >= n ? 1 : 0) +
+            (core && runHistory[6] >= n * 4 && runHistory[0] >= n ? 1 : 0);
+    }
+
+    finderPenaltyTerminateAndCount(currentRunColor, currentRunLength, runHistory) {
+        if (currentRunColor) {
+            this.finderPenaltyAddHistory(currentRunLength, runHistory);
+            currentRunLength = 0;
+        }
+        currentRunLength += this.size;   // Light border after the last module
+        this.finderPenaltyAddHistory(currentRunLength, runHistory);
+        return this.finderPenaltyCountPatterns(runHistory);
+    }
+
+    finderPenaltyAddHistory(currentRunLength, runHistory) {
+        if (runHistory[0] === 0) currentRunLength += this.size;   // Light border before the first module
+        runHistory.pop();
+        runHistory.unshift(currentRunLength);
+    }
+}
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+function alignmentPatternPositions(version) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = version * 4 + 17 - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+/**
+ * Encodes segments into a QR symbol.
+ *
+ * options:
+ *   minVersion / maxVersion — limit the grid size (1–40)
+ *   mask     — force a mask pattern 0–7, or -1 to pick the best (default)
+ *   boostEcl — raise the EC level for free when the data still fits (default true)
+ *
+ * Returns { version, size, ecLevel, mask, modules } — modules[y][x] is true for dark.
+ */
+export function encodeSegments(segments, ecLevel = 'M', options = {}) {
+    const { minVersion = MIN_VERSION, maxVersion = MAX_VERSION, mask = -1, boostEcl = true } = options;
+    if (!EC_LEVELS[ecLevel]) throw new RangeError(`Unknown error correction level: ${ecLevel}`);
+    if (!(MIN_VERSION <= minVersion && minVersion <= maxVersion && maxVersion <= MAX_VERSION) || mask < -1 || mask > 7) {
+        throw new RangeError('Invalid version or mask');
+    }
+
+    let ecl = EC_LEVELS[ecLevel];
+    let version;
+    let usedBits;
+    for (version = minVersion; ; version++) {
+        usedBits = getTotalBits(segments, version);
+        if (usedBits <= getNumDataCodewords(version, ecl) * 8) break;
+        if (version >= maxVersion) throw new DataTooLongError();
+    }
+
+    if (boostEcl) {
+        for (const level of ['M', 'Q', 'H']) {
+            if (EC_LEVELS[level].ordinal > ecl.ordinal && usedBits <= getNumDataCodewords(version, EC_LEVELS[level]) * 8) {
+                ecl = EC_LEVELS[level];
+            }
+        }
+    }
+
+    // Mode indicator, length, data
+    const bits = [];
+    for (const seg of segments) {
+        appendBits(seg.mode.modeBits, 4, bits);
+        appendBits(seg.numChars, numCharCountBits(seg.mode, version), bits);
+        for (const bit of seg.bits) bits.push(bit);
+    }
+
+    // Terminator, byte alignment, then alternating pad bytes up to capacity
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    appendBits(0, Math.min(4, capacityBits - bits.length), bits);
+    appendBits(0, (8 - bits.length % 8) % 8, bits);
+    for (let padByte = 0xEC; bits.length < capacityBits; padByte ^= 0xEC ^ 0x11) {
+        appendBits(padByte, 8, bits);
+    }
+
+    const dataCodewords = new Array(bits.length / 8).fill(0);
+    bits.forEach((bit, i) => { dataCodewords[i >>> 3] |= bit << (7 - (i & 7)); });
+
+    const symbol = new QrSymbol(version, ecl, dataCodewords, mask);
+    const levelName = Object.keys(EC_LEVELS).find(name => EC_LEVELS[name] === ecl);
+
+    return { version, size: symbol.size, ecLevel: levelName, mask: symbol.mask, modules: symbol.modules };
+}
+
+/**
+ * Encodes text (any Unicode string) into a QR symbol. See encodeSegments() for options.
+ */
+export function encodeText(text, ecLevel = 'M', options = {}) {
+    return encodeSegments(makeSegments(text), ecLevel, options);
+}
@@ -0,0 +1,110 @@
+/**
+ * lib/qr/eps.js — Render an encoded QR symbol as Encapsulated PostScript
+ *
+ * Still the format many print shops and sign makers ask for. The header
+ * comments (%%BoundingBox…) are what layout programs read to place the art.
+ * The body flips the y axis and scales modules to points, so the paths from
+ * lib/qr/shapes.js are used unchanged. Gradients clip to the layer and paint
+ * with shfill (PostScript level 3); a logo is drawn with colorimage from hex
+ * data inline in the file. A frame caption uses a built-in font, re-encoded
+ * to Latin-1 so accented letters print.
+ */
+
+import { unitRgb, formatNumber, wrapLines, postfixPath, PS_PROLOG } from './geometry';
+import { gradientGeometry } from './shapes';
+import { composeScene } from './frames';
+import { FONTS, textWidth, postscriptString } from './fonts';
+import { pointSize } from './options';
+import { logoImageBox } from './logo';
+
+function shfill(gradient, total) {
+    const g = gradientGeometry(gradient, total);
+    const coords = gradient.type === 'radial'
+        ? [g.cx, g.cy, 0, g.cx, g.cy, g.r]
+        : [g.x1, g.y1, g.x2, g.y2];
+    return `<< /ShadingType ${gradient.type === 'radial' ? 3 : 2} /ColorSpace /DeviceRGB ` +
+        `/Coords [${coords.map(formatNumber).join(' ')}] /Extend [true true] ` +
+        `/Function << /FunctionType 2 /Domain [0 1] /C0 [${unitRgb(gradient.from)}] /C1 [${unitRgb(gradient.to)}] /N 1 >> >> shfill`;
+}
+
+function fillPaths(layers, total) {
+    return layers
+        .filter(({ path }) => path.length > 0)
+        .map(({ path, fill }) => typeof fill === 'string'
+            ? `${unitRgb(fill)} setrgbcolor\nnewpath\n${postfixPath(path)}\nfill`
+            : `gsave\nnewpath\n${postfixPath(path)}\nclip\nnewpath\n${shfill(fill, total)}\ngrestore`);
+}
+
+/**
+ * qr: result of encodeText(); options: { size, unit, fg, bg, margin, logo?, moduleStyle?, eyes?, gradient?, frame? }
+ * logo: { area, raster } — raster from rasterizeLogo() in lib/qr/canvas.js
+ * `size` is the image width; a frame makes the image taller than it is wide.
+ */
+export function renderEps(qr, options) {
+    const { bg, margin, logo } = options;
+    const scene = composeScene(qr, options);
+    const { total, offset: [ox, oy], caption } = scene;
+    const width = pointSize(options);
+    const height = width * scene.height / scene.width;
+    const scale = formatNumber(width / scene.width);
+
+    return [
+        '%!PS-Adobe-3.0 EPSF-3.0',
+        `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+        `%%HiResBoundingBox: 0 0 ${formatNumber(width)} ${formatNumber(height)}`,
+        '%%Creator: LinkToQR',
+        '%%Pages: 1',
+        '%%EndComments',
+        'save',
+        PS_PROLOG,
+        `${unitRgb(bg)} setrgbcolor`,
+        `0 0 ${formatNumber(width)} ${formatNumber(height)} rectfill`,
+        `0 ${formatNumber(height)} translate`,
+        `${scale} -${scale} scale`,   // Module units, y down
+        ...fillPaths(scene.frame, total),
+        'gsave',
+        `${formatNumber(ox)} ${formatNumber(oy)} translate`,
+        ...fillPaths(scene.layers, total),
+        ...(logo ? logoImage(logo, margin) : []),
+        'grestore',
+        ...(caption ? captionText(caption) : []),
+        'restore',
+        'showpage',
+        '%%EOF',
+        ''
+    ].join('\n');
+}
+
+function captionText({ text, x, y, size, font, fill }) {
+    const left = x - textWidth(text, font) * size / 2;
+    return [
+        // Copy of the font with Latin-1 encoding (the built-in one only covers ASCII)
+        `/${FONTS[font].postscript} findfont dup length dict begin`,
+        '{ 1 index /FID ne { def } { pop pop } ifelse } forall',
+        '/Encoding ISOLatin1Encoding def currentdict end',
+        '/CaptionFont exch definefont pop',
+        '/CaptionFont findfont 1 scalefont setfont',
+        `${unitRgb(fill)} setrgbcolor`,
+        'gsave',
+        `${formatNumber(left)} ${formatNumber(y)} translate`,
+        // Flip y back, or the glyphs would come out upside down
+        `${formatNumber(size)} -${formatNumber(size)} scale`,
+        `0 0 moveto ${postscriptString(text)} show`,
+        'grestore'
+    ];
+}
+
+function logoImage({ area, raster }, margin) {
+    const box = logoImageBox(area);
+    const { width, height, hex } = raster;
+    return [
+        'gsave',
+        `${box.x + margin} ${box.y + margin} translate`,
+        `${box.size} ${box.size} scale`,
+        // Image rows run top to bottom, and so does our flipped space: identity-style matrix
+        `${width} ${height} 8 [${width} 0 0 ${height} 0 0]`,
+        'currentfile /ASCIIHexDecode filter false 3 colorimage',
+        wrapLines(hex) + '>',
+        'grestore'
+    ];
+}
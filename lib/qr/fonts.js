@@ -0,0 +1,82 @@
+/**
+ * lib/qr/fonts.js — Caption fonts for QR frames
+ *
+ * Every output format has to lay out the caption identically without access
+ * to real font files, so we stick to fonts every PDF and PostScript reader
+ * has built in (the "standard 14") and the closest web fonts for SVG and
+ * canvas. Their character widths below (from the Adobe font metrics, in
+ * 1/1000 em, for ASCII 32–126) let us center and fit text ourselves.
+ *
+ * PDF and EPS captions are limited to Latin-1; anything else becomes '?'.
+ */
+
+const HELVETICA_BOLD = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+    333, 333, 584, 584, 584, 611, 975,
+    722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+    333, 278, 333, 584, 556, 333,
+    556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889,
+    611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+    389, 280, 389, 584
+];
+
+const TIMES_BOLD = [
+    250, 333, 555, 500, 500, 1000, 833, 278, 333, 333, 500, 570, 250, 333, 250, 278,
+    500, 500, 500, 500, 500, 500, 500, 500, 500, 500,
+    333, 333, 570, 570, 570, 500, 930,
+    722, 667, 722, 722, 667, 611, 778, 778, 389, 500, 778, 667, 944,
+    722, 778, 611, 778, 722, 556, 667, 722, 722, 1000, 722, 722, 667,
+    333, 278, 333, 581, 500, 333,
+    500, 556, 444, 556, 444, 333, 500, 556, 278, 333, 556, 278, 833,
+    556, 500, 556, 556, 444, 389, 333, 556, 500, 722, 500, 500, 444,
+    394, 220, 394, 520
+];
+
+const COURIER_BOLD = new Array(95).fill(600);
+
+export const FONTS = {
+    sans: { label: 'Sans', postscript: 'Helvetica-Bold', css: 'Helvetica, Arial, sans-serif', widths: HELVETICA_BOLD },
+    serif: { label: 'Serif', postscript: 'Times-Bold', css: '"Times New Roman", Times, serif', widths: TIMES_BOLD },
+    mono: { label: 'Mono', postscript: 'Courier-Bold', css: '"Courier New", Courier, monospace', widths: COURIER_BOLD },
+};
+
+// Height of capital letters, in em — used to center a line of text vertically
+export const CAP_HEIGHT = 0.7;
+
+function charWidth(widths, char) {
+    let code = char.charCodeAt(0);
+    if (code < 32 || code > 126) {
+        // Accented letters are about as wide as the letter without the accent
+        code = char.normalize('NFD').charCodeAt(0);
+        if (code < 32 || code > 126) return widths['?'.charCodeAt(0) - 32];
+    }
+    return widths[code - 32];
+}
+
+/**
+ * Width of `text` in em (1 = the font size) for one of FONTS.
+ */
+export function textWidth(text, font) {
+    const { widths } = FONTS[font] || FONTS.sans;
+    let total = 0;
+    for (const char of text) total += charWidth(widths, char);
+    return total / 1000;
+}
+
+/**
+ * A string literal for PDF and PostScript: Latin-1 only, with bytes above
+ * 126 written as octal escapes so the file stays plain ASCII.
+ */
+export function postscriptString(text) {
+    let out = '(';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (char === '(' || char === ')' || char === '\\') out += '\\' + char;
+        else if (code >= 32 && code <= 126) out += char;
+        else if (code >= 160 && code <= 255) out += '\\' + code.toString(8);
+        else out += '?';
+    }
+    return out + ')';
+}
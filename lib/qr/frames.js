@@ -0,0 +1,117 @@
+/**
+ * lib/qr/frames.js — "SCAN ME" frames and captions around a QR code
+ *
+ * LEARNING:
+ * ─────────
+ * A frame turns a square QR image into a slightly bigger picture: the code
+ * plus a shape carrying a call to action. Three styles:
+ *
+ *   banner — a thick border with a caption strip underneath
+ *   badge  — a thin rounded outline with the caption in a pill below
+ *   bubble — a speech bubble above the code, pointing down at it
+ *
+ * All sizes are relative to the code, so a frame looks the same at any
+ * print size. The frame never touches the quiet zone, so it doesn't affect
+ * scanning.
+ *
+ * composeScene() lays everything out in module units — frame shapes, the
+ * code's layers, the caption — and every renderer draws that scene.
+ */
+
+import { styledLayers, roundedRectangle } from './shapes';
+import { textWidth, CAP_HEIGHT } from './fonts';
+
+export const FRAME_STYLES = ['banner', 'badge', 'bubble'];
+export const FRAME_FONTS = ['sans', 'serif', 'mono'];
+export const DEFAULT_FRAME_TEXT = 'SCAN ME';
+export const MAX_FRAME_TEXT = 30;
+
+// Caption size as a share of the box height, before shrinking to fit
+const CAPTION_SCALE = 0.55;
+
+/**
+ * Frame shapes and the caption box for a code `total` modules wide.
+ * Returns { width, height, offset: [x, y] of the code, shapes: [path], box: { x, y, width, height } }.
+ */
+function frameGeometry(style, total) {
+    if (style === 'banner') {
+        const border = total * 0.04;
+        const strip = total * 0.2;
+        const width = total + border * 2;
+        const height = total + border + strip;
+        const path = [];
+        roundedRectangle(path, 0, 0, width, height, new Array(4).fill(total * 0.06));
+        roundedRectangle(path, border, border, total, total, [0, 0, 0, 0], true);
+        return { width, height, offset: [border, border], shapes: [path], box: { x: border, y: border + total, width: total, height: strip - border / 2 } };
+    }
+
+    if (style === 'badge') {
+        const line = total * 0.025;
+        const radius = total * 0.06;
+        const gap = total * 0.04;
+        const pill = total * 0.16;
+        const width = total + line * 2;
+        const height = width + gap + pill;
+        const outline = [];
+        roundedRectangle(outline, 0, 0, width, width, new Array(4).fill(radius));
+        roundedRectangle(outline, line, line, total, total, new Array(4).fill(radius - line), true);
+        const badge = [];
+        const box = { x: width * 0.15, y: width + gap, width: width * 0.7, height: pill };
+        roundedRectangle(badge, box.x, box.y, box.width, box.height, new Array(4).fill(pill / 2));
+        return { width, height, offset: [line, line], shapes: [outline, badge], box: { ...box, x: box.x + pill / 2, width: box.width - pill } };
+    }
+
+    // bubble
+    const bubble = total * 0.2;
+    const tail = total * 0.06;
+    const path = [];
+    roundedRectangle(path, 0, 0, total, bubble, new Array(4).fill(bubble * 0.3));
+    path.push(['M', total / 2 - tail, bubble], ['L', total / 2 + tail, bubble], ['L', total / 2, bubble + tail], ['Z']);
+    return { width: total, height: bubble + tail + total, offset: [0, bubble + tail], shapes: [path], box: { x: total * 0.05, y: 0, width: total * 0.9, height: bubble } };
+}
+
+/**
+ * Everything a renderer draws, in module units with y down:
+ *
+ *   { width, height,                 — the whole image
+ *     offset: [x, y],                — where the code (quiet zone included) starts
+ *     total,                         — the code's width
+ *     frame: [{ path, fill }],       — drawn over the background, under the code
+ *     layers: [{ path, fill }],      — the code itself (see styledLayers), relative to offset
+ *     caption: { text, x, y, size, maxWidth, font, fill } | null }  — x is the center, y the baseline
+ *
+ * options: the design style (see designStyle() in lib/qr/design.js).
+ */
+export function composeScene(qr, options) {
+    const { fg, margin, gradient, frame } = options;
+    const total = qr.size + margin * 2;
+
+    if (!frame) {
+        return { width: total, height: total, offset: [0, 0], total, frame: [], layers: styledLayers(qr, options), caption: null };
+    }
+
+    const { width, height, offset, shapes, box } = frameGeometry(frame.style, total);
+    const color = frame.color || (gradient ? gradient.from : fg);
+    const text = frame.text || '';
+    const font = frame.font || 'sans';
+    const widthEm = textWidth(text, font);
+    const size = Math.min(box.height * CAPTION_SCALE, widthEm > 0 ? box.width / widthEm : Infinity);
+
+    return {
+        width,
+        height,
+        offset,
+        total,
+        frame: shapes.map(path => ({ path, fill: color })),
+        layers: styledLayers(qr, options),
+        caption: text ? {
+            text,
+            x: box.x + box.width / 2,
+            y: box.y + box.height / 2 + size * CAP_HEIGHT / 2,
+            size,
+            maxWidth: box.width,
+            font,
+            fill: frame.textColor || options.bg
+        } : null
+    };
+}
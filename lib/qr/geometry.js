@@ -0,0 +1,49 @@
+/**
+ * lib/qr/geometry.js — Shared helpers for the vector renderers
+ *
+ * Paths come from lib/qr/shapes.js as format-neutral commands; these helpers
+ * write them out in each format's own syntax:
+ *
+ *   command   SVG        PDF and EPS
+ *   move      M x y      x y m
+ *   line      L x y      x y l
+ *   curve     C …        x1 y1 x2 y2 x y c
+ *   close     Z          h
+ */
+
+/**
+ * '#ff8000' → '1 0.502 0' — the color operands PDF (rg) and PostScript (setrgbcolor) expect.
+ */
+export function unitRgb(hex) {
+    return [1, 3, 5].map(i => formatNumber(parseInt(hex.slice(i, i + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Short decimal without exponent notation, which PDF and PostScript don't accept.
+ */
+export function formatNumber(n) {
+    return String(Math.round(n * 10000) / 10000);
+}
+
+/**
+ * Splits long data (hex image bytes) into lines — both formats recommend
+ * keeping lines under 255 characters.
+ */
+export function wrapLines(text, width = 78) {
+    const lines = [];
+    for (let i = 0; i < text.length; i += width) lines.push(text.slice(i, i + width));
+    return lines.join('\n');
+}
+
+export function svgPath(path) {
+    return path.map(([op, ...coords]) => op + coords.map(formatNumber).join(' ')).join('');
+}
+
+// PDF's operator names; the EPS prolog defines the same names for PostScript,
+// so one serializer serves both formats
+const POSTFIX_OPERATORS = { M: 'm', L: 'l', C: 'c', Z: 'h' };
+export const PS_PROLOG = '/m { moveto } bind def /l { lineto } bind def /c { curveto } bind def /h { closepath } bind def';
+
+export function postfixPath(path) {
+    return path.map(([op, ...coords]) => [...coords.map(formatNumber), POSTFIX_OPERATORS[op]].join(' ')).join('\n');
+}
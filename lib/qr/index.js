@@ -0,0 +1,88 @@
+/**
+ * lib/qr — QR code encoding and rendering
+ *
+ * One implementation for the browser generator and the server routes:
+ *
+ *   import { encodeText, renderSvg } from '@/lib/qr';
+ *   const qr = encodeText('https://linktoqr.app/r/abc', 'M');
+ *   qr.modules[y][x]  // true = dark module
+ *
+ * SVG, PDF and EPS renderers return strings and work anywhere; drawCanvas()
+ * is browser-only. Server-side PNG output lives in lib/qr/png.js and is
+ * imported directly, because it needs Node's zlib and must stay out of
+ * client bundles.
+ */
+
+export {
+    encodeText,
+    encodeSegments,
+    makeSegments,
+    makeNumeric,
+    makeAlphanumeric,
+    makeBytes,
+    makeKanji,
+    isKanji,
+    dataCapacityBits,
+    DataTooLongError,
+    EC_LEVELS,
+    MODES,
+    MIN_VERSION,
+    MAX_VERSION
+} from './encoder';
+export { renderSvg } from './svg';
+export { renderPdf } from './pdf';
+export { renderLabelSheet, resolveSheet, LABEL_TEMPLATES, PAPER_SIZES, MAX_GRID } from './sheet';
+export { renderEps } from './eps';
+export { drawCanvas, loadImage, rasterizeLogo } from './canvas';
+export {
+    validateDesign,
+    encodeDesign,
+    designStyle,
+    DEFAULT_DESIGN,
+    LOGO_TYPES,
+    MAX_LOGO_LENGTH,
+    MIN_LOGO_SCALE,
+    MAX_LOGO_SCALE,
+    DEFAULT_LOGO_SCALE
+} from './design';
+export {
+    styledLayers,
+    MODULE_STYLES,
+    EYE_FRAME_STYLES,
+    EYE_BALL_STYLES,
+    GRADIENT_TYPES,
+    DEFAULT_EYES
+} from './shapes';
+export {
+    composeScene,
+    FRAME_STYLES,
+    FRAME_FONTS,
+    DEFAULT_FRAME_TEXT,
+    MAX_FRAME_TEXT
+} from './frames';
+export { FONTS } from './fonts';
+export {
+    lintDesign,
+    contrastRatio,
+    relativeLuminance,
+    minPrintSize,
+    MIN_CONTRAST,
+    RECOMMENDED_CONTRAST,
+    DEFAULT_SCAN_DISTANCE,
+    MIN_SCAN_DISTANCE,
+    MAX_SCAN_DISTANCE
+} from './lint';
+export { logoArea, logoCoverage, requiredEcLevel, excavate, EC_ORDER, EC_RECOVERY } from './logo';
+export {
+    parseImageOptions,
+    normalizeColor,
+    pixelSize,
+    pointSize,
+    DEFAULT_IMAGE_OPTIONS,
+    IMAGE_FORMATS,
+    VECTOR_FORMATS,
+    UNITS,
+    MIN_DPI,
+    MAX_DPI,
+    MAX_RASTER_PIXELS
+} from './options';
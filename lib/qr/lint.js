@@ -0,0 +1,166 @@
+/**
+ * lib/qr/lint.js — Will this design scan? Checks before anyone prints it
+ *
+ * LEARNING:
+ * ─────────
+ * Scanners binarize the image: every pixel becomes "dark" or "light" by
+ * comparing it to its surroundings. That needs three things from a design:
+ *
+ *   contrast     — the modules must be clearly darker than the background.
+ *                  We use the WCAG contrast ratio (1:1 … 21:1) as the measure.
+ *   polarity     — dark modules on a light background. Light-on-dark
+ *                  ("inverted") codes are valid, but many phone scanners and
+ *                  most older readers never try the inverted reading.
+ *   module size  — each module has to cover enough camera pixels. The usual
+ *                  rule is ~10:1 scan distance to code width; we scale it per
+ *                  module, so codes with more data need to be printed bigger.
+ *
+ * A logo also eats into the error-correction budget (see lib/qr/logo.js).
+ *
+ * lintDesign() returns issues as { level: 'error' | 'warning' | 'info', code, message }.
+ */
+
+import { encodeDesign, designStyle } from './design';
+import { composeScene } from './frames';
+import { logoCoverage, EC_RECOVERY, LOGO_BUDGET } from './logo';
+import { UNITS } from './options';
+
+export const MIN_CONTRAST = 3;            // Below this, many scanners fail
+export const RECOMMENDED_CONTRAST = 4.5;
+export const RECOMMENDED_MARGIN = 4;      // Quiet zone the spec asks for, in modules
+
+// Scan distance per module width: at 30 cm a module should be ≥ ~0.85 mm
+export const DISTANCE_PER_MODULE = 350;
+export const DEFAULT_SCAN_DISTANCE = 30;  // cm — a phone held at arm's length
+export const MIN_SCAN_DISTANCE = 5;
+export const MAX_SCAN_DISTANCE = 2000;
+
+// ── Colors ───────────────────────────────────────
+
+function channel(value) {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * WCAG relative luminance of a '#rrggbb' color: 0 (black) … 1 (white).
+ */
+export function relativeLuminance(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return 0.2126 * channel(n >> 16) + 0.7152 * channel((n >> 8) & 0xff) + 0.0722 * channel(n & 0xff);
+}
+
+/**
+ * WCAG contrast ratio between two colors, 1 … 21 — order doesn't matter.
+ */
+export function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Every color a dark module can be drawn in, with a name for messages
+function darkColors(design) {
+    const colors = design.gradient
+        ? [{ name: 'gradient start', hex: design.gradient.from }, { name: 'gradient end', hex: design.gradient.to }]
+        : [{ name: 'QR color', hex: design.fg }];
+    if (design.eyes?.frameColor) colors.push({ name: 'eye frame color', hex: design.eyes.frameColor });
+    if (design.eyes?.ballColor) colors.push({ name: 'eye center color', hex: design.eyes.ballColor });
+    return colors;
+}
+
+// ── Size ─────────────────────────────────────────
+
+/**
+ * Smallest printed width in mm (quiet zone included) that scans from
+ * `distance` cm, for a symbol of `modules` modules across.
+ */
+export function minPrintSize(modules, distance = DEFAULT_SCAN_DISTANCE) {
+    return modules * distance * 10 / DISTANCE_PER_MODULE;
+}
+
+function toMillimetres(size, unit) {
+    return size / UNITS[unit].perInch * UNITS.mm.perInch;
+}
+
+function formatLength(mm, unit) {
+    return unit === 'in' ? `${(mm / UNITS.mm.perInch).toFixed(2)} in` : `${Math.ceil(mm)} mm`;
+}
+
+// ── Lint ─────────────────────────────────────────
+
+/**
+ * Checks a design for `text` (as it will be encoded).
+ *   print: { size, unit, distance? } — optional; size checks only apply to mm/in
+ *
+ * Returns { ok, issues, metrics } — ok is false when any issue is an error.
+ * Throws DataTooLongError if the text doesn't fit in a QR code at all.
+ */
+export function lintDesign(text, design, print = {}) {
+    const { qr, ecLevel, forcedEc, logoArea } = encodeDesign(text, design);
+    const issues = [];
+    const add = (level, code, message) => issues.push({ level, code, message });
+
+    // Contrast and polarity, against every color modules are drawn in
+    const bgLuminance = relativeLuminance(design.bg);
+    const colors = darkColors(design).map(color => ({ ...color, contrast: contrastRatio(color.hex, design.bg) }));
+    const worst = colors.reduce((a, b) => (b.contrast < a.contrast ? b : a));
+    const inverted = colors.filter(color => relativeLuminance(color.hex) > bgLuminance);
+
+    if (inverted.length > 0) {
+        add('error', 'inverted-colors',
+            `The ${inverted[0].name} is lighter than the background. Many scanners only read dark codes on a light background — swap the colors.`);
+    }
+    if (worst.contrast < MIN_CONTRAST) {
+        add('error', 'low-contrast',
+            `Contrast between the ${worst.name} and the background is ${worst.contrast.toFixed(1)}:1 — scanners need at least ${MIN_CONTRAST}:1.`);
+    } else if (worst.contrast < RECOMMENDED_CONTRAST) {
+        add('warning', 'low-contrast',
+            `Contrast between the ${worst.name} and the background is ${worst.contrast.toFixed(1)}:1 — ${RECOMMENDED_CONTRAST}:1 or more scans reliably in poor light.`);
+    }
+
+    if (design.margin < RECOMMENDED_MARGIN) {
+        add('warning', 'quiet-zone',
+            `The quiet zone is ${design.margin} module${design.margin === 1 ? '' : 's'} wide — keep ${RECOMMENDED_MARGIN}, or leave that much empty space around the printed code.`);
+    }
+
+    // Logo: share of the symbol hidden, against what the EC level can rebuild
+    const coverage = logoArea ? logoCoverage(qr.size, logoArea) : 0;
+    const budget = EC_RECOVERY[ecLevel] * LOGO_BUDGET;
+    if (logoArea && coverage > budget) {
+        add('error', 'logo-too-large',
+            `The logo covers ${Math.round(coverage * 100)}% of the code — more than error correction can rebuild (${Math.round(budget * 100)}%). Pick a smaller logo size.`);
+    } else if (forcedEc) {
+        add('info', 'logo-ec-raised',
+            `Error correction was raised to level ${ecLevel} so the code still scans with the logo covering part of it.`);
+    }
+
+    // Printed size, for physical units only — screens and pixel exports are scaled by the viewer.
+    // The print size covers the frame too; only the code's share of it counts.
+    const modules = qr.size + design.margin * 2;
+    const distance = print.distance || DEFAULT_SCAN_DISTANCE;
+    const framed = design.frame ? composeScene(qr, designStyle(design)).width / modules : 1;
+    const minimum = minPrintSize(modules, distance) * framed;
+    const printed = print.size && print.unit && print.unit !== 'px' ? toMillimetres(print.size, print.unit) : null;
+    if (printed !== null && printed < minimum) {
+        const reach = Math.floor(printed / minimum * distance);
+        add('warning', 'too-small',
+            `At ${formatLength(printed, print.unit)} this code scans from about ${reach} cm. To scan from ${distance} cm, print it at least ${formatLength(minimum, print.unit)} wide.`);
+    }
+
+    return {
+        ok: !issues.some(issue => issue.level === 'error'),
+        issues,
+        metrics: {
+            contrast: Math.round(worst.contrast * 100) / 100,
+            inverted: inverted.length > 0,
+            version: qr.version,
+            ecLevel,
+            modules,
+            logoCoverage: Math.round(coverage * 1000) / 1000,
+            logoBudget: logoArea ? budget : null,
+            distance,
+            minSize: { mm: Math.round(minimum * 10) / 10, in: Math.round(minimum / UNITS.mm.perInch * 100) / 100 },
+            printSize: printed === null ? null : Math.round(printed * 10) / 10
+        }
+    };
+}
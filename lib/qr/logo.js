@@ -0,0 +1,70 @@
+/**
+ * lib/qr/logo.js — Room for a logo in the middle of a QR code
+ *
+ * LEARNING:
+ * ─────────
+ * A logo works by *damaging* the code on purpose: the modules underneath
+ * are cleared ("excavated") and the scanner rebuilds the missing data from
+ * the Reed-Solomon error correction. So the logo has to fit inside the
+ * error budget of the EC level — and leave some budget over for real-world
+ * damage (glare, creases, dirt).
+ *
+ *   Level   recovers   logo may cover
+ *   Q       ~25%       up to 12.5% of the modules
+ *   H       ~30%       up to 15%
+ *
+ * Any logo needs at least Q; bigger ones need H.
+ */
+
+export const EC_ORDER = ['L', 'M', 'Q', 'H'];
+export const EC_RECOVERY = { L: 0.07, M: 0.15, Q: 0.25, H: 0.30 };
+
+// Share of the recovery capacity a logo may use up
+export const LOGO_BUDGET = 0.5;
+export const LOGO_EC_LEVELS = ['Q', 'H'];
+
+// Gap between the excavated area and the logo image, in modules
+export const LOGO_PADDING = 0.5;
+
+/**
+ * Square area for a logo `scale` × the symbol width, centered and snapped
+ * to whole modules: { x, y, size } in module coordinates (quiet zone excluded).
+ * Size has the same parity as the symbol, so the area is exactly centered.
+ */
+export function logoArea(symbolSize, scale) {
+    let size = Math.round(symbolSize * scale);
+    if ((symbolSize - size) % 2 !== 0) size++;
+    const offset = (symbolSize - size) / 2;
+    return { x: offset, y: offset, size };
+}
+
+/**
+ * Fraction of the symbol's modules hidden under the logo area.
+ */
+export function logoCoverage(symbolSize, area) {
+    return (area.size * area.size) / (symbolSize * symbolSize);
+}
+
+/**
+ * Lowest EC level whose budget fits the coverage, or null if even H can't.
+ */
+export function requiredEcLevel(coverage) {
+    return LOGO_EC_LEVELS.find(level => coverage <= EC_RECOVERY[level] * LOGO_BUDGET) || null;
+}
+
+/**
+ * Copy of the symbol with every module under the area set to light.
+ */
+export function excavate(qr, area) {
+    const modules = qr.modules.map((row, y) => row.map((dark, x) =>
+        dark && !(x >= area.x && x < area.x + area.size && y >= area.y && y < area.y + area.size)
+    ));
+    return { ...qr, modules };
+}
+
+/**
+ * Where the logo image itself goes, inside the area: { x, y, size } in modules.
+ */
+export function logoImageBox(area) {
+    return { x: area.x + LOGO_PADDING, y: area.y + LOGO_PADDING, size: area.size - LOGO_PADDING * 2 };
+}
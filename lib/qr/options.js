@@ -0,0 +1,130 @@
+/**
+ * lib/qr/options.js — Rendering options for exported QR images
+ *
+ * Parsed from query strings like ?format=svg&size=1024&fg=000000&bg=ffffff&ec=H&margin=2
+ * Colors are hex without the '#' so they survive a URL unescaped ('#' starts a fragment).
+ *
+ * Print sizes: ?format=pdf&size=50&unit=mm, or ?format=png&size=2&unit=in&dpi=600.
+ * Vector formats (SVG, PDF, EPS) get the physical size as their document size;
+ * PNG turns it into pixels at the given DPI.
+ */
+
+import { EC_LEVELS } from './encoder';
+
+export const IMAGE_FORMATS = ['png', 'svg', 'pdf', 'eps'];
+export const VECTOR_FORMATS = ['svg', 'pdf', 'eps'];
+export const MIN_SIZE = 64;
+export const MAX_SIZE = 2048;
+export const MAX_MARGIN = 16;
+export const MAX_RASTER_PIXELS = 4096;
+
+export const UNITS = {
+    px: { min: MIN_SIZE, max: MAX_SIZE },
+    mm: { min: 10, max: 2000, perInch: 25.4 },
+    in: { min: 0.4, max: 80, perInch: 1 },
+};
+export const MIN_DPI = 72;
+export const MAX_DPI = 1200;
+
+export const DEFAULT_IMAGE_OPTIONS = {
+    format: 'png',
+    size: 512,
+    unit: 'px',
+    dpi: 300,
+    fg: '#000000',
+    bg: '#ffffff',
+    ec: 'M',
+    margin: 4     // Quiet zone in modules; the spec asks for 4
+};
+
+const HEX_COLOR = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Normalizes '0af', '#00AAFF' … to '#00aaff', or returns null if it isn't a hex color.
+ */
+export function normalizeColor(value) {
+    const match = HEX_COLOR.exec(value);
+    if (!match) return null;
+    const hex = match[1].toLowerCase();
+    return '#' + (hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex);
+}
+
+function parseNumber(value, min, max, integer = true) {
+    if (!(integer ? /^\d+$/ : /^\d+(\.\d+)?$/).test(value)) return null;
+    const n = Number(value);
+    return n >= min && n <= max ? n : null;
+}
+
+/**
+ * Output size in pixels (for PNG) — physical sizes are converted at options.dpi.
+ */
+export function pixelSize({ size, unit, dpi }) {
+    return unit === 'px' ? size : Math.round(size / UNITS[unit].perInch * dpi);
+}
+
+/**
+ * Output size in PostScript points (1/72 in), the unit of PDF and EPS pages.
+ * Pixel sizes are treated as 72 DPI, so 512px becomes a 512pt page.
+ */
+export function pointSize({ size, unit }) {
+    return unit === 'px' ? size : size / UNITS[unit].perInch * 72;
+}
+
+/**
+ * Returns { options } with defaults filled in, or { error } for the first bad parameter.
+ * `defaults` lets a saved design stand in for the parameters that were left out.
+ */
+export function parseImageOptions(searchParams, defaults = DEFAULT_IMAGE_OPTIONS) {
+    const options = { ...DEFAULT_IMAGE_OPTIONS, ...defaults };
+
+    const format = searchParams.get('format');
+    if (format !== null) {
+        if (!IMAGE_FORMATS.includes(format.toLowerCase())) return { error: `format must be one of: ${IMAGE_FORMATS.join(', ')}` };
+        options.format = format.toLowerCase();
+    }
+
+    const unit = searchParams.get('unit');
+    if (unit !== null) {
+        if (!UNITS[unit]) return { error: `unit must be one of: ${Object.keys(UNITS).join(', ')}` };
+        options.unit = unit;
+    }
+
+    const size = searchParams.get('size');
+    if (size !== null) {
+        const { min, max } = UNITS[options.unit];
+        options.size = parseNumber(size, min, max, options.unit === 'px');
+        if (options.size === null) return { error: `size must be between ${min} and ${max} ${options.unit}` };
+    } else if (options.unit !== 'px') {
+        return { error: 'size is required when unit is mm or in' };
+    }
+
+    const dpi = searchParams.get('dpi');
+    if (dpi !== null) {
+        options.dpi = parseNumber(dpi, MIN_DPI, MAX_DPI);
+        if (options.dpi === null) return { error: `dpi must be an integer between ${MIN_DPI} and ${MAX_DPI}` };
+    }
+    if (options.format === 'png' && pixelSize(options) > MAX_RASTER_PIXELS) {
+        return { error: `PNG would be over ${MAX_RASTER_PIXELS}px — lower the dpi, or use svg, pdf or eps for large prints` };
+    }
+
+    for (const key of ['fg', 'bg']) {
+        const value = searchParams.get(key);
+        if (value === null) continue;
+        options[key] = normalizeColor(value);
+        if (!options[key]) return { error: `${key} must be a hex color like 000000` };
+    }
+
+    const ec = searchParams.get('ec');
+    if (ec !== null) {
+        if (!EC_LEVELS[ec.toUpperCase()]) return { error: 'ec must be one of: L, M, Q, H' };
+        options.ec = ec.toUpperCase();
+    }
+
+    const margin = searchParams.get('margin');
+    if (margin !== null) {
+        options.margin = parseNumber(margin, 0, MAX_MARGIN);
+        if (options.margin === null) return { error: `margin must be an integer between 0 and ${MAX_MARGIN}` };
+    }
+
+    return { options };
+}
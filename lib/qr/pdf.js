@@ -0,0 +1,130 @@
+/**
+ * lib/qr/pdf.js — Render an encoded QR symbol as a one-page vector PDF
+ *
+ * LEARNING:
+ * ─────────
+ * A minimal PDF is four objects — Catalog → Pages → Page → content stream —
+ * followed by an xref table listing each object's byte offset. The content
+ * stream is a tiny drawing program: "r g b rg" sets the fill color, path
+ * operators (m, l, c, h) trace the shapes and "f" fills them. The page is
+ * exactly the QR code (quiet zone and frame included) at the requested
+ * physical size.
+ *
+ * PDF's y axis points up; the "cm" matrix flips it and scales modules to
+ * points, so the paths from lib/qr/shapes.js are used unchanged.
+ *
+ * Gradients are shading objects: clip to the layer's path ("W n"), then
+ * paint the shading over it ("sh"). A logo is an image XObject painted with
+ * "Do". Its pixels are hex-encoded (ASCIIHexDecode) so the whole file stays
+ * ASCII: string length = byte length, which the xref offsets rely on.
+ *
+ * A frame caption uses one of the standard fonts every PDF reader has
+ * built in (lib/qr/fonts.js), so no font needs embedding.
+ */
+
+import { unitRgb, formatNumber, wrapLines, postfixPath } from './geometry';
+import { gradientGeometry } from './shapes';
+import { composeScene } from './frames';
+import { FONTS, textWidth, postscriptString } from './fonts';
+import { pointSize } from './options';
+import { logoImageBox } from './logo';
+
+// Gradient fill (see lib/qr/shapes.js) as a shading dictionary, in module units
+export function shading(gradient, total) {
+    const g = gradientGeometry(gradient, total);
+    const coords = gradient.type === 'radial'
+        ? [g.cx, g.cy, 0, g.cx, g.cy, g.r]
+        : [g.x1, g.y1, g.x2, g.y2];
+    return `<< /ShadingType ${gradient.type === 'radial' ? 3 : 2} /ColorSpace /DeviceRGB ` +
+        `/Coords [${coords.map(formatNumber).join(' ')}] /Extend [true true] ` +
+        `/Function << /FunctionType 2 /Domain [0 1] /C0 [${unitRgb(gradient.from)}] /C1 [${unitRgb(gradient.to)}] /N 1 >> >>`;
+}
+
+function fillPaths(layers) {
+    return layers.filter(({ path }) => path.length > 0).map(({ path, fill }) => typeof fill === 'string'
+        ? `${unitRgb(fill)} rg\n${postfixPath(path)}\nf`
+        : `q\n${postfixPath(path)}\nW n\n/Fill sh\nQ`);
+}
+
+/**
+ * qr: result of encodeText(); options: { size, unit, fg, bg, margin, logo?, moduleStyle?, eyes?, gradient?, frame? }
+ * logo: { area, raster } — raster from rasterizeLogo() in lib/qr/canvas.js
+ * `size` is the page width; a frame makes the page taller than it is wide.
+ */
+export function renderPdf(qr, options) {
+    const { bg, margin, logo, gradient } = options;
+    const scene = composeScene(qr, options);
+    const { total, offset: [ox, oy], caption } = scene;
+    const pageWidth = formatNumber(pointSize(options));
+    const pageHeight = formatNumber(pointSize(options) * scene.height / scene.width);
+    const scale = formatNumber(pointSize(options) / scene.width);
+
+    const content = [
+        `${unitRgb(bg)} rg`,
+        `0 0 ${pageWidth} ${pageHeight} re f`,
+        `${scale} 0 0 -${scale} 0 ${pageHeight} cm`,   // Module units, y down
+        ...fillPaths(scene.frame),
+        `q 1 0 0 1 ${formatNumber(ox)} ${formatNumber(oy)} cm`,
+        ...fillPaths(scene.layers)
+    ];
+
+    // Objects after the first four are numbered from 5 as they're added
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        null,   // Page, filled in below once we know its resources
+        null    // Content stream
+    ];
+    const resources = [];
+
+    if (gradient) {
+        objects.push(shading(gradient, total));
+        resources.push(`/Shading << /Fill ${objects.length} 0 R >>`);
+    }
+    if (logo) {
+        const box = logoImageBox(logo.area);
+        const { width, height, hex } = logo.raster;
+        const data = wrapLines(hex) + '>';
+        objects.push(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /ASCIIHexDecode /Length ${data.length} >>\nstream\n${data}\nendstream`);
+        resources.push(`/XObject << /Logo ${objects.length} 0 R >>`);
+        // Images fill the unit square with their first row at the top; in our
+        // y-down space that means flipping it back while scaling up to the box
+        content.push(`q ${box.size} 0 0 -${box.size} ${box.x + margin} ${box.y + margin + box.size} cm /Logo Do Q`);
+    }
+    content.push('Q');
+
+    if (caption) {
+        objects.push(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[caption.font].postscript} /Encoding /WinAnsiEncoding >>`);
+        resources.push(`/Font << /Caption ${objects.length} 0 R >>`);
+        // The text matrix flips y back, or the glyphs would come out upside down
+        const left = caption.x - textWidth(caption.text, caption.font) * caption.size / 2;
+        const size = formatNumber(caption.size);
+        content.push(`${unitRgb(caption.fill)} rg`,
+            `BT /Caption 1 Tf ${size} 0 0 -${size} ${formatNumber(left)} ${formatNumber(caption.y)} Tm ${postscriptString(caption.text)} Tj ET`);
+    }
+
+    const stream = content.join('\n');
+    objects[2] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents 4 0 R /Resources << ${resources.join(' ')} >> >>`;
+    objects[3] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    return writePdf(objects);
+}
+
+/**
+ * Numbers the object bodies from 1 (object 1 must be the catalog) and
+ * writes the file with its xref table. Bodies must be ASCII.
+ */
+export function writePdf(objects) {
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
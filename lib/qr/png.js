@@ -0,0 +1,233 @@
+/**
+ * lib/qr/png.js — Render an encoded QR symbol as a PNG (server only)
+ *
+ * LEARNING:
+ * ─────────
+ * A PNG is a signature followed by chunks: IHDR (dimensions, color type),
+ * IDAT (zlib-compressed scanlines) and IEND. We write 8-bit RGB, which
+ * needs nothing but Node's zlib.
+ *
+ * The pixels come from a small scanline rasterizer: for every pixel row it
+ * finds where each path's edges cross four sub-rows, fills between the
+ * crossings (nonzero rule, like the vector formats) and turns the covered
+ * fraction of each pixel into anti-aliasing. So the PNG draws the same scene
+ * as SVG and PDF — shapes, gradients, frames — with the caption in a pixel
+ * font (lib/qr/pixelfont.js), since the server has no real fonts.
+ */
+
+import zlib from 'zlib';
+import { pixelSize } from './options';
+import { composeScene } from './frames';
+import { gradientGeometry } from './shapes';
+import { pixelTextPath } from './pixelfont';
+import { CAP_HEIGHT } from './fonts';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+// Also used for ZIP entries (lib/zip.js) — same polynomial
+export function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function rgb(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// ── Rasterizer ───────────────────────────────────
+
+const SUBROWS = 4;
+const CURVE_STEPS = 12;
+
+// Straight edges [x0, y0, x1, y1, direction] in pixels, curves flattened; horizontal ones never cross a row
+function pathEdges(path, toPixel) {
+    const edges = [];
+    let start = null;
+    let current = null;
+    const line = (to) => {
+        if (current[1] !== to[1]) {
+            edges.push(current[1] < to[1] ? [...current, ...to, 1] : [...to, ...current, -1]);
+        }
+        current = to;
+    };
+
+    for (const [op, ...coords] of path) {
+        if (op === 'M') {
+            start = current = toPixel(coords[0], coords[1]);
+        } else if (op === 'L') {
+            line(toPixel(coords[0], coords[1]));
+        } else if (op === 'C') {
+            const [p0, p1, p2, p3] = [current, toPixel(coords[0], coords[1]), toPixel(coords[2], coords[3]), toPixel(coords[4], coords[5])];
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                const t = i / CURVE_STEPS;
+                const a = (1 - t) ** 3, b = 3 * (1 - t) ** 2 * t, c = 3 * (1 - t) * t * t, d = t ** 3;
+                line([a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0], a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]]);
+            }
+        } else if (op === 'Z') {
+            line(start);
+        }
+    }
+    return edges;
+}
+
+/**
+ * Calls paint(row, coverage) for every pixel row the path touches, with
+ * coverage[x] the share (0…1) of pixel x inside the path.
+ */
+function rasterize(path, toPixel, width, height, paint) {
+    const edges = pathEdges(path, toPixel).sort((a, b) => a[1] - b[1]);
+    if (edges.length === 0) return;
+    const coverage = new Float32Array(width);
+    let active = [];
+    let next = 0;
+
+    const firstRow = Math.max(0, Math.floor(edges[0][1]));
+    for (let row = firstRow; row < height; row++) {
+        while (next < edges.length && edges[next][1] < row + 1) active.push(edges[next++]);
+        active = active.filter(edge => edge[3] > row);
+        if (active.length === 0) {
+            if (next === edges.length) break;
+            continue;
+        }
+
+        coverage.fill(0);
+        for (let sub = 0; sub < SUBROWS; sub++) {
+            const y = row + (sub + 0.5) / SUBROWS;
+            const crossings = [];
+            for (const [x0, y0, x1, y1, direction] of active) {
+                if (y >= y0 && y < y1) crossings.push([x0 + (y - y0) / (y1 - y0) * (x1 - x0), direction]);
+            }
+            crossings.sort((a, b) => a[0] - b[0]);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i][1];
+                if (winding !== 0) addSpan(coverage, crossings[i][0], crossings[i + 1][0], 1 / SUBROWS);
+            }
+        }
+        paint(row, coverage);
+    }
+}
+
+function addSpan(coverage, from, to, weight) {
+    const start = Math.max(0, from);
+    const end = Math.min(coverage.length, to);
+    if (end <= start) return;
+    const first = Math.floor(start);
+    const last = Math.floor(end);
+    if (first === last) {
+        coverage[first] += (end - start) * weight;
+        return;
+    }
+    coverage[first] += (first + 1 - start) * weight;
+    for (let x = first + 1; x < last; x++) coverage[x] += weight;
+    if (last < coverage.length) coverage[last] += (end - last) * weight;
+}
+
+// Color of a gradient at a point (in the gradient's coordinates), as [r, g, b]
+function gradientColor(gradient, geometry, x, y) {
+    let t;
+    if (gradient.type === 'radial') {
+        t = Math.hypot(x - geometry.cx, y - geometry.cy) / geometry.r;
+    } else {
+        const dx = geometry.x2 - geometry.x1;
+        const dy = geometry.y2 - geometry.y1;
+        t = ((x - geometry.x1) * dx + (y - geometry.y1) * dy) / (dx * dx + dy * dy);
+    }
+    t = Math.min(1, Math.max(0, t));
+    const from = rgb(gradient.from);
+    const to = rgb(gradient.to);
+    return from.map((c, i) => c + (to[i] - c) * t);
+}
+
+// ── PNG ──────────────────────────────────────────
+
+/**
+ * qr: result of encodeText(); options: { size, unit, dpi, fg, bg, margin, moduleStyle?, eyes?, gradient?, frame? }
+ *
+ * Modules are scaled by a whole number of pixels and start on a whole pixel,
+ * so square edges stay sharp; any leftover pixels are split evenly around
+ * the image as extra background. If the code has more modules than `size`
+ * pixels, the image grows to fit. A frame makes the image taller than wide.
+ * Physical sizes also record the DPI (pHYs chunk) so layout programs place
+ * the image at the intended print size.
+ */
+export function renderPng(qr, options) {
+    const { bg, gradient } = options;
+    const scene = composeScene(qr, options);
+    const size = pixelSize(options);
+    const scale = Math.max(1, Math.floor(size / scene.width));
+    const width = Math.max(size, Math.ceil(scene.width * scale));
+    const extra = width - Math.round(scene.width * scale);
+    const height = Math.round(scene.height * scale) + extra;
+    const pad = Math.floor(extra / 2);
+    const codeX = pad + Math.round(scene.offset[0] * scale);
+    const codeY = pad + Math.round(scene.offset[1] * scale);
+
+    const stride = width * 3 + 1;   // Filter byte 0 (None) + RGB pixels per row
+    const raw = Buffer.alloc(stride * height);
+    const background = rgb(bg);
+    for (let x = 0; x < width; x++) raw.set(background, 1 + x * 3);
+    for (let row = 1; row < height; row++) raw.copy(raw, row * stride, 0, stride);
+
+    const geometry = gradient && gradientGeometry(gradient, scene.total);
+    function fill(path, color, toPixel, fromPixel) {
+        const solid = typeof color === 'string' && rgb(color);
+        rasterize(path, toPixel, width, height, (row, coverage) => {
+            for (let x = 0; x < width; x++) {
+                const alpha = Math.min(1, coverage[x]);
+                if (alpha === 0) continue;
+                const paint = solid || gradientColor(color, geometry, ...fromPixel(x + 0.5, row + 0.5));
+                const i = row * stride + 1 + x * 3;
+                for (let c = 0; c < 3; c++) raw[i + c] = Math.round(raw[i + c] * (1 - alpha) + paint[c] * alpha);
+            }
+        });
+    }
+
+    const framePixel = (x, y) => [pad + x * scale, pad + y * scale];
+    for (const { path, fill: color } of scene.frame) fill(path, color, framePixel);
+    if (scene.caption) {
+        const { text, x, y, size: fontSize, maxWidth, fill: color } = scene.caption;
+        fill(pixelTextPath(text, x, y, fontSize * CAP_HEIGHT, maxWidth), color, framePixel);
+    }
+
+    const codePixel = (x, y) => [codeX + x * scale, codeY + y * scale];
+    const pixelCode = (x, y) => [(x - codeX) / scale, (y - codeY) / scale];
+    for (const { path, fill: color } of scene.layers) fill(path, color, codePixel, pixelCode);
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;    // Bit depth
+    header[9] = 2;    // Color type: RGB
+    // Compression, filter and interlace methods stay 0
+
+    const chunks = [chunk('IHDR', header)];
+    if (options.unit && options.unit !== 'px') {
+        const physical = Buffer.alloc(9);
+        const perMetre = Math.round(options.dpi / 0.0254);
+        physical.writeUInt32BE(perMetre, 0);
+        physical.writeUInt32BE(perMetre, 4);
+        physical[8] = 1;   // Unit: metre
+        chunks.push(chunk('pHYs', physical));
+    }
+    chunks.push(chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0)));
+
+    return Buffer.concat([SIGNATURE, ...chunks]);
+}
@@ -0,0 +1,38 @@
+/**
+ * lib/qr/render.js — A dynamic code's image file, as the API serves it (server only)
+ *
+ * Shared by GET /api/qr/[code]/image and the ZIP export, so a code looks
+ * the same however it's downloaded. Like png.js it needs Node, so it's
+ * imported directly rather than through lib/qr/index.js.
+ */
+
+import { encodeText } from './encoder';
+import { encodeDesign, designStyle } from './design';
+import { renderSvg } from './svg';
+import { renderPdf } from './pdf';
+import { renderEps } from './eps';
+import { renderPng } from './png';
+
+export const RENDERERS = {
+    png: { render: renderPng, contentType: 'image/png' },
+    svg: { render: renderSvg, contentType: 'image/svg+xml' },
+    pdf: { render: renderPdf, contentType: 'application/pdf' },
+    eps: { render: renderEps, contentType: 'application/postscript' }
+};
+
+/**
+ * payload: the text to encode (the short URL); design: the code's saved
+ * design; options: from parseImageOptions(). Returns the file body.
+ *
+ * Logos are embedded in SVG only — the server has no way to rasterize an
+ * uploaded SVG logo — so other formats come out without the logo.
+ */
+export function renderDesignImage(payload, design, options) {
+    const { render } = RENDERERS[options.format];
+    const styled = { ...designStyle(design), ...options };
+    if (design.logo && options.format === 'svg') {
+        const encoded = encodeDesign(payload, { ...design, ec: options.ec });
+        return render(encoded.qr, { ...styled, logo: { area: encoded.logoArea, src: design.logo.src } });
+    }
+    return render(encodeText(payload, options.ec), styled);
+}
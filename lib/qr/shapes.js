@@ -0,0 +1,186 @@
+/**
+ * lib/qr/shapes.js — Styled QR drawing: module shapes, finder eyes, fills
+ *
+ * LEARNING:
+ * ─────────
+ * A scanner only needs each module's *center* to read dark or light, and the
+ * three finder patterns ("eyes") to keep their 1:1:3:1:1 proportions. That
+ * leaves room for style: dots instead of squares, rounded eyes, gradients.
+ *
+ * Every renderer (SVG, PDF, EPS, canvas) draws the same three layers:
+ *
+ *   modules — the data modules, finder areas left out
+ *   frames  — the 7×7 outer ring of each eye
+ *   balls   — the 3×3 center of each eye
+ *
+ * Each layer is one path built from straight lines and cubic Béziers, which
+ * every output format supports natively. Holes (the inside of a frame) are
+ * drawn in the opposite direction, so the default nonzero fill rule cuts
+ * them out in all formats.
+ */
+
+export const MODULE_STYLES = ['square', 'rounded', 'dots', 'classy'];
+export const EYE_FRAME_STYLES = ['square', 'rounded', 'circle'];
+export const EYE_BALL_STYLES = ['square', 'rounded', 'circle'];
+export const GRADIENT_TYPES = ['linear', 'radial'];
+
+export const DEFAULT_EYES = { frame: 'square', ball: 'square', frameColor: null, ballColor: null };
+
+// Control point distance for approximating a quarter circle with a cubic Bézier
+const KAPPA = 0.5523;
+
+const DOT_RADIUS = 0.45;
+
+// ── Paths ────────────────────────────────────────
+// A path is a flat list of commands: ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y], ['Z']
+
+function rectangle(path, x, y, w, h, reverse = false) {
+    roundedRectangle(path, x, y, w, h, [0, 0, 0, 0], reverse);
+}
+
+/**
+ * Rectangle with per-corner radii [topLeft, topRight, bottomRight, bottomLeft],
+ * clockwise on screen, or counter-clockwise when `reverse` (for holes).
+ */
+export function roundedRectangle(path, x, y, w, h, [tl, tr, br, bl], reverse = false) {
+    // Corners clockwise from the top left: where the corner starts, its two control points, where it ends
+    const corners = [
+        { r: tl, from: [x, y + tl], c1: [x, y + tl - tl * KAPPA], c2: [x + tl - tl * KAPPA, y], to: [x + tl, y] },
+        { r: tr, from: [x + w - tr, y], c1: [x + w - tr + tr * KAPPA, y], c2: [x + w, y + tr - tr * KAPPA], to: [x + w, y + tr] },
+        { r: br, from: [x + w, y + h - br], c1: [x + w, y + h - br + br * KAPPA], c2: [x + w - br + br * KAPPA, y + h], to: [x + w - br, y + h] },
+        { r: bl, from: [x + bl, y + h], c1: [x + bl - bl * KAPPA, y + h], c2: [x, y + h - bl + bl * KAPPA], to: [x, y + h - bl] }
+    ];
+
+    if (reverse) {
+        corners.reverse();
+        for (const corner of corners) {
+            [corner.from, corner.to] = [corner.to, corner.from];
+            [corner.c1, corner.c2] = [corner.c2, corner.c1];
+        }
+    }
+
+    corners.forEach((corner, i) => {
+        path.push(i === 0 ? ['M', ...corner.from] : ['L', ...corner.from]);
+        if (corner.r > 0) path.push(['C', ...corner.c1, ...corner.c2, ...corner.to]);
+    });
+    path.push(['Z']);
+}
+
+function circle(path, cx, cy, r, reverse = false) {
+    roundedRectangle(path, cx - r, cy - r, r * 2, r * 2, [r, r, r, r], reverse);
+}
+
+// ── Layers ───────────────────────────────────────
+
+const FINDER_SIZE = 7;
+
+function finderOrigins(size) {
+    return [[0, 0], [size - FINDER_SIZE, 0], [0, size - FINDER_SIZE]];
+}
+
+function inFinder(x, y, size) {
+    return finderOrigins(size).some(([fx, fy]) => x >= fx && x < fx + FINDER_SIZE && y >= fy && y < fy + FINDER_SIZE);
+}
+
+function moduleLayer(qr, style, margin) {
+    const path = [];
+    const dark = (x, y) => x >= 0 && y >= 0 && x < qr.size && y < qr.size && qr.modules[y][x] && !inFinder(x, y, qr.size);
+
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (!dark(x, y)) continue;
+            const px = x + margin;
+            const py = y + margin;
+
+            if (style === 'square') {
+                // Whole horizontal runs as one rectangle: far fewer shapes, no seams inside a row
+                const start = x;
+                while (dark(x + 1, y)) x++;
+                rectangle(path, start + margin, py, x - start + 1, 1);
+            } else if (style === 'dots') {
+                circle(path, px + 0.5, py + 0.5, DOT_RADIUS);
+            } else {
+                // Round a corner only where both neighbours touching it are light,
+                // so connected modules still merge into smooth blobs
+                const top = dark(x, y - 1), right = dark(x + 1, y), bottom = dark(x, y + 1), left = dark(x - 1, y);
+                const radii = style === 'rounded'
+                    ? [!top && !left, !top && !right, !bottom && !right, !bottom && !left]
+                    : [!top && !left, false, !bottom && !right, false];   // classy: leaf shapes
+                roundedRectangle(path, px, py, 1, 1, radii.map(round => round ? 0.5 : 0));
+            }
+        }
+    }
+    return path;
+}
+
+function frameLayer(qr, style, margin) {
+    const path = [];
+    for (const [fx, fy] of finderOrigins(qr.size)) {
+        const x = fx + margin;
+        const y = fy + margin;
+        if (style === 'circle') {
+            circle(path, x + 3.5, y + 3.5, 3.5);
+            circle(path, x + 3.5, y + 3.5, 2.5, true);
+        } else {
+            const [outer, inner] = style === 'rounded' ? [2, 1.2] : [0, 0];
+            roundedRectangle(path, x, y, 7, 7, [outer, outer, outer, outer]);
+            roundedRectangle(path, x + 1, y + 1, 5, 5, [inner, inner, inner, inner], true);
+        }
+    }
+    return path;
+}
+
+function ballLayer(qr, style, margin) {
+    const path = [];
+    for (const [fx, fy] of finderOrigins(qr.size)) {
+        const x = fx + margin + 2;
+        const y = fy + margin + 2;
+        if (style === 'circle') circle(path, x + 1.5, y + 1.5, 1.5);
+        else if (style === 'rounded') roundedRectangle(path, x, y, 3, 3, [0.8, 0.8, 0.8, 0.8]);
+        else rectangle(path, x, y, 3, 3);
+    }
+    return path;
+}
+
+/**
+ * The three layers for a symbol and a design, each { path, fill }.
+ * Paths are in module coordinates with the quiet zone included (y down).
+ * fill is a hex color or a gradient { type, from, to, angle } — see gradientGeometry().
+ */
+export function styledLayers(qr, { fg, margin, moduleStyle = 'square', eyes = DEFAULT_EYES, gradient = null }) {
+    const fill = gradient || fg;
+    return [
+        { path: moduleLayer(qr, moduleStyle, margin), fill },
+        { path: frameLayer(qr, eyes.frame || 'square', margin), fill: eyes.frameColor || fill },
+        { path: ballLayer(qr, eyes.ball || 'square', margin), fill: eyes.ballColor || fill }
+    ];
+}
+
+/**
+ * Where a gradient runs, in module coordinates over the whole image (`total` wide):
+ *   linear — { x1, y1, x2, y2 }: through the center at `angle` degrees
+ *            (0 = left → right, 90 = top → bottom), reaching the far corners
+ *   radial — { cx, cy, r }: from the center out to the corners
+ */
+export function gradientGeometry(gradient, total) {
+    const center = total / 2;
+    if (gradient.type === 'radial') {
+        return { cx: center, cy: center, r: center * Math.SQRT2 };
+    }
+    const radians = (gradient.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const reach = center * (Math.abs(cos) + Math.abs(sin));
+    return { x1: center - cos * reach, y1: center - sin * reach, x2: center + cos * reach, y2: center + sin * reach };
+}
+
+/**
+ * Applies fn to every point of a path — used to scale and pixel-snap for canvas.
+ */
+export function mapPath(path, fn) {
+    return path.map(([op, ...coords]) => {
+        const mapped = [op];
+        for (let i = 0; i < coords.length; i += 2) mapped.push(...fn(coords[i], coords[i + 1]));
+        return mapped;
+    });
+}
@@ -0,0 +1,223 @@
+/**
+ * lib/qr/sheet.js — Printable label sheets: many codes tiled onto PDF pages
+ *
+ * LEARNING:
+ * ─────────
+ * Sticker sheets come with the labels already die-cut, so the layout has to
+ * match the sheet to a fraction of a millimetre: page size, first label's
+ * offset from the top-left corner, label size and pitch (the distance from
+ * one label to the next, label plus gap). LABEL_TEMPLATES holds those
+ * numbers for common Avery sheets; 'grid' instead divides any page evenly
+ * into columns × rows, for table tents or plain paper cut by hand.
+ *
+ * Each label gets the code (its own colors and shapes, without the frame —
+ * the label is the frame) and an optional caption: beside the code on wide
+ * labels, below it on tall ones, shrunk to fit. Crop marks are short lines
+ * in the page margin lining up with every label edge, so a stack can be
+ * guillotined without marks landing on the labels themselves.
+ *
+ * The PDF is put together like lib/qr/pdf.js's, with one page object and
+ * content stream per sheet. Logos are left out, like server-side PNGs —
+ * there's no way to rasterize an uploaded SVG logo here.
+ */
+
+import { unitRgb, formatNumber, postfixPath } from './geometry';
+import { styledLayers } from './shapes';
+import { shading, writePdf } from './pdf';
+import { FONTS, textWidth, postscriptString, CAP_HEIGHT } from './fonts';
+
+const POINTS_PER_MM = 72 / 25.4;
+
+export const PAPER_SIZES = {
+    a4: { label: 'A4', width: 210, height: 297 },
+    letter: { label: 'US Letter', width: 215.9, height: 279.4 }
+};
+
+// All lengths in mm, from the manufacturer's template
+export const LABEL_TEMPLATES = {
+    'avery-l7159': { label: 'Avery L7159 — 3 × 8, A4', paper: 'a4', cols: 3, rows: 8, width: 63.5, height: 33.9, left: 7.25, top: 12.9, pitchX: 66, pitchY: 33.9 },
+    'avery-l7173': { label: 'Avery L7173 — 2 × 5, A4', paper: 'a4', cols: 2, rows: 5, width: 99.1, height: 57, left: 4.65, top: 6, pitchX: 101.6, pitchY: 57 },
+    'avery-5160': { label: 'Avery 5160 — 3 × 10, Letter', paper: 'letter', cols: 3, rows: 10, width: 66.675, height: 25.4, left: 4.76, top: 12.7, pitchX: 69.85, pitchY: 25.4 },
+    'avery-5163': { label: 'Avery 5163 — 2 × 5, Letter', paper: 'letter', cols: 2, rows: 5, width: 101.6, height: 50.8, left: 3.96, top: 12.7, pitchX: 106.38, pitchY: 50.8 }
+};
+
+export const MAX_GRID = 10;            // Columns or rows in a 'grid' layout
+const GRID_MARGIN = 10;                // mm around a grid, where crop marks go
+const GRID_GAP = 4;                    // mm between grid cells
+const PADDING = 0.08;                  // Label padding, as a share of its shorter side
+const CAPTION_SIZE = 10;               // pt, shrunk down to MIN_CAPTION_SIZE to fit
+const MIN_CAPTION_SIZE = 5;
+const CROP_MARK = { length: 5, offset: 1.5, width: 0.25 };   // mm, mm, pt
+const CAPTION_FONT = 'sans';
+
+/**
+ * layout: { template } with a LABEL_TEMPLATES id, or
+ *         { template: 'grid', paper: 'a4' | 'letter', cols, rows }.
+ * Returns { sheet } (the template with every measurement filled in) or { error }.
+ */
+export function resolveSheet(layout = {}) {
+    if (LABEL_TEMPLATES[layout.template]) return { sheet: LABEL_TEMPLATES[layout.template] };
+    if (layout.template !== 'grid') {
+        return { error: `template must be one of: ${[...Object.keys(LABEL_TEMPLATES), 'grid'].join(', ')}` };
+    }
+
+    const paper = PAPER_SIZES[layout.paper];
+    if (!paper) return { error: `paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}` };
+    const cols = Number(layout.cols);
+    const rows = Number(layout.rows);
+    if (![cols, rows].every(n => Number.isInteger(n) && n >= 1 && n <= MAX_GRID)) {
+        return { error: `cols and rows must be whole numbers from 1 to ${MAX_GRID}` };
+    }
+
+    const width = (paper.width - GRID_MARGIN * 2 - GRID_GAP * (cols - 1)) / cols;
+    const height = (paper.height - GRID_MARGIN * 2 - GRID_GAP * (rows - 1)) / rows;
+    return {
+        sheet: {
+            label: `${cols} × ${rows}, ${paper.label}`,
+            paper: layout.paper, cols, rows, width, height,
+            left: GRID_MARGIN, top: GRID_MARGIN, pitchX: width + GRID_GAP, pitchY: height + GRID_GAP
+        }
+    };
+}
+
+// Largest font size (pt) at which the caption fits `width` pt, or null if even the smallest doesn't
+function fitCaption(text, width, maxSize) {
+    const em = textWidth(text, CAPTION_FONT);
+    const size = Math.min(maxSize, CAPTION_SIZE, width / em);
+    return size >= MIN_CAPTION_SIZE ? size : null;
+}
+
+// Shortens text with '...' until it fits at MIN_CAPTION_SIZE
+function truncateCaption(text, width) {
+    let cut = text;
+    while (cut.length > 1 && textWidth(cut + '...', CAPTION_FONT) * MIN_CAPTION_SIZE > width) cut = cut.slice(0, -1);
+    return cut.trimEnd() + '...';
+}
+
+/**
+ * Drawing commands for one label, in points with y down, its top-left at (x, y).
+ * item: { qr, style, caption }; returns { content, shading? }.
+ */
+function drawLabel(item, x, y, w, h, shadingName) {
+    const { qr, style } = item;
+    const pad = Math.min(w, h) * PADDING;
+    const total = qr.size + style.margin * 2;
+    const wide = item.caption && w >= h * 1.6;
+    const captionSpace = item.caption && !wide ? Math.min(h * 0.2, CAPTION_SIZE * 1.6) : 0;
+    const side = Math.min(h - pad * 2 - captionSpace, w - pad * 2);
+    const codeX = wide ? x + pad : x + (w - side) / 2;
+    const codeY = wide ? y + (h - side) / 2 : y + pad;
+    const scale = side / total;
+
+    const content = [
+        'q',
+        `${unitRgb(style.bg)} rg`,
+        `${formatNumber(codeX)} ${formatNumber(codeY)} ${formatNumber(side)} ${formatNumber(side)} re f`,
+        `${formatNumber(scale)} 0 0 ${formatNumber(scale)} ${formatNumber(codeX)} ${formatNumber(codeY)} cm`
+    ];
+    for (const { path, fill } of styledLayers(qr, style)) {
+        if (path.length === 0) continue;
+        content.push(typeof fill === 'string'
+            ? `${unitRgb(fill)} rg\n${postfixPath(path)}\nf`
+            : `q\n${postfixPath(path)}\nW n\n/${shadingName} sh\nQ`);
+    }
+    content.push('Q');
+
+    if (item.caption) {
+        const area = wide
+            ? { x: codeX + side + pad, width: w - side - pad * 3, middle: y + h / 2 }
+            : { x: x + pad, width: w - pad * 2, middle: codeY + side + captionSpace / 2 };
+        const maxSize = wide ? h * 0.3 : captionSpace * 0.7;
+        let text = item.caption;
+        let size = fitCaption(text, area.width, maxSize);
+        if (!size) {
+            text = truncateCaption(text, area.width);
+            size = Math.min(MIN_CAPTION_SIZE, maxSize);
+        }
+        const textX = wide ? area.x : area.x + (area.width - textWidth(text, CAPTION_FONT) * size) / 2;
+        const baseline = area.middle + size * CAP_HEIGHT / 2;
+        const s = formatNumber(size);
+        content.push('0 0 0 rg',
+            `BT /Caption 1 Tf ${s} 0 0 -${s} ${formatNumber(textX)} ${formatNumber(baseline)} Tm ${postscriptString(text)} Tj ET`);
+    }
+
+    return {
+        content: content.join('\n'),
+        shading: style.gradient ? shading(style.gradient, total) : null
+    };
+}
+
+// Ticks in the page margin in line with every column and row edge
+function cropMarks(sheet, rowsUsed) {
+    const mm = n => formatNumber(n * POINTS_PER_MM);
+    const { length, offset } = CROP_MARK;
+    const lines = [];
+    const top = sheet.top;
+    const bottom = sheet.top + (rowsUsed - 1) * sheet.pitchY + sheet.height;
+    const left = sheet.left;
+    const right = sheet.left + (sheet.cols - 1) * sheet.pitchX + sheet.width;
+
+    const xs = new Set();
+    const ys = new Set();
+    for (let c = 0; c < sheet.cols; c++) xs.add(left + c * sheet.pitchX).add(left + c * sheet.pitchX + sheet.width);
+    for (let r = 0; r < rowsUsed; r++) ys.add(top + r * sheet.pitchY).add(top + r * sheet.pitchY + sheet.height);
+
+    for (const x of xs) {
+        lines.push(`${mm(x)} ${mm(Math.max(0, top - offset - length))} m ${mm(x)} ${mm(Math.max(0, top - offset))} l S`);
+        lines.push(`${mm(x)} ${mm(bottom + offset)} m ${mm(x)} ${mm(bottom + offset + length)} l S`);
+    }
+    for (const y of ys) {
+        lines.push(`${mm(Math.max(0, left - offset - length))} ${mm(y)} m ${mm(Math.max(0, left - offset))} ${mm(y)} l S`);
+        lines.push(`${mm(right + offset)} ${mm(y)} m ${mm(right + offset + length)} ${mm(y)} l S`);
+    }
+    return ['q', `${CROP_MARK.width} w 0 0 0 RG`, ...lines, 'Q'].join('\n');
+}
+
+/**
+ * items: [{ qr, style, caption? }] — qr from encodeText(), style from
+ * designStyle() (its frame is ignored). sheet: from resolveSheet().
+ * Returns the PDF as a string, one page per sheet-full of labels.
+ */
+export function renderLabelSheet(items, sheet, { cropMarks: withMarks = false } = {}) {
+    const paper = PAPER_SIZES[sheet.paper];
+    const pageWidth = formatNumber(paper.width * POINTS_PER_MM);
+    const pageHeight = formatNumber(paper.height * POINTS_PER_MM);
+    const perPage = sheet.cols * sheet.rows;
+
+    // Fixed objects: catalog, page tree, caption font; pages and the rest follow
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        null,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[CAPTION_FONT].postscript} /Encoding /WinAnsiEncoding >>`
+    ];
+    const pageRefs = [];
+
+    for (let start = 0; start < items.length; start += perPage) {
+        const pageItems = items.slice(start, start + perPage);
+        const shadings = [];
+        const content = [`1 0 0 -1 0 ${pageHeight} cm`];   // Points, y down
+
+        pageItems.forEach((item, i) => {
+            const col = i % sheet.cols;
+            const row = Math.floor(i / sheet.cols);
+            const name = `G${i}`;
+            const label = drawLabel(item, (sheet.left + col * sheet.pitchX) * POINTS_PER_MM, (sheet.top + row * sheet.pitchY) * POINTS_PER_MM,
+                sheet.width * POINTS_PER_MM, sheet.height * POINTS_PER_MM, name);
+            content.push(label.content);
+            if (label.shading) {
+                objects.push(label.shading);
+                shadings.push(`/${name} ${objects.length} 0 R`);
+            }
+        });
+        if (withMarks) content.push(cropMarks(sheet, Math.ceil(pageItems.length / sheet.cols)));
+
+        const stream = content.join('\n');
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        const contentRef = objects.length;
+        const resources = `/Font << /Caption 3 0 R >>${shadings.length ? ` /Shading << ${shadings.join(' ')} >>` : ''}`;
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Contents ${contentRef} 0 R /Resources << ${resources} >> >>`);
+        pageRefs.push(`${objects.length} 0 R`);
+    }
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+    return writePdf(objects);
+}
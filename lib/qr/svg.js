@@ -0,0 +1,67 @@
+/**
+ * lib/qr/svg.js — Render an encoded QR symbol as an SVG string
+ *
+ * The viewBox is measured in modules, so the drawing is resolution-independent;
+ * width/height only set the default display size — in px, or in mm/in for print
+ * (SVG accepts physical units directly).
+ */
+
+import { svgPath, formatNumber } from './geometry';
+import { gradientGeometry } from './shapes';
+import { composeScene } from './frames';
+import { FONTS } from './fonts';
+import { logoImageBox } from './logo';
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * qr: result of encodeText(); options: { size, unit, fg, bg, margin, logo?, moduleStyle?, eyes?, gradient?, frame? }
+ * logo: { area, src } — area from lib/qr/logo.js, src the image URL
+ * `size` is the image width; a frame makes the image taller than it is wide.
+ */
+export function renderSvg(qr, options) {
+    const { size, unit = 'px', bg, margin, logo, gradient } = options;
+    const scene = composeScene(qr, options);
+    const { width, height, total, offset: [ox, oy] } = scene;
+    const length = value => unit === 'px' ? formatNumber(value) : `${formatNumber(value)}${unit}`;
+
+    const code = (gradient ? `<defs>${gradientDef(gradient, total)}</defs>` : '') +
+        scene.layers.map(({ path, fill }) => {
+            // Straight-edged layers sit edge to edge; crispEdges stops anti-aliasing seams between
+            // them. Curved ones need the anti-aliasing to look smooth.
+            const rendering = path.some(([op]) => op === 'C') ? '' : ' shape-rendering="crispEdges"';
+            return `<path d="${svgPath(path)}" fill="${typeof fill === 'string' ? fill : 'url(#fill)'}"${rendering}/>`;
+        }).join('') +
+        (logo ? logoImage(logo, margin) : '');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${length(size)}" height="${length(size * height / width)}" ` +
+        `viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">` +
+        `<rect width="${formatNumber(width)}" height="${formatNumber(height)}" fill="${bg}"/>` +
+        scene.frame.map(({ path, fill }) => `<path d="${svgPath(path)}" fill="${fill}"/>`).join('') +
+        (ox || oy ? `<g transform="translate(${formatNumber(ox)} ${formatNumber(oy)})">${code}</g>` : code) +
+        (scene.caption ? captionText(scene.caption) : '') +
+        `</svg>\n`;
+}
+
+function captionText({ text, x, y, size, font, fill }) {
+    return `<text x="${formatNumber(x)}" y="${formatNumber(y)}" font-family="${escapeAttribute(FONTS[font].css)}" ` +
+        `font-size="${formatNumber(size)}" font-weight="bold" text-anchor="middle" fill="${fill}">${escapeAttribute(text)}</text>`;
+}
+
+function gradientDef(gradient, total) {
+    const geometry = gradientGeometry(gradient, total);
+    const attributes = Object.entries(geometry).map(([key, value]) => `${key}="${formatNumber(value)}"`).join(' ');
+    const stops = `<stop offset="0" stop-color="${gradient.from}"/><stop offset="1" stop-color="${gradient.to}"/>`;
+    const tag = gradient.type === 'radial' ? 'radialGradient' : 'linearGradient';
+    return `<${tag} id="fill" gradientUnits="userSpaceOnUse" ${attributes}>${stops}</${tag}>`;
+}
+
+function logoImage({ area, src }, margin) {
+    const box = logoImageBox(area);
+    // xlink:href rather than href: older print tools only understand the SVG 1.1 form
+    return `<image xlink:href="${escapeAttribute(src)}" x="${box.x + margin}" y="${box.y + margin}" ` +
+        `width="${box.size}" height="${box.size}" preserveAspectRatio="xMidYMid meet"/>`;
+}
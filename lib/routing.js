@@ -0,0 +1,232 @@
+/**
+ * lib/routing.js — Smart routing rules for dynamic QR codes
+ *
+ * LEARNING:
+ * ─────────
+ * One printed QR, different destinations depending on who scans and when.
+ * Rules are an ordered list — the FIRST rule that matches wins.
+ * If nothing matches, the code's normal destination_url is the fallback.
+ *
+ * Rule shapes:
+ *   { type: 'device',   os: ['ios'], url }                     → App Store for iPhones
+ *   { type: 'language', languages: ['fr', 'de-ch'], url }      → Accept-Language match
+ *   { type: 'time', days: [1,2,3,4,5], start: '11:00', end: '16:00',
+ *     timezone: 'Asia/Kolkata', url }                          → weekday lunch menu
+ *   { type: 'split', variants: [{ percent: 30, url }] }        → 30% of scans; the
+ *                                                                 other 70% fall through
+ */
+
+import { validateUrl } from '@/lib/validate';
+import { pickVariant } from '@/lib/abtest';
+
+export const RULE_TYPES = ['device', 'language', 'time', 'split'];
+export const OS_VALUES = ['ios', 'android', 'windows', 'macos', 'chromeos', 'linux', 'other'];
+export const MAX_RULES = 20;
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+export function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Returns an error message for one rule, or null
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !RULE_TYPES.includes(rule.type)) {
+        return `type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+
+    if (rule.type === 'split') {
+        if (!Array.isArray(rule.variants) || rule.variants.length === 0) {
+            return 'split rules need a non-empty variants array';
+        }
+        let total = 0;
+        for (const variant of rule.variants) {
+            const urlError = validateUrl(variant?.url);
+            if (urlError) return urlError;
+            if (!Number.isFinite(variant.percent) || variant.percent <= 0) {
+                return 'split percent must be a positive number';
+            }
+            total += variant.percent;
+        }
+        return total > 100 ? 'split percentages add up to more than 100' : null;
+    }
+
+    const urlError = validateUrl(rule.url);
+    if (urlError) return urlError;
+
+    if (rule.type === 'device') {
+        if (!Array.isArray(rule.os) || rule.os.length === 0 || !rule.os.every(os => OS_VALUES.includes(os))) {
+            return `device rules need os: [${OS_VALUES.join(', ')}]`;
+        }
+    }
+
+    if (rule.type === 'language') {
+        if (!Array.isArray(rule.languages) || rule.languages.length === 0 ||
+            !rule.languages.every(lang => typeof lang === 'string' && LANGUAGE_PATTERN.test(lang.toLowerCase()))) {
+            return 'language rules need languages like ["fr", "pt-br"]';
+        }
+    }
+
+    if (rule.type === 'time') {
+        if (!TIME_PATTERN.test(rule.start || '') || !TIME_PATTERN.test(rule.end || '')) {
+            return 'time rules need start and end as HH:MM';
+        }
+        if (rule.days !== undefined &&
+            (!Array.isArray(rule.days) || !rule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+            return 'days must be an array of 0 (Sunday) … 6 (Saturday)';
+        }
+        if (rule.timezone !== undefined && !isValidTimezone(rule.timezone)) {
+            return `Unknown timezone: ${rule.timezone}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validates a rules array from the API.
+ * Returns { rules } (normalized, unknown keys dropped) or { error }.
+ */
+export function validateRules(rules) {
+    if (!Array.isArray(rules)) return { error: 'rules must be an array' };
+    if (rules.length > MAX_RULES) return { error: `Too many rules (max ${MAX_RULES})` };
+
+    for (let i = 0; i < rules.length; i++) {
+        const error = validateRule(rules[i]);
+        if (error) return { error: `Rule ${i + 1}: ${error}` };
+    }
+
+    return {
+        rules: rules.map(rule => {
+            switch (rule.type) {
+                case 'device': return { type: 'device', os: rule.os, url: rule.url };
+                case 'language': return { type: 'language', languages: rule.languages.map(l => l.toLowerCase()), url: rule.url };
+                case 'time': return {
+                    type: 'time',
+                    days: rule.days ?? [0, 1, 2, 3, 4, 5, 6],
+                    start: rule.start,
+                    end: rule.end,
+                    timezone: rule.timezone || 'UTC',
+                    url: rule.url
+                };
+                case 'split': return { type: 'split', variants: rule.variants.map(v => ({ percent: v.percent, url: v.url })) };
+            }
+        })
+    };
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Day of week (0-6) and minutes since midnight for `now` in a timezone.
+ */
+export function localTime(now, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const get = type => parts.find(p => p.type === type).value;
+
+    return { day: WEEKDAYS[get('weekday')], minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Is `now` inside a days + start/end window? Windows may wrap midnight
+ * ("22:00"–"02:00"); the early-morning part then belongs to the previous day.
+ */
+export function inTimeWindow(window, now) {
+    const { day, minutes } = localTime(now, window.timezone || 'UTC');
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+
+    if (start <= end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+    if (minutes >= start) return days.includes(day);
+    return minutes < end && days.includes((day + 6) % 7);
+}
+
+function matchesLanguage(rule, languages) {
+    return languages.some(lang => rule.languages.some(wanted => lang === wanted || lang.startsWith(wanted + '-')));
+}
+
+/**
+ * All languages from an Accept-Language header, most preferred first.
+ */
+export function parseAcceptLanguages(header) {
+    if (!header) return [];
+    return header.split(',')
+        .map(part => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.find(p => p.trim().startsWith('q='));
+            return { tag: tag.trim().toLowerCase(), q: q ? parseFloat(q.split('=')[1]) : 1 };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Returns the URL of the first matching rule, or null.
+ *
+ * context: { os, languages, now, random }
+ *   random — a number in [0, 1), injectable so split rules are testable
+ */
+export function matchRule(rules, context) {
+    for (const rule of rules || []) {
+        if (rule.type === 'device' && rule.os.includes(context.os)) return rule.url;
+        if (rule.type === 'language' && matchesLanguage(rule, context.languages)) return rule.url;
+        if (rule.type === 'time' && inTimeWindow(rule, context.now)) return rule.url;
+
+        if (rule.type === 'split') {
+            const roll = context.random() * 100;
+            let cumulative = 0;
+            for (const variant of rule.variants) {
+                cumulative += variant.percent;
+                if (roll < cumulative) return variant.url;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Decides where a scan goes, in order:
+ * 1. first matching routing rule
+ * 2. the active schedule entry (context.scheduled, see lib/schedule.js)
+ * 3. the visitor's A/B variant (sticky via context.stickyVariant)
+ * 4. destination_url
+ *
+ * Returns { url, variant } — variant is set only when an A/B variant was used,
+ * with `isNew` when the sticky cookie still needs to be set.
+ */
+export function resolveDestination(qr, context) {
+    const rules = qr.routing_rules ? JSON.parse(qr.routing_rules) : [];
+    const ruleUrl = matchRule(rules, context);
+    if (ruleUrl) return { url: ruleUrl, variant: null };
+
+    if (context.scheduled) return { url: context.scheduled.destination_url, variant: null };
+
+    const variants = qr.ab_variants ? JSON.parse(qr.ab_variants) : [];
+    if (variants.length > 0) {
+        const { variant, isNew } = pickVariant(variants, context.stickyVariant, context.random);
+        return { url: variant.url, variant: { id: variant.id, isNew } };
+    }
+
+    return { url: qr.destination_url, variant: null };
+}
@@ -0,0 +1,119 @@
+/**
+ * lib/schedule.js — Scheduled destination changes (campaign calendar)
+ *
+ * LEARNING:
+ * ─────────
+ * A schedule entry says "between these dates and/or during these hours,
+ * send scans to this URL instead". Two typical shapes:
+ *
+ *   Switch on a date:   { url, startsAt: '2024-11-01T00:00:00+05:30' }
+ *   Daily window:       { url, startTime: '11:00', endTime: '16:00',
+ *                         days: [1,2,3,4,5], timezone: 'Asia/Kolkata' }
+ *
+ * Both can be combined ("lunch menu 11–16, but only during December").
+ * Nothing is moved around in the database when a date passes — the
+ * redirect simply asks "which entry is active right now?" on every scan.
+ */
+
+import { validateUrl } from '@/lib/validate';
+import { TIME_PATTERN, isValidTimezone, inTimeWindow } from '@/lib/routing';
+import { toSqlTimestamp } from '@/lib/analytics';
+
+export const MAX_SCHEDULE_ENTRIES = 50;
+
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Validates a schedule entry from the API.
+ * Returns { entry } ready for the database (dates as UTC SQL timestamps), or { error }.
+ */
+export function validateScheduleEntry(input) {
+    if (!input || typeof input !== 'object') return { error: 'Schedule entry is required' };
+
+    const urlError = validateUrl(input.url);
+    if (urlError) return { error: urlError };
+
+    const startsAt = parseDate(input.startsAt);
+    const endsAt = parseDate(input.endsAt);
+    if (startsAt === undefined || endsAt === undefined) {
+        return { error: 'startsAt and endsAt must be ISO dates' };
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        return { error: 'endsAt must be after startsAt' };
+    }
+
+    const hasWindow = input.startTime !== undefined || input.endTime !== undefined;
+    if (hasWindow && (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || ''))) {
+        return { error: 'startTime and endTime must both be HH:MM' };
+    }
+    if (!startsAt && !endsAt && !hasWindow) {
+        return { error: 'Give a start date, an end date or a daily time window' };
+    }
+    if (input.days !== undefined &&
+        (!Array.isArray(input.days) || input.days.length === 0 || !input.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        return { error: 'days must be an array of 0 (Sunday) … 6 (Saturday)' };
+    }
+    if (input.timezone !== undefined && !isValidTimezone(input.timezone)) {
+        return { error: `Unknown timezone: ${input.timezone}` };
+    }
+    if (input.label !== undefined && (typeof input.label !== 'string' || input.label.length > 80)) {
+        return { error: 'label must be a string (max 80 chars)' };
+    }
+
+    return {
+        entry: {
+            url: input.url,
+            label: input.label || null,
+            startsAt: startsAt && toSqlTimestamp(startsAt),
+            endsAt: endsAt && toSqlTimestamp(endsAt),
+            startTime: hasWindow ? input.startTime : null,
+            endTime: hasWindow ? input.endTime : null,
+            days: hasWindow && input.days ? input.days : null,
+            timezone: input.timezone || 'UTC'
+        }
+    };
+}
+
+/**
+ * Shapes a qr_schedules row for API responses.
+ */
+export function formatScheduleEntry(row) {
+    const toIso = value => value ? new Date(value.replace(' ', 'T') + 'Z').toISOString() : null;
+    return {
+        id: Number(row.id),
+        url: row.destination_url,
+        label: row.label,
+        startsAt: toIso(row.starts_at),
+        endsAt: toIso(row.ends_at),
+        startTime: row.start_time,
+        endTime: row.end_time,
+        days: row.days ? JSON.parse(row.days) : null,
+        timezone: row.timezone,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Picks the entry that applies at `now` from rows already filtered by date range.
+ * Entries with a daily window are more specific than plain date switches, so they win;
+ * otherwise the most recently started entry wins.
+ */
+export function activeScheduleEntry(rows, now) {
+    const active = rows.filter(row => !row.start_time || inTimeWindow({
+        start: row.start_time,
+        end: row.end_time,
+        days: row.days ? JSON.parse(row.days) : undefined,
+        timezone: row.timezone
+    }, now));
+
+    active.sort((a, b) =>
+        (b.start_time ? 1 : 0) - (a.start_time ? 1 : 0) ||
+        (b.starts_at || '').localeCompare(a.starts_at || '') ||
+        Number(b.id) - Number(a.id)
+    );
+    return active[0] || null;
+}
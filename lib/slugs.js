@@ -0,0 +1,74 @@
+/**
+ * lib/slugs.js — Custom short codes ("slugs")
+ *
+ * Random codes are 8 characters of base64url (randomShortCode in lib/urls.js).
+ * A custom slug replaces one, so it lives in the same namespace
+ * (qr_codes.short_code): unique on its domain across all accounts — the
+ * app's own, or one custom domain (lib/domains.js).
+ * Slugs are lowercase so they read the same when typed from print.
+ *
+ * Some words are reserved: the app's own paths (a code called "bulk"
+ * would shadow /api/qr/bulk in /api/qr/[code] routes), the SEO landing
+ * pages, and names that look official ("admin", "login") — nobody should
+ * be able to print linktoqr.com/r/login on a phishing flyer.
+ */
+
+import seoPages from '@/lib/seo-pages.json';
+import { findTakenCodes } from '@/lib/db';
+
+export const MIN_SLUG_LENGTH = 3;
+export const MAX_SLUG_LENGTH = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SUGGESTIONS = 3;
+
+const RESERVED_SLUGS = new Set([
+    // Top-level pages and /api/qr/* routes that sit beside /api/qr/[code]
+    'api', 'dashboard', 'password', 'r', 'sitemap', 'robots', 'favicon',
+    'bulk', 'export', 'lint', 'sheet', 'slugs',
+    // Looks like it belongs to the site
+    'admin', 'account', 'app', 'auth', 'billing', 'help', 'login', 'logout', 'pricing',
+    'register', 'settings', 'signin', 'signup', 'support', 'static', 'www', 'linktoqr',
+    ...seoPages.map(page => page.slug)
+]);
+
+/**
+ * Returns { slug } (trimmed, lowercased) or { error } — with reserved: true
+ * when the slug is well-formed but not available to anyone.
+ */
+export function validateSlug(input) {
+    if (typeof input !== 'string') return { error: 'Slug must be a string' };
+    const slug = input.trim().toLowerCase();
+    if (slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+        return { error: `Slug must be ${MIN_SLUG_LENGTH}–${MAX_SLUG_LENGTH} characters` };
+    }
+    if (!SLUG_PATTERN.test(slug)) {
+        return { error: 'Slug may only contain letters, digits and single hyphens between them' };
+    }
+    if (RESERVED_SLUGS.has(slug)) {
+        return { error: `"${slug}" is reserved — pick another slug`, reserved: true };
+    }
+    return { slug };
+}
+
+// Variations on a slug, most readable first, each within MAX_SLUG_LENGTH
+function slugCandidates(slug) {
+    const year = new Date().getFullYear();
+    const suffixes = ['qr', String(year), ...Array.from({ length: 8 }, (_, i) => String(i + 2))];
+    for (let i = 0; i < 3; i++) suffixes.push(Math.random().toString(36).slice(2, 6));
+
+    return suffixes.map(suffix => {
+        const base = slug.slice(0, MAX_SLUG_LENGTH - suffix.length - 1).replace(/-+$/, '');
+        return `${base}-${suffix}`;
+    });
+}
+
+/**
+ * Up to SUGGESTIONS free, unreserved alternatives to a slug that is
+ * already taken on a domain (a domains.id, or null for the app's own).
+ * slug must have passed the format checks.
+ */
+export async function suggestSlugs(slug, domainId = null) {
+    const candidates = slugCandidates(slug).filter(candidate => !RESERVED_SLUGS.has(candidate));
+    const taken = new Set(await findTakenCodes(candidates, domainId));
+    return candidates.filter(candidate => !taken.has(candidate)).slice(0, SUGGESTIONS);
+}
@@ -0,0 +1,65 @@
+/**
+ * lib/templates.js — Saved brand designs, per account
+ *
+ * LEARNING:
+ * ─────────
+ * A template is just a named design (lib/qr/design.js) — colors, shapes,
+ * logo, margin — so a team picks "Brand" instead of re-entering the same
+ * hex codes every time. One template per account can be the default: new
+ * dynamic codes created without a design get it automatically.
+ *
+ * Codes keep their own copy of the design. Editing a template later
+ * changes what new codes look like, never codes that were already printed.
+ */
+
+import { validateDesign } from '@/lib/qr';
+
+export const MAX_TEMPLATES = 20;
+export const MAX_TEMPLATE_NAME = 60;
+
+/**
+ * Validates a template from the API: { name, design, isDefault? }.
+ * With `partial` (PUT), every field is optional but at least one is needed.
+ * Returns { template } with only the given fields, or { error }.
+ */
+export function validateTemplate(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') return { error: 'Template is required' };
+    const template = {};
+
+    if (input.name !== undefined || !partial) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > MAX_TEMPLATE_NAME) {
+            return { error: `name is required (max ${MAX_TEMPLATE_NAME} chars)` };
+        }
+        template.name = name;
+    }
+
+    if (input.design !== undefined || !partial) {
+        if (!input.design) return { error: 'design is required' };
+        const { design, error } = validateDesign(input.design);
+        if (error) return { error };
+        template.design = design;
+    }
+
+    if (input.isDefault !== undefined) {
+        if (typeof input.isDefault !== 'boolean') return { error: 'isDefault must be true or false' };
+        template.isDefault = input.isDefault;
+    }
+
+    if (Object.keys(template).length === 0) return { error: 'Nothing to update — give name, design or isDefault' };
+    return { template };
+}
+
+/**
+ * Database row → API shape.
+ */
+export function formatTemplate(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        design: JSON.parse(row.design),
+        isDefault: Boolean(row.is_default),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
@@ -0,0 +1,33 @@
+/**
+ * lib/urls.js — Public URLs for short codes
+ *
+ * The short URL is what actually gets encoded into a dynamic QR code, so the
+ * create endpoint and the image endpoint must build it the same way.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Base URL of the site (https://linktoqr.app, http://localhost:3000): the
+ * configured NEXT_PUBLIC_BASE_URL, so an encoded URL can't depend on who
+ * asked; without one (local dev), the host the request came in on.
+ */
+export function getBaseUrl(request) {
+    if (process.env.NEXT_PUBLIC_BASE_URL) return process.env.NEXT_PUBLIC_BASE_URL.replace(/\/$/, '');
+    const origin = request.headers.get('origin') || request.headers.get('host') || 'localhost:3000';
+    const protocol = origin.includes('localhost') ? 'http' : 'https';
+    return origin.startsWith('http') ? origin : `${protocol}://${origin}`;
+}
+
+/**
+ * The URL a code encodes. Codes on a custom domain (lib/domains.js) get
+ * https://domain/CODE — middleware.js maps that back to /r/CODE.
+ */
+export function shortUrlFor(request, shortCode, domain = null) {
+    return domain ? `https://${domain}/${shortCode}` : `${getBaseUrl(request)}/r/${shortCode}`;
+}
+
+// Random code for a new QR, e.g. 'V1StGXR8' (base64url)
+export function randomShortCode(size = 8) {
+    return crypto.randomBytes(size).toString('base64url').slice(0, size);
+}
@@ -0,0 +1,99 @@
+/**
+ * lib/validate.js — Shared input validation
+ *
+ * Every place that accepts a destination URL (create, edit, routing rules...)
+ * runs the same checks, so a URL that can't be created can't be snuck in
+ * through an edit either.
+ */
+
+import { parsePayload, buildPayload } from '@/lib/payloads';
+
+export const MAX_URL_LENGTH = 2048;
+
+/**
+ * Returns an error message for an unusable destination URL, or null if it's fine.
+ */
+export function validateUrl(url) {
+    if (!url || typeof url !== 'string') {
+        return 'URL is required';
+    }
+
+    try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'Only HTTP/HTTPS URLs allowed';
+        }
+    } catch {
+        return 'Invalid URL format';
+    }
+
+    if (url.length > MAX_URL_LENGTH) {
+        return `URL too long (max ${MAX_URL_LENGTH})`;
+    }
+
+    return null;
+}
+
+/**
+ * A code's main destination: a web URL, or a lib/payloads payload (WiFi,
+ * contact, UPI…) that /r/[code] shows on a landing page instead of
+ * redirecting. Routing rules, variants and schedules stay web-only.
+ * Returns an error message or null.
+ */
+export function validateDestination(destination) {
+    const parsed = typeof destination === 'string' && parsePayload(destination);
+    if (!parsed) return validateUrl(destination);
+
+    // Rebuilding catches anything the builder wouldn't have produced
+    const { error } = buildPayload(parsed.type, parsed.fields);
+    if (error) return error;
+    if (destination.length > MAX_URL_LENGTH) {
+        return `Content too long (max ${MAX_URL_LENGTH})`;
+    }
+    return null;
+}
+
+/**
+ * Expiry date for a code: an ISO date ('2025-12-31', end of that day UTC)
+ * or timestamp, in the future. Returns { expiresAt } (ISO string, or null
+ * when none was given) or { error }.
+ */
+export function validateExpiry(input) {
+    if (input === undefined || input === null || input === '') return { expiresAt: null };
+    if (typeof input !== 'string') return { error: 'Expiry must be a date' };
+    const text = input.trim();
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59Z` : text);
+    if (isNaN(date.getTime())) return { error: 'Expiry must be a date like 2025-12-31' };
+    if (date <= new Date()) return { error: 'Expiry must be in the future' };
+    return { expiresAt: date.toISOString() };
+}
+
+export const MAX_LABEL_LENGTH = 100;
+export const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Owner-facing name of a code. Returns { label } (null if blank) or { error }.
+ */
+export function validateLabel(input) {
+    if (input === undefined || input === null) return { label: null };
+    if (typeof input !== 'string' || input.trim().length > MAX_LABEL_LENGTH) {
+        return { error: `Label must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    return { label: input.trim() || null };
+}
+
+/**
+ * Tags as an array or a comma / semicolon separated string.
+ * Returns { tags } (trimmed, lowercased, without duplicates) or { error }.
+ */
+export function validateTags(input) {
+    if (input === undefined || input === null) return { tags: [] };
+    const list = typeof input === 'string' ? input.split(/[,;]/) : input;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) return { error: 'Tags must be a list of words' };
+
+    const tags = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    return { tags };
+}
@@ -0,0 +1,43 @@
+/**
+ * lib/visitor.js — Privacy-preserving visitor fingerprint
+ *
+ * LEARNING:
+ * ─────────
+ * To count "unique scanners" we need to recognise a repeat visitor,
+ * but we must NOT store IP addresses (personal data).
+ *
+ * Trick: hash(secret salt + today's date + IP + user agent)
+ * - Same phone, same day → same hash → counted once
+ * - The date is part of the input, so hashes rotate every day (UTC)
+ *   and cannot be linked across days
+ * - Without the salt, nobody can brute-force the IP back out of the hash
+ */
+
+import crypto from 'crypto';
+
+const SALT = process.env.VISITOR_HASH_SALT || process.env.JWT_SECRET || 'change-me-in-production';
+
+/**
+ * Best-effort client IP behind Vercel / reverse proxies.
+ */
+export function getClientIp(request) {
+    const forwarded = request.headers.get('x-forwarded-for');
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return request.headers.get('x-real-ip') || '';
+}
+
+/**
+ * Returns a daily-rotating, salted visitor hash for the request.
+ * The raw IP never leaves this function.
+ */
+export function visitorHash(request, now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const ip = getClientIp(request);
+    const userAgent = request.headers.get('user-agent') || '';
+
+    return crypto
+        .createHmac('sha256', SALT)
+        .update(`${day}|${ip}|${userAgent}`)
+        .digest('base64url')
+        .slice(0, 22);
+}
@@ -0,0 +1,117 @@
+/**
+ * lib/zip.js — Streaming ZIP archives (server only)
+ *
+ * LEARNING:
+ * ─────────
+ * A ZIP file is a run of entries, each a local header followed by the
+ * (deflated) file data, and then a central directory listing every entry
+ * with its offset. Because the directory comes last, entries can be sent
+ * as soon as each file is ready — a big export starts downloading while
+ * the rest is still rendering, and only one file is in memory at a time.
+ *
+ * Each file is compressed before its header is written, so the header
+ * carries the real sizes and CRC (no data descriptors needed). Files
+ * that don't shrink (PNGs mostly) are stored as they are. Sizes stay under
+ * 4 GB, so plain ZIP is enough — no ZIP64.
+ */
+
+import zlib from 'zlib';
+import { crc32 } from '@/lib/qr/png';
+
+const UTF8_NAMES = 0x0800;      // General purpose flag bit 11
+const STORED = 0;
+const DEFLATED = 8;
+const VERSION = 20;             // 2.0: deflate, folders
+
+// MS-DOS date and time, the only timestamp plain ZIP headers have
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(UTF8_NAMES, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    return Buffer.concat([header, entry.name]);
+}
+
+function centralHeader(entry) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(VERSION, 6);
+    header.writeUInt16LE(UTF8_NAMES, 8);
+    header.writeUInt16LE(entry.method, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(entry.compressedSize, 20);
+    header.writeUInt32LE(entry.size, 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt32LE(entry.offset, 42);
+    return Buffer.concat([header, entry.name]);
+}
+
+function endOfDirectory(count, size, offset) {
+    const record = Buffer.alloc(22);
+    record.writeUInt32LE(0x06054b50, 0);
+    record.writeUInt16LE(count, 8);
+    record.writeUInt16LE(count, 10);
+    record.writeUInt32LE(size, 12);
+    record.writeUInt32LE(offset, 16);
+    return record;
+}
+
+/**
+ * files: an (async) iterable of { name, data } (data: Buffer or string),
+ * produced lazily so each file is only rendered when the stream gets to it.
+ * Returns a ReadableStream of the archive, for a Response body.
+ */
+export function zipStream(files, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const iterator = (files[Symbol.asyncIterator] ? files[Symbol.asyncIterator]() : files[Symbol.iterator]());
+    const entries = [];
+    let offset = 0;
+
+    return new ReadableStream({
+        async pull(controller) {
+            const { value: file, done } = await iterator.next();
+            if (done) {
+                const directory = Buffer.concat(entries.map(centralHeader));
+                controller.enqueue(Buffer.concat([directory, endOfDirectory(entries.length, directory.length, offset)]));
+                controller.close();
+                return;
+            }
+
+            const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+            const deflated = zlib.deflateRawSync(data);
+            const compress = deflated.length < data.length;
+            const entry = {
+                name: Buffer.from(file.name, 'utf8'),
+                method: compress ? DEFLATED : STORED,
+                time,
+                date,
+                crc: crc32(data),
+                size: data.length,
+                compressedSize: compress ? deflated.length : data.length,
+                offset
+            };
+            entries.push(entry);
+
+            const chunk = Buffer.concat([localHeader(entry), compress ? deflated : data]);
+            offset += chunk.length;
+            controller.enqueue(chunk);
+        }
+    });
+}
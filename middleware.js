@@ -0,0 +1,32 @@
+/**
+ * middleware.js — Short links on custom domains
+ *
+ * go.yourbrand.com/abc is the short URL of a code on a custom domain
+ * (lib/domains.js), and go.yourbrand.com/abc/convert its A/B conversion
+ * pixel. On any host that isn't the app's own, those are rewritten to
+ * /r/abc and /r/abc/convert, which then only resolve codes belonging to
+ * that host. The app's own pages (isAppPath) and everything else —
+ * /r/abc/view, /password/abc, assets — pass through unchanged.
+ *
+ * Rewritten requests carry SHORT_LINK_HEADER, so /r/[code] knows the
+ * browser asked for a short link rather than /r/abc.
+ */
+
+import { NextResponse } from 'next/server';
+import { isAppHost, isAppPath, SHORT_LINK_HEADER } from '@/lib/domains';
+
+export function middleware(request) {
+    if (isAppHost(request.headers.get('host')) || isAppPath(request.nextUrl.pathname.split('/')[1])) {
+        return NextResponse.next();
+    }
+
+    const url = request.nextUrl.clone();
+    url.pathname = `/r${url.pathname}`;
+    const headers = new Headers(request.headers);
+    headers.set(SHORT_LINK_HEADER, '1');
+    return NextResponse.rewrite(url, { request: { headers } });
+}
+
+export const config = {
+    matcher: ['/:code([^/.]+)', '/:code([^/.]+)/convert']
+};
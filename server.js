@@ -38,6 +38,41 @@ const crypto = require('crypto');
 function nanoid(size = 8) {
     return crypto.randomBytes(size).toString('base64url').slice(0, size);
 }
+
+// Scan event fields, by the same rules as lib/analytics.js — this CommonJS
+// server can't require that ES module, and both apps share the scan_events table
+function parseUserAgent(userAgent) {
+    const ua = (userAgent || '').toLowerCase();
+    if (!ua) return { device: 'unknown', os: 'unknown' };
+
+    let os = 'other';
+    if (/iphone|ipad|ipod/.test(ua)) os = 'ios';
+    else if (ua.includes('android')) os = 'android';
+    else if (ua.includes('windows')) os = 'windows';
+    else if (ua.includes('mac os x') || ua.includes('macintosh')) os = 'macos';
+    else if (ua.includes('cros')) os = 'chromeos';
+    else if (ua.includes('linux')) os = 'linux';
+
+    let device = 'desktop';
+    if (/bot|crawler|spider|preview|curl|wget/.test(ua)) device = 'bot';
+    else if (ua.includes('ipad') || ua.includes('tablet') || (os === 'android' && !ua.includes('mobile'))) device = 'tablet';
+    else if (ua.includes('mobi') || os === 'ios' || os === 'android') device = 'mobile';
+
+    return { device, os };
+}
+
+function describeScan(req) {
+    const userAgent = req.get('user-agent') || '';
+    const { device, os } = parseUserAgent(userAgent);
+    const language = (req.get('accept-language') || '').split(',')[0].split(';')[0].trim().toLowerCase();
+    return {
+        referrer: req.get('referer') || null,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        device,
+        os,
+        language: language && language !== '*' ? language.slice(0, 35) : null
+    };
+}
 const { stmts } = require('./db');
 
 const app = express();
@@ -343,8 +378,10 @@ app.get('/r/:code', (req, res) => {
             }
         }
 
-        // Track the scan (increment counter)
+        // Track the scan (increment counter + event log)
         stmts.incrementScan.run(req.params.code);
+        const scan = describeScan(req);
+        stmts.logScanEvent.run(qr.id, scan.referrer, scan.userAgent, scan.device, scan.os, scan.language);
 
         // 302 redirect to the actual destination
         res.redirect(302, qr.destination_url);
@@ -0,0 +1,31 @@
+/**
+ * test/analytics.test.mjs — Date ranges for GET /api/qr/[code]/analytics
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange } from '../lib/analytics.js';
+
+const range = query => parseRange(new URLSearchParams(query));
+
+test('bare dates cover whole days', () => {
+    const { from, to, interval } = range('from=2026-01-01&to=2026-01-31');
+    assert.equal(from.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.equal(to.toISOString(), '2026-01-31T23:59:59.999Z');
+    assert.equal(interval, 'day');
+});
+
+test('from defaults to 30 days before to', () => {
+    const { from } = range('to=2026-01-31');
+    assert.equal(from.toISOString(), '2026-01-01T23:59:59.999Z');
+});
+
+test('unparseable dates are errors, not exceptions', () => {
+    for (const query of ['to=garbage', 'from=garbage', 'from=garbage&to=garbage', 'from=2026-01-01&to=garbage']) {
+        assert.match(range(query).error, /must be ISO dates/, query);
+    }
+});
+
+test('from after to is an error', () => {
+    assert.equal(range('from=2026-02-01&to=2026-01-01').error, 'from must be before to');
+});
@@ -0,0 +1,31 @@
+/**
+ * test/csv.test.mjs — Line numbers in lib/csv.js and lib/bulk.js
+ *
+ * Bulk upload errors name the line to fix, so they have to match what an
+ * editor shows: blank lines and line breaks inside quoted fields count.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../lib/csv.js';
+import { parseBulkCsv } from '../lib/bulk.js';
+
+test('parseCsv reports the line each row starts on', () => {
+    assert.deepEqual(parseCsv('a\r"x\r\ny"\rb\n\n\nc'), {
+        rows: [['a'], ['x\r\ny'], ['b'], ['c']],
+        lines: [1, 2, 4, 7]
+    });
+});
+
+test('bulk rows are reported by their line in the file', () => {
+    const { rows } = parseBulkCsv('destination,label\r\nhttps://a.com,"Table\n1"\r\n\r\nnot-a-url,T2');
+    assert.deepEqual(rows.map(row => row.line), [2, 5]);
+    assert.equal(rows[0].entry.label, 'Table\n1');
+    assert.equal(rows[1].error, 'Invalid URL format');
+});
+
+test('bulk slugs only clash with earlier lines on the same domain', () => {
+    const { rows } = parseBulkCsv('destination,slug,domain\nhttps://a.com,menu,\nhttps://b.com,menu,Go.Cafe.com\nhttps://c.com,menu,go.cafe.com');
+    assert.deepEqual(rows.map(row => row.entry?.domain ?? null), [null, 'go.cafe.com', null]);
+    assert.equal(rows[2].error, 'Slug "menu" is already used on line 3');
+});
@@ -0,0 +1,33 @@
+/**
+ * test/domains.test.mjs — Code keys and routing helpers in lib/domains.js
+ *
+ * Short codes are only unique per domain, so the dashboard and
+ * /api/qr/[code] address codes on custom domains as code@hostname.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { codeKey, parseCodeKey, codeLabel, isAppPath, validateHostname } from '../lib/domains.js';
+
+test('code keys round-trip with and without a domain', () => {
+    assert.equal(codeKey('abc', null), 'abc');
+    assert.equal(codeKey('abc', 'go.brand.com'), 'abc@go.brand.com');
+    assert.deepEqual(parseCodeKey('abc'), { code: 'abc', domain: null });
+    assert.deepEqual(parseCodeKey('abc@go.brand.com'), { code: 'abc', domain: 'go.brand.com' });
+    assert.equal(codeLabel('abc'), '/r/abc');
+    assert.equal(codeLabel('abc@go.brand.com'), 'go.brand.com/abc');
+});
+
+test('short links never shadow the app\'s own pages', () => {
+    for (const segment of ['api', 'dashboard', 'password', 'r', 'wifi-qr-code-generator']) {
+        assert.equal(isAppPath(segment), true, segment);
+    }
+    assert.equal(isAppPath('summer-menu'), false);
+});
+
+test('hostnames are normalized and our own are refused', () => {
+    assert.deepEqual(validateHostname(' Go.Brand.com. '), { hostname: 'go.brand.com' });
+    assert.match(validateHostname('https://go.brand.com').error, /just the domain/);
+    assert.match(validateHostname('10.0.0.1').error, /IP address/);
+    assert.match(validateHostname('localhost.').error, /look like a domain/);
+});
@@ -0,0 +1,128 @@
+/**
+ * test/encoder.test.mjs — Golden matrices for lib/qr/encoder.js
+ *
+ * Each fixture is the module grid another encoder (the `qrcode` npm
+ * package) produced for the same text, error correction level and mask,
+ * '#' for dark. A matrix that differs by one module is a symbol some
+ * scanners misread, so these compare every module. Mask choice is forced
+ * where encoders legitimately disagree on the penalty score.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { encodeText } from '../lib/qr/encoder.js';
+
+const GOLDEN = [
+    {
+        text: 'HELLO WORLD', ecLevel: 'Q', mask: 3, version: 1,   // Alphanumeric mode
+        rows: [
+            '#######...#...#######',
+            '#.....#.##.#..#.....#',
+            '#.###.#.#..#..#.###.#',
+            '#.###.#....##.#.###.#',
+            '#.###.#....##.#.###.#',
+            '#.....#..#.#..#.....#',
+            '#######.#.#.#.#######',
+            '.........#...........',
+            '.###.##...........##.',
+            '#....#.####.##..#####',
+            '#.###.##.#.##.#...#..',
+            '.###...#.#...#..#.##.',
+            '#.##..#..#.##.....#..',
+            '........#..#.#.#..##.',
+            '#######...#.####.#.##',
+            '#.....#.##...###..##.',
+            '#.###.#....##.##...##',
+            '#.###.#.#.#..#..##.#.',
+            '#.###.#.####.#..##...',
+            '#.....#.#####.##.#...',
+            '#######....##..#..##.',
+        ]
+    },
+    {
+        text: '01234567', ecLevel: 'M', mask: -1, version: 1,      // Numeric mode, mask picked by penalty
+        rows: [
+            '#######...###.#######',
+            '#.....#.###...#.....#',
+            '#.###.#..##...#.###.#',
+            '#.###.#..#.##.#.###.#',
+            '#.###.#.##.##.#.###.#',
+            '#.....#....#..#.....#',
+            '#######.#.#.#.#######',
+            '.....................',
+            '#.#.#.#...#.#...#..#.',
+            '##.#....#.##.#.#...#.',
+            '...##.###.##.###.###.',
+            '##..##.#.#.###.##..#.',
+            '..#..###.###.###....#',
+            '........#.#...#....#.',
+            '#######.....#...#...#',
+            '#.....#...#...#..#.##',
+            '#.###.#.###.#.#.###.#',
+            '#.###.#..#.#.#.#.###.',
+            '#.###.#.##.#.###..#.#',
+            '#.....#....###.###...',
+            '#######.#..#.###..#.#',
+        ]
+    },
+    {
+        text: 'https://linktoqr.app/r/V1StGXR8', ecLevel: 'M', mask: 3, version: 3,   // Byte mode
+        rows: [
+            '#######.##..#..#####..#######',
+            '#.....#.#...#.##..#.#.#.....#',
+            '#.###.#...#.####..#...#.###.#',
+            '#.###.#.#.##....#...#.#.###.#',
+            '#.###.#...#.##...###..#.###.#',
+            '#.....#....#..#..####.#.....#',
+            '#######.#.#.#.#.#.#.#.#######',
+            '........#######..#.#.........',
+            '#.##.###.######.##....#..#.##',
+            '##.###.####....##..#..###...#',
+            '.#.#.##..####.##.#..##..#.##.',
+            '..#.#...#..#.###..##..#.#...#',
+            '.###..#.#.###...#...#....##..',
+            '.....#.##..###...###..#...###',
+            '#..##.##.#.#..#..#.#.#..#.###',
+            '##.....#.#...#.#......##...#.',
+            '.###..#....##.....#..#.###.#.',
+            '....#..#####.#....#.##.#.###.',
+            '#.#..##.#.###.......##.##.#..',
+            '...###..#.#.#..###..##.##.#..',
+            '.##.#.##..##.#.##.#########..',
+            '........#.######..#.#...#####',
+            '#######.#..#.#....###.#.##.#.',
+            '#.....#.#..#....#.#.#...##.#.',
+            '#.###.#..#..#.#.#...#####.#.#',
+            '#.###.#.#..#..##..#..#.###.#.',
+            '#.###.#.###...#.#...##.#..#.#',
+            '#.....#..#........#.##..##.#.',
+            '#######.##.#.#..###.#.#.#..#.',
+        ]
+    }
+];
+
+const toRows = modules => modules.map(row => row.map(dark => (dark ? '#' : '.')).join(''));
+
+for (const { text, ecLevel, mask, version, rows } of GOLDEN) {
+    test(`${text} at ${ecLevel} matches the golden matrix`, () => {
+        const symbol = encodeText(text, ecLevel, { mask, boostEcl: false });
+        assert.equal(symbol.version, version);
+        assert.equal(symbol.ecLevel, ecLevel);
+        assert.deepEqual(toRows(symbol.modules), rows);
+    });
+}
+
+test('version 12-H (interleaved blocks, version info) matches the golden matrix hash', () => {
+    const symbol = encodeText('https://example.com/' + 'x'.repeat(120), 'H', { mask: 5 });
+    assert.equal(symbol.version, 12);
+    const digest = crypto.createHash('sha256').update(toRows(symbol.modules).join('\n')).digest('hex');
+    assert.equal(digest, '1d72233188e3f4ad13f94c743fa592618db0d4e6f4abff019554f584cce8bf25');
+});
+
+test('the same input always gives the same symbol', () => {
+    const first = encodeText('https://linktoqr.app/r/V1StGXR8');
+    const second = encodeText('https://linktoqr.app/r/V1StGXR8');
+    assert.equal(first.mask, second.mask);
+    assert.deepEqual(first.modules, second.modules);
+});
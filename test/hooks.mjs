@@ -0,0 +1,34 @@
+/**
+ * test/hooks.mjs — Lets `node --test` load the app's modules as Next.js does
+ *
+ * lib/ is written for the Next.js bundler: ES modules in .js files of a
+ * CommonJS package, extensionless and directory imports, JSON imports without
+ * attributes and the '@/' alias from jsconfig.json. Node needs all of that
+ * spelled out; these hooks do it.
+ */
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = new URL('../', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('@/')) specifier = new URL(specifier.slice(2), ROOT).href;
+    const local = specifier.startsWith('.') || specifier.startsWith('file:') || specifier.startsWith('/');
+    if (local && context.parentURL?.startsWith('file:')) {
+        const path = fileURLToPath(new URL(specifier, context.parentURL));
+        const file = ['.js', '/index.js'].map(suffix => path + suffix).find(existsSync);
+        if (!/\.[cm]?js(on)?$/.test(path) && file) specifier = pathToFileURL(file).href;
+    }
+    const resolved = await nextResolve(specifier, context);
+    // The bundler imports JSON without `with { type: 'json' }`
+    if (resolved.url.endsWith('.json')) return { ...resolved, importAttributes: { type: 'json' } };
+    return resolved;
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(ROOT.href) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,102 @@
+/**
+ * test/payloads.test.mjs — Round trips through lib/payloads
+ *
+ * Every builder's output must parse back to the same fields — through
+ * parsePayload(), so each payload is also recognized as the right type.
+ * The awkward values are the point: the characters each format uses as
+ * syntax (; , : " \ and line breaks) have to survive being escaped.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPayload, parsePayload } from '../lib/payloads/index.js';
+
+const TRICKY = 'a;b,c:d"e\\f';
+
+function roundTrip(type, fields) {
+    const { payload, error } = buildPayload(type, fields);
+    assert.equal(error, undefined);
+    const parsed = parsePayload(payload);
+    assert.equal(parsed?.type, type, `${payload} was not recognized as ${type}`);
+    return { payload, fields: parsed.fields };
+}
+
+const CONTACT = {
+    firstName: 'Ana;María', lastName: 'O"Brien, Jr.', organization: 'Café: Ltd', title: 'Head\\Chef',
+    phone: '+15551234567', email: 'ana@example.com', url: 'https://example.com/a;b',
+    street: 'Main St 1; Unit 2', city: 'Springfield', region: 'IL', postalCode: '62701', country: 'USA',
+    note: 'Line one\nLine, two'
+};
+
+test('WIFI with a hidden SSID and escaped special characters', () => {
+    const fields = { ssid: `Cafe ${TRICKY}`, password: `pw${TRICKY}123`, security: 'WPA', hidden: true };
+    const { payload, fields: parsed } = roundTrip('wifi', fields);
+    assert.match(payload, /;H:true;;$/);
+    assert.match(payload, /S:Cafe a\\;b\\,c\\:d\\"e\\\\f;/);
+    assert.deepEqual(parsed, fields);
+});
+
+test('WIFI on an open network drops the password', () => {
+    const { payload, fields } = roundTrip('wifi', { ssid: 'Lobby', security: 'nopass' });
+    assert.equal(payload, 'WIFI:T:nopass;S:Lobby;;');
+    assert.deepEqual(fields, { ssid: 'Lobby', password: '', security: 'nopass', hidden: false });
+});
+
+test('MECARD', () => {
+    const contact = { firstName: CONTACT.firstName, lastName: CONTACT.lastName, organization: 'Café: Ltd',
+        phone: '+15551234567', email: 'ana@example.com', url: 'https://example.com/a;b', note: TRICKY };
+    const { payload, fields } = roundTrip('mecard', contact);
+    assert.match(payload, /^MECARD:N:O\\"Brien\\, Jr\.,Ana\\;María;/);
+    for (const [field, value] of Object.entries(contact)) assert.equal(fields[field], value, field);
+});
+
+for (const version of ['3.0', '4.0']) {
+    test(`vCard ${version}`, () => {
+        const { payload, fields } = roundTrip('vcard', { ...CONTACT, version });
+        assert.match(payload, new RegExp(`^BEGIN:VCARD\\r\\nVERSION:${version.replace('.', '\\.')}\\r\\n`));
+        assert.deepEqual(fields, { ...CONTACT, version });
+    });
+}
+
+test('iCalendar VEVENT, timed', () => {
+    const event = { title: `Launch ${TRICKY}`, start: '2026-11-05T18:00:00Z', end: '2026-11-05T21:30:00Z',
+        allDay: false, location: 'Main St 1, Springfield', description: 'Bring; a friend\nor two' };
+    const { payload, fields } = roundTrip('event', event);
+    assert.match(payload, /\r\nDTSTART:20261105T180000Z\r\n/);
+    assert.deepEqual(fields, event);
+});
+
+test('iCalendar VEVENT, all-day with an exclusive DTEND', () => {
+    const event = { title: 'Festival', start: '2026-07-01', end: '2026-07-03', allDay: true, location: '', description: '' };
+    const { payload, fields } = roundTrip('event', event);
+    assert.match(payload, /\r\nDTEND;VALUE=DATE:20260704\r\n/);
+    assert.deepEqual(fields, event);
+});
+
+test('SMSTO keeps colons in the message', () => {
+    const { payload, fields } = roundTrip('sms', { phone: '+1 (555) 123-4567', message: 'Meet at 8:30; bring "snacks"' });
+    assert.equal(payload, 'SMSTO:+15551234567:Meet at 8:30; bring "snacks"');
+    assert.deepEqual(fields, { phone: '+15551234567', message: 'Meet at 8:30; bring "snacks"' });
+});
+
+test('MATMSG', () => {
+    const email = { to: 'hello@example.com', subject: `Hi ${TRICKY}`, body: 'Line one\nSee you: soon;' };
+    const { fields } = roundTrip('email', email);
+    assert.deepEqual(fields, email);
+});
+
+test('geo', () => {
+    const { payload, fields } = roundTrip('geo', { latitude: '-33.8688197', longitude: 151.20929 });
+    assert.equal(payload, 'geo:-33.86882,151.20929');
+    assert.deepEqual(fields, { latitude: '-33.86882', longitude: '151.20929' });
+});
+
+test('tel', () => {
+    const { payload, fields } = roundTrip('phone', { phone: '+44 20 7946 0958' });
+    assert.equal(payload, 'tel:+442079460958');
+    assert.deepEqual(fields, { phone: '+442079460958' });
+});
+
+test('plain URLs are not payloads', () => {
+    assert.equal(parsePayload('https://example.com/?a=1;b=2'), null);
+});
@@ -0,0 +1,4 @@
+// Loaded with --import before the tests run (see test/hooks.mjs)
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);